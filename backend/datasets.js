@@ -0,0 +1,97 @@
+/**
+ * Giovanni time-series dataset definitions
+ *
+ * Each entry describes one area-averaged CSV export in data/ and automatically gets
+ * loading, the /<route>/date, /range, /monthly and /summary endpoints and a
+ * POST /<route>-analysis endpoint. To add a series (soil moisture, radiation...)
+ * drop the export into data/ and add an entry here.
+ *
+ *   id           Variable id used by the frontend and analysis endpoints
+ *   route        URL prefix for the dataset routes
+ *   file         CSV file name in data/ (or an absolute path)
+ *   column       Partial name of the value column, e.g. 'Rainf' matches mean_GLDAS_..._Rainf_f_tavg
+ *   unit         Unit of each reading after `convert`
+ *   dailyUnit    Unit of the daily value, when aggregation changes it
+ *   convert      Converts a raw reading into `unit`
+ *   aggregation  Daily rule: 'mean', 'max', 'min' or 'accumulate' (rate × time step)
+ *   aggregations Rules a request may pick with ?aggregate= (defaults to the rule plus mean, max and min)
+ *   operator     Default comparison for analysis thresholds ('>=' or '<=')
+ *   measures     Other quantities the readings can be reported as (?measure=), see utils/humidity.js
+ *   locations    One export per city: [{ name, file, latitude, longitude }] (coordinates default to the
+ *                centre of the export's bounding box); `file` stays the area average used elsewhere
+ */
+
+const { HUMIDITY_MEASURES } = require('./utils/humidity');
+
+function beaufortCategory(speed) {
+  if (speed >= 20.8) return 'Strong Gale+';
+  if (speed >= 17.2) return 'Gale';
+  if (speed >= 13.9) return 'Near Gale';
+  if (speed >= 10.8) return 'Strong Breeze';
+  if (speed >= 8.0) return 'Fresh Breeze';
+  if (speed >= 5.5) return 'Moderate Breeze';
+  if (speed >= 3.4) return 'Gentle Breeze';
+  if (speed >= 1.6) return 'Light Breeze';
+  if (speed >= 0.3) return 'Light Air';
+  return 'Calm';
+}
+
+module.exports = [
+  {
+    id: 'humidity',
+    route: 'humidity',
+    name: 'Humidity',
+    file: 'Humidity Data 2015-2025.csv',
+    column: 'Qair',
+    unit: 'kg/kg',
+    aggregation: 'mean',
+    operator: '>=',
+    measures: HUMIDITY_MEASURES,
+    description: 'Specific humidity 3-hourly 0.25 deg',
+    source: 'NASA GLDAS Model - Specific Humidity 3-hourly 0.25 deg'
+  },
+  {
+    id: 'precipitation',
+    route: 'precipitation',
+    name: 'Precipitation',
+    file: 'Precipitation Data 2015-2025.csv',
+    column: 'Rainf',
+    unit: 'mm/hour',
+    dailyUnit: 'mm/day',
+    // GLDAS gives kg/m²/s, which is mm/s of water
+    convert: value => value * 3600,
+    aggregation: 'accumulate',
+    operator: '>=',
+    monthlyEvent: { name: 'rainyDays', threshold: 0.1 },
+    description: 'Total precipitation rate 3-hourly 0.25 deg',
+    source: 'NASA GLDAS Model - Total precipitation rate 3-hourly 0.25 deg'
+  },
+  {
+    id: 'wind_speed',
+    route: 'windspeed',
+    name: 'Wind Speed',
+    file: 'Wind Data 2015-2025.csv',
+    column: 'Wind',
+    unit: 'm/s',
+    aggregation: 'mean',
+    operator: '>=',
+    monthlyEvent: { name: 'windyDays', threshold: 5.5 }, // Above gentle breeze
+    classify: beaufortCategory,
+    description: 'Near surface wind speed 3-hourly 0.25 deg',
+    source: 'NASA GLDAS Model - Near surface wind speed 3-hourly 0.25 deg'
+  },
+  {
+    // Also feeds the max_temp / min_temp analyses, with daily max and min aggregation
+    id: 'temperature',
+    route: 'temperature',
+    name: 'Air Temperature',
+    file: 'Temperature Data 2015-2025.csv',
+    column: 'Tair',
+    unit: '°C',
+    convert: value => value - 273.15, // Kelvin in the export
+    aggregation: 'mean',
+    operator: '>=',
+    description: 'Near surface air temperature 3-hourly 0.25 deg',
+    source: 'NASA GLDAS Model - Near surface air temperature 3-hourly 0.25 deg'
+  }
+];
@@ -0,0 +1,102 @@
+const datasetRegistry = require('./services/datasetRegistry');
+
+const DatasetRegistry = datasetRegistry.constructor;
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2020-01-01T00:00:00Z');
+
+// Swap readings at the given hours after START into a registered dataset
+function applyReadings(processor, hours, values) {
+  processor.applySeries({
+    metadata: null,
+    columnName: null,
+    fillValue: null,
+    times: Float64Array.from(hours, hour => START + hour * HOUR_MS),
+    values: Float64Array.from(values),
+    fillTimes: [],
+    duplicateTimes: [],
+    report: null
+  }, { checksum: hours.join(','), loadedFrom: 'csv' });
+}
+
+const input = (id, unit) => ({ id, route: id, name: id, file: `${id}.csv`, unit, aggregation: 'mean' });
+
+describe('DerivedSeriesProcessor', () => {
+  let registry;
+  let derived;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    registry = new DatasetRegistry();
+    registry.register(input('temperature', '°C'));
+    registry.register(input('wind', 'm/s'));
+    registry.register(input('pressure', 'Pa'));
+    derived = registry.register({
+      id: 'feels_like',
+      route: 'feels-like',
+      name: 'Feels Like',
+      unit: '°C',
+      inputs: {
+        temperature: { dataset: 'temperature', unit: '°C' },
+        wind: { dataset: 'wind', unit: 'm/s' },
+        pressure: { dataset: 'pressure', unit: 'Pa', fallback: 100000 }
+      },
+      compute: ({ temperature, wind, pressure }) =>
+        wind < 0 ? NaN : temperature - wind + (pressure - 100000) / 1000,
+      aggregation: 'mean'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('derives readings only at the timestamps every input has', async () => {
+    applyReadings(registry.get('temperature'), [0, 3, 6, 9, 12, 15], [10, 11, 12, 13, 14, 15]);
+    applyReadings(registry.get('wind'), [3, 4, 9, 12, 18], [1, 7, 2, -1, 5]);
+    applyReadings(registry.get('pressure'), [0, 3, 9, 12, 15], [101000, 102000, 99000, 100000, 100000]);
+
+    const report = await derived.load();
+
+    expect(Array.from(derived.times, time => (time - START) / HOUR_MS)).toEqual([3, 9]);
+    expect(Array.from(derived.values)).toEqual([12, 10]);
+    expect(report).toMatchObject({
+      source: 'derived',
+      rowsAccepted: 2,
+      rowsRejected: 4,
+      rejected: { unaligned_timestamp: 3, invalid_value: 1 }
+    });
+  });
+
+  test('uses the fallback constant for an input that is not loaded', async () => {
+    applyReadings(registry.get('temperature'), [0, 3], [10, 11]);
+    applyReadings(registry.get('wind'), [0, 3], [1, 2]);
+
+    const report = await derived.load();
+
+    expect(Array.from(derived.values)).toEqual([9, 9]);
+    expect(report.inputs.pressure).toEqual({ fallback: 100000 });
+    expect(report.inputs.wind).toEqual({ dataset: 'wind', version: 1 });
+  });
+
+  test('recomputes only when an input has changed', async () => {
+    applyReadings(registry.get('temperature'), [0, 3], [10, 11]);
+    applyReadings(registry.get('wind'), [0, 3], [1, 2]);
+    await derived.load();
+
+    await expect(derived.load({ ifChanged: true })).resolves.toBeNull();
+
+    applyReadings(registry.get('wind'), [0, 3, 6], [1, 2, 3]);
+    const report = await derived.load({ ifChanged: true });
+
+    expect(report.version).toBe(2);
+  });
+
+  test('needs its required inputs loaded, in the declared units', async () => {
+    applyReadings(registry.get('temperature'), [0], [10]);
+    await expect(derived.load()).rejects.toThrow('Feels Like needs the "wind" dataset, which is not loaded');
+
+    registry.get('wind').definition.unit = 'km/h';
+    applyReadings(registry.get('wind'), [0], [1]);
+    await expect(derived.load()).rejects.toThrow('Feels Like needs wind in m/s, not km/h');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Derived variable definitions
+ *
+ * Each entry is computed reading by reading from other registered datasets,
+ * joined on timestamp, and then gets the same /date, /range, /monthly, /summary
+ * and -analysis endpoints as a dataset in datasets.js. A derived variable loads
+ * once its inputs have loaded and is recomputed whenever one of them reloads.
+ *
+ *   inputs       key -> { dataset, unit, fallback } - the dataset id read at each
+ *                timestamp, the unit it must be in, and an optional constant used
+ *                when that dataset is not registered
+ *   compute      Derives one reading from the input readings at a timestamp
+ *
+ * The other fields are as in datasets.js.
+ */
+
+const { STANDARD_PRESSURE_PA, relativeHumidity, vaporPressure, dewPoint } = require('./utils/humidity');
+const { heatIndex, windChill, apparentTemperature, heatIndexCategory } = require('./utils/thermalComfort');
+
+const TEMPERATURE = { dataset: 'temperature', unit: '°C' };
+const HUMIDITY = { dataset: 'humidity', unit: 'kg/kg' };
+const WIND = { dataset: 'wind_speed', unit: 'm/s' };
+const PRESSURE = { dataset: 'surface_pressure', unit: 'Pa', fallback: STANDARD_PRESSURE_PA };
+
+module.exports = [
+  {
+    id: 'heat_index',
+    route: 'heat-index',
+    name: 'Heat Index',
+    unit: '°C',
+    inputs: { temperature: TEMPERATURE, humidity: HUMIDITY, pressure: PRESSURE },
+    compute: ({ temperature, humidity, pressure }) =>
+      heatIndex(temperature, relativeHumidity(humidity, temperature, pressure)),
+    aggregation: 'max',
+    operator: '>=',
+    classify: heatIndexCategory,
+    description: 'NWS heat index from air temperature and relative humidity',
+    source: 'Derived from NASA GLDAS air temperature and specific humidity'
+  },
+  {
+    id: 'wind_chill',
+    route: 'wind-chill',
+    name: 'Wind Chill',
+    unit: '°C',
+    inputs: { temperature: TEMPERATURE, wind: WIND },
+    compute: ({ temperature, wind }) => windChill(temperature, wind),
+    aggregation: 'min',
+    operator: '<=',
+    description: 'NWS wind chill from air temperature and wind speed',
+    source: 'Derived from NASA GLDAS air temperature and wind speed'
+  },
+  {
+    id: 'apparent_temperature',
+    route: 'apparent-temperature',
+    name: 'Apparent Temperature',
+    unit: '°C',
+    inputs: { temperature: TEMPERATURE, humidity: HUMIDITY, wind: WIND, pressure: PRESSURE },
+    compute: ({ temperature, humidity, wind, pressure }) =>
+      apparentTemperature(temperature, vaporPressure(humidity, pressure), wind),
+    aggregation: 'mean',
+    operator: '>=',
+    description: 'Steadman apparent temperature from air temperature, humidity and wind speed',
+    source: 'Derived from NASA GLDAS air temperature, specific humidity and wind speed'
+  },
+  {
+    id: 'dew_point',
+    route: 'dew-point',
+    name: 'Dew Point',
+    unit: '°C',
+    inputs: { humidity: HUMIDITY, pressure: PRESSURE },
+    compute: ({ humidity, pressure }) => dewPoint(humidity, pressure),
+    aggregation: 'mean',
+    operator: '>=',
+    description: 'Dew point from specific humidity and surface pressure',
+    source: 'Derived from NASA GLDAS specific humidity'
+  }
+];
@@ -0,0 +1,942 @@
+const fs = require('fs');
+const path = require('path');
+const { streamGiovanniCsv, inferTimeStepHours } = require('./utils/giovanniCsv');
+const { hashFile, readSeriesCache, writeSeriesCache } = require('./utils/seriesCache');
+const { assessSeriesQuality } = require('./utils/seriesQuality');
+const { DEFAULT_TIME_ZONE, localDate, localTime, localDayBounds } = require('./utils/timeZones');
+const {
+  MAX_SNAP_DISTANCE_KM,
+  nearestTo,
+  boundingBoxContains,
+  boundingBoxCenter,
+  boundingBoxArea,
+  formatBoundingBox
+} = require('./utils/geo');
+const { statusError } = require('./utils/statusError');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How missing sub-daily readings are treated, see resolveDay()
+const GAP_FILL_METHODS = ['none', 'drop', 'linear', 'climatology'];
+const DEFAULT_MAX_GAP_HOURS = 24;
+
+// Widest ±days window around a calendar day in a climatological sample, see getCalendarWindow()
+const MAX_WINDOW_DAYS = 30;
+
+// "New York, NY" and "new york" name the same location series
+function locationKey(name) {
+  return name.split(',')[0].trim().toLowerCase();
+}
+
+// Definition of the processor for one entry of definition.locations
+function locationDefinition(definition, { name, file, latitude, longitude }) {
+  if (!name || !file) {
+    throw new Error(`Location series of dataset ${definition.id} need a name and a file`);
+  }
+
+  return {
+    ...definition,
+    name: `${definition.name} (${name})`,
+    file,
+    locations: undefined,
+    location: { name, latitude, longitude }
+  };
+}
+
+// Daily aggregation rules: how sub-daily readings become one daily value
+const DAILY_AGGREGATIONS = {
+  mean: (values) => values.reduce((sum, val) => sum + val, 0) / values.length,
+  max: (values) => Math.max(...values),
+  min: (values) => Math.min(...values),
+  // Readings are rates per hour, so each one covers `stepHours` hours
+  accumulate: (values, stepHours) => values.reduce((sum, val) => sum + val * stepHours, 0)
+};
+
+/**
+ * Generic processor for a Giovanni area-averaged time series.
+ * Everything dataset-specific (file, column, conversion, aggregation) comes from
+ * the definition in datasets.js.
+ *
+ * Readings are held column-wise in typed arrays, sorted by time, with a
+ * date -> [start, end) index into them; the parsed columns are cached in
+ * data/cache so the CSV is only re-parsed when it changes. Dates are UTC days
+ * unless a request names a time zone, which gets its own local-day index.
+ *
+ * A dataset can also hold one export per city (definition.locations); each is
+ * its own processor in `locationSeries`, and selectSeries() picks the one for a
+ * requested place.
+ *
+ * A reload builds the new series completely before swapping it in with one
+ * synchronous assignment. Route handlers run synchronously, so a request that
+ * has started finishes against the version it started with.
+ */
+class GiovanniTimeSeriesProcessor {
+  constructor(definition) {
+    const aggregations = definition.aggregations || [definition.aggregation];
+    aggregations.concat(definition.aggregation).forEach(aggregation => {
+      if (!DAILY_AGGREGATIONS[aggregation]) {
+        throw new Error(`Unknown daily aggregation "${aggregation}" for dataset ${definition.id}`);
+      }
+    });
+
+    this.definition = definition;
+    this.id = definition.id;
+    this.times = new Float64Array(0); // Epoch ms of each reading
+    this.rawValues = new Float64Array(0); // Values as written in the CSV
+    this.values = new Float64Array(0); // Values after definition.convert
+    this.dayIndex = new Map(); // YYYY-MM-DD (UTC) -> { start, end } into the columns
+    this.zoneDayIndexes = new Map(); // IANA zone -> local-day index like dayIndex, built on first use
+    this.isDataLoaded = false;
+    this.loadedFrom = null; // 'cache' or 'csv'
+    this.checksum = null; // SHA-256 of the source CSV
+    this.ingestReport = null; // Row counts from the last CSV parse, see load()
+    this.qualityReport = null; // Gaps, fill values, duplicates and outliers, see utils/seriesQuality.js
+    this.version = 0; // Incremented every time a new series is swapped in
+    this.loadedAt = null;
+    this.location = definition.location || null; // { name, latitude, longitude } of a per-location export
+    this.locationSeries = new Map((definition.locations || []).map(entry => [
+      locationKey(entry.name),
+      new GiovanniTimeSeriesProcessor(locationDefinition(definition, entry))
+    ]));
+    this.reloading = null; // Last queued reload; overlapping reloads run one after another
+    this.totalRecords = 0;
+    this.timeStepHours = definition.timeStepHours || 3;
+    this.dateRange = { start: null, end: null };
+    this.metadata = null; // Giovanni header block, see utils/giovanniCsv.js
+    this.columnName = null;
+    this.fillValue = null;
+  }
+
+  getFilePath() {
+    return path.isAbsolute(this.definition.file)
+      ? this.definition.file
+      : path.join(DATA_DIR, this.definition.file);
+  }
+
+  getCachePath() {
+    const suffix = this.location ? `@${locationKey(this.location.name).replace(/[^a-z0-9]+/g, '-')}` : '';
+    return path.join(CACHE_DIR, `${this.id}${suffix}.series`);
+  }
+
+  // This processor and those of its per-location exports, for loading and watching
+  getSeriesProcessors() {
+    return [this, ...this.locationSeries.values()];
+  }
+
+  // Area the series averages over, from the Giovanni header
+  getBoundingBox() {
+    if (!this.metadata) return null;
+    return this.metadata.userBoundingBox || this.metadata.dataBoundingBox || null;
+  }
+
+  // Point a per-location series stands for: its configured coordinates, else the centre of its box
+  getPoint() {
+    if (this.location && this.location.latitude !== undefined && this.location.longitude !== undefined) {
+      return { lat: this.location.latitude, lon: this.location.longitude };
+    }
+
+    const box = this.getBoundingBox();
+    return box ? boundingBoxCenter(box) : null;
+  }
+
+  /**
+   * The series answering for a requested place (a location name and/or point):
+   * the export for that location by name, else one whose bounding box contains
+   * the point, else the nearest one with a warning, unless that is more than
+   * `maxDistanceKm` away (MAX_SNAP_DISTANCE_KM by default). A dataset without loaded
+   * per-location exports answers with its area average, also with a warning.
+   * `match` is null when no place was requested. Throws a 404 status error when
+   * the place matches none of the exports.
+   */
+  selectSeries({ location, latitude, longitude, maxDistanceKm = MAX_SNAP_DISTANCE_KM } = {}) {
+    const point = latitude !== undefined && longitude !== undefined ? { lat: latitude, lon: longitude } : null;
+    if (!location && !point) {
+      return { series: this, match: null };
+    }
+
+    const { name } = this.definition;
+    const requested = location || `${latitude}, ${longitude}`;
+    const loaded = Array.from(this.locationSeries.values()).filter(series => series.isDataLoaded);
+    const matched = (series, matchedBy, extra = {}) => ({
+      series,
+      match: { requested, location: series.location.name, matchedBy, boundingBox: series.getBoundingBox(), ...extra }
+    });
+
+    const named = location ? this.locationSeries.get(locationKey(location)) : null;
+    if (named && named.isDataLoaded) {
+      return matched(named, 'name');
+    }
+
+    if (loaded.length === 0) {
+      const box = this.getBoundingBox();
+      return {
+        series: this,
+        match: {
+          requested,
+          location: null,
+          matchedBy: 'areaAverage',
+          boundingBox: box,
+          warning: `${name} has no series for ${requested}; values are the area average over ${box ? formatBoundingBox(box) : 'the whole export'}`
+        }
+      };
+    }
+
+    if (point) {
+      const containing = loaded
+        .filter(series => series.getBoundingBox() && boundingBoxContains(series.getBoundingBox(), point))
+        .sort((a, b) => boundingBoxArea(a.getBoundingBox()) - boundingBoxArea(b.getBoundingBox()));
+      if (containing.length > 0) {
+        return matched(containing[0], 'boundingBox');
+      }
+
+      const nearest = nearestTo(point, loaded, series => series.getPoint());
+      if (nearest) {
+        const distanceKm = Math.round(nearest.distanceKm);
+        const { location: nearestLocation } = nearest.item;
+        if (nearest.distanceKm > maxDistanceKm) {
+          throw statusError(404, `${name} has no series within ${maxDistanceKm} km of ${requested}; the nearest, ${nearestLocation.name}, is ${distanceKm} km away`);
+        }
+
+        return matched(nearest.item, 'nearest', {
+          distanceKm,
+          warning: `${name} has no series for ${requested}; using the nearest one, ${nearestLocation.name}, ${distanceKm} km away`
+        });
+      }
+    }
+
+    throw statusError(404, `${name} has no series for "${requested}". Available locations: ${loaded.map(series => series.location.name).join(', ')}`);
+  }
+
+  /**
+   * Load the series from its cache, or stream-parse the CSV when the cache is
+   * stale. Resolves with the ingest report (rows read, accepted and rejected by
+   * reason); a cached load returns the report of the parse that built the cache.
+   * With `ifChanged`, resolves with null instead when the file's checksum is the
+   * one already loaded.
+   */
+  async load({ ifChanged = false } = {}) {
+    const filePath = this.getFilePath();
+    const { name, column } = this.definition;
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`${name} data file not found: ${filePath}`);
+    }
+
+    const checksum = await hashFile(filePath);
+    if (ifChanged && this.isDataLoaded && checksum === this.checksum) {
+      return null;
+    }
+
+    console.log(`📊 Loading ${name.toLowerCase()} data...`);
+
+    const cachePath = this.getCachePath();
+    let series = await readSeriesCache(cachePath, { checksum, column });
+    let loadedFrom = 'cache';
+
+    if (series) {
+      console.log(`⚡ Loaded ${name.toLowerCase()} data from cache (${path.basename(cachePath)})`);
+    } else {
+      series = await this.parseSource(filePath);
+      loadedFrom = 'csv';
+
+      try {
+        await writeSeriesCache(cachePath, { checksum, column, ...series });
+        console.log(`💾 Cached ${name.toLowerCase()} data in ${path.relative(DATA_DIR, cachePath)}`);
+      } catch (error) {
+        console.error(`⚠️ Could not write ${name.toLowerCase()} cache:`, error.message);
+      }
+    }
+
+    this.applySeries(series, { checksum, loadedFrom });
+    console.log(`✅ Loaded ${name.toLowerCase()} data for ${this.dayIndex.size} days`);
+    console.log(`📈 Total ${name.toLowerCase()} records: ${this.totalRecords}`);
+
+    return {
+      dataset: this.id,
+      version: this.version,
+      source: loadedFrom,
+      checksum,
+      ...this.ingestReport,
+      days: this.dayIndex.size,
+      dateRange: this.dateRange,
+      timeStepHours: this.timeStepHours
+    };
+  }
+
+  /**
+   * Re-ingest the source file in the background after it changed on disk.
+   * The current version keeps serving until the new one has loaded, and stays
+   * in place if the reload fails. Resolves with null when nothing changed.
+   */
+  reload() {
+    const run = () => this.load({ ifChanged: true });
+    this.reloading = (this.reloading || Promise.resolve()).then(run, run);
+    return this.reloading;
+  }
+
+  // Stream the Giovanni CSV into time/value columns, logging progress on large files
+  async parseSource(filePath) {
+    const { name, column } = this.definition;
+
+    const series = await streamGiovanniCsv(filePath, {
+      column,
+      onProgress: ({ rowsRead, rowsRejected, bytesRead, totalBytes }) => {
+        const percent = Math.round((bytesRead / totalBytes) * 100);
+        console.log(`⏳ ${name}: ${rowsRead} rows read, ${rowsRejected} rejected (${percent}%)`);
+      }
+    });
+
+    const { report } = series;
+    console.log(`📊 Found ${name.toLowerCase()} data header at line ${series.headerLine}`);
+    if (report.rowsRejected > 0) {
+      const reasons = Object.entries(report.rejected)
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${reason}: ${count}`)
+        .join(', ');
+      console.log(`⚠️ Rejected ${report.rowsRejected} ${name.toLowerCase()} rows (${reasons})`);
+    }
+
+    return series;
+  }
+
+  // Build the columns and per-day index of a new version, then swap them in at once
+  applySeries({ metadata, columnName, fillValue, times, values, fillTimes, duplicateTimes, report }, { checksum, loadedFrom }) {
+    const convert = this.definition.convert || (value => value);
+    const converted = values.map(convert);
+    const dayIndex = new Map();
+
+    for (let i = 0; i < times.length; i++) {
+      const date = new Date(times[i]).toISOString().slice(0, 10);
+      const span = dayIndex.get(date);
+
+      if (span) {
+        span.end = i + 1;
+      } else {
+        dayIndex.set(date, { start: i, end: i + 1 });
+      }
+    }
+
+    const dates = Array.from(dayIndex.keys());
+    const timeStepHours = inferTimeStepHours(times) || this.timeStepHours;
+    const qualityReport = assessSeriesQuality({
+      times,
+      values: converted,
+      fillTimes,
+      duplicateTimes,
+      dayIndex,
+      timeStepHours
+    });
+
+    Object.assign(this, {
+      times,
+      rawValues: values,
+      values: converted,
+      dayIndex,
+      zoneDayIndexes: new Map(),
+      metadata,
+      columnName,
+      fillValue,
+      totalRecords: times.length,
+      timeStepHours,
+      dateRange: {
+        start: dates[0] || null,
+        end: dates[dates.length - 1] || null
+      },
+      checksum,
+      loadedFrom,
+      ingestReport: report || null,
+      qualityReport,
+      version: this.version + 1,
+      loadedAt: new Date().toISOString(),
+      isDataLoaded: true
+    });
+  }
+
+  ensureLoaded() {
+    if (!this.isDataLoaded) {
+      throw new Error(`${this.definition.name} data not loaded`);
+    }
+  }
+
+  /**
+   * Date -> { start, end } index of the local calendar days in a zone. Readings
+   * are sorted by time, so each local day is still one contiguous span.
+   */
+  getDayIndex(timeZone = DEFAULT_TIME_ZONE) {
+    if (timeZone === DEFAULT_TIME_ZONE) return this.dayIndex;
+
+    let dayIndex = this.zoneDayIndexes.get(timeZone);
+    if (!dayIndex) {
+      dayIndex = new Map();
+      for (let i = 0; i < this.times.length; i++) {
+        const date = localDate(this.times[i], timeZone);
+        const span = dayIndex.get(date);
+
+        if (span) {
+          span.end = i + 1;
+        } else {
+          dayIndex.set(date, { start: i, end: i + 1 });
+        }
+      }
+      this.zoneDayIndexes.set(timeZone, dayIndex);
+    }
+
+    return dayIndex;
+  }
+
+  /**
+   * Daily aggregations a request may pick with `aggregate`; the definition's own
+   * rule comes first. Accumulation only makes sense for rates, so it is only
+   * offered when the definition lists it.
+   */
+  getAggregations() {
+    const { aggregation, aggregations = ['mean', 'max', 'min'] } = this.definition;
+    return [aggregation, ...aggregations.filter(name => name !== aggregation)];
+  }
+
+  // Unit of a daily value: accumulating a rate changes it (mm/hour -> mm/day), the others keep the reading unit
+  getDailyUnit(aggregation = this.definition.aggregation, measure = null) {
+    if (measure) return measure.unit;
+
+    const { unit, dailyUnit } = this.definition;
+    return aggregation === 'accumulate' ? dailyUnit || unit : unit;
+  }
+
+  // Other quantities the readings can be reported as, e.g. relative humidity for specific humidity
+  getMeasures() {
+    return Object.keys(this.definition.measures || {});
+  }
+
+  /**
+   * Resolve a measure named in a request against the datasets it is computed
+   * from. The result is passed to resolveDay() as `measure`; it converts a
+   * reading using the input readings at the same timestamp (NaN when an input
+   * has no reading there). Throws with a `status` when the measure is unknown
+   * or an input dataset is missing.
+   */
+  resolveMeasure(name, registry) {
+    const measure = (this.definition.measures || {})[name];
+    if (!measure) {
+      const measures = this.getMeasures();
+      throw statusError(400, measures.length > 0
+        ? `${this.definition.name} can be reported as ${measures.join(', ')}, not "${name}"`
+        : `${this.definition.name} has no alternative measures`);
+    }
+
+    const sources = {};
+    const fallbacks = {};
+
+    Object.entries(measure.inputs).forEach(([key, input]) => {
+      let source = registry.get(input.dataset);
+
+      // A per-location export is converted with the inputs' export for the same location
+      if (source && this.location) {
+        source = source.locationSeries.get(locationKey(this.location.name)) || null;
+        if (!source && input.fallback === undefined) {
+          throw statusError(503, `${measure.name} for ${this.location.name} needs a "${input.dataset}" series for that location`);
+        }
+      }
+
+      if (source && source.isDataLoaded) {
+        if (source.definition.unit !== input.unit) {
+          throw statusError(503, `${measure.name} needs ${source.definition.name} in ${input.unit}, not ${source.definition.unit}`);
+        }
+        sources[key] = source;
+      } else if (input.fallback !== undefined) {
+        fallbacks[key] = input.fallback;
+      } else {
+        throw statusError(503, `${measure.name} needs the "${input.dataset}" dataset, which is not loaded`);
+      }
+    });
+
+    return {
+      name,
+      label: measure.name,
+      unit: measure.unit,
+      inputs: Object.fromEntries(Object.entries(measure.inputs).map(([key, input]) => [
+        key,
+        sources[key] ? { dataset: input.dataset } : { fallback: fallbacks[key] }
+      ])),
+      convert: (time, value) => {
+        const inputs = { ...fallbacks };
+        Object.entries(sources).forEach(([key, source]) => {
+          inputs[key] = source.valueAt(time);
+        });
+        return measure.compute(value, inputs);
+      }
+    };
+  }
+
+  // Reading at exactly `time`, or NaN
+  valueAt(time) {
+    const index = this.findReadingIndex(time);
+    return index < this.times.length && this.times[index] === time ? this.values[index] : NaN;
+  }
+
+  // Daily statistics for a YYYY-MM-DD date key; `options` as for resolveDay()
+  getDay(date, options) {
+    return this.resolveDay(date, options).day;
+  }
+
+  /**
+   * Build the daily record for a date, applying the gap policy:
+   *   minCompleteness  Days with a smaller share of their readings are treated as missing
+   *   gapFill          'none' aggregates the readings present, 'drop' leaves out any
+   *                    incomplete day, 'linear' interpolates missing steps between the
+   *                    neighbouring readings (at most `maxGapHours` apart) and
+   *                    'climatology' uses the mean of the same step on the same day
+   *                    of the other years
+   * Days with no readings at all are never filled. `aggregate` overrides the
+   * dataset's daily rule (one of getAggregations()); `timeZone` makes `date` a
+   * local calendar day in that IANA zone, with reading times in local time;
+   * `measure` (from resolveMeasure()) converts every reading before aggregation.
+   * Resolves to { day } or, when the policy removed the day, { day: null, dropped }.
+   */
+  resolveDay(date, {
+    gapFill = 'none',
+    minCompleteness = 0,
+    maxGapHours = DEFAULT_MAX_GAP_HOURS,
+    aggregate = this.definition.aggregation,
+    timeZone = DEFAULT_TIME_ZONE,
+    measure = null
+  } = {}) {
+    this.ensureLoaded();
+
+    if (!this.getAggregations().includes(aggregate)) {
+      throw new Error(`${this.definition.name} does not support the "${aggregate}" daily aggregation`);
+    }
+    if (measure && aggregate === 'accumulate') {
+      throw statusError(400, `${measure.label} cannot be accumulated`);
+    }
+
+    const span = this.getDayIndex(timeZone).get(date);
+    if (!span) {
+      return { day: null };
+    }
+
+    const measured = this.getReadings(span, timeZone);
+    const slots = this.getDaySlots(date, timeZone);
+    // Local days across a DST change have one step more or less
+    const expectedReadings = slots.length > 0 ? slots.length : null;
+    const completeness = expectedReadings ? Math.min(measured.length / expectedReadings, 1) : 1;
+    // An accumulated or averaged value over a partial day is not comparable to a full one
+    const complete = completeness >= 1;
+
+    const drop = reason => ({
+      day: null,
+      dropped: { date, readings: measured.length, expectedReadings, reason }
+    });
+
+    if (completeness < minCompleteness) {
+      return drop('below_min_completeness');
+    }
+    if (gapFill === 'drop' && !complete) {
+      return drop('incomplete');
+    }
+
+    const imputed = [];
+    const imputedTimes = [];
+    if (!complete && (gapFill === 'linear' || gapFill === 'climatology')) {
+      const present = new Set(this.times.subarray(span.start, span.end));
+
+      slots.forEach(slot => {
+        if (present.has(slot)) return;
+
+        const value = gapFill === 'linear'
+          ? this.interpolateAt(slot, maxGapHours * HOUR_MS)
+          : this.climatologyAt(slot);
+
+        if (value !== null) {
+          imputed.push({ time: localTime(slot, timeZone), value, method: gapFill });
+          imputedTimes.push(slot);
+        }
+      });
+    }
+
+    // Merge on the instant, not the clock time: a local day can wrap past UTC midnight
+    const entries = measured
+      .map((reading, k) => ({ at: this.times[span.start + k], reading }))
+      .concat(imputed.map(({ time, value, method }, k) => ({
+        at: imputedTimes[k],
+        reading: { time, value, raw: null, imputed: method }
+      })))
+      .sort((a, b) => a.at - b.at);
+
+    if (measure) {
+      entries.forEach(({ at, reading }) => {
+        reading.value = measure.convert(at, reading.value);
+      });
+      imputed.forEach((reading, k) => {
+        reading.value = measure.convert(imputedTimes[k], reading.value);
+      });
+    }
+
+    const readings = entries.map(({ reading }) => reading);
+    // Readings a measure could not convert (an input had no reading at that time) are left out
+    const values = readings.map(r => r.value).filter(Number.isFinite);
+    if (values.length === 0) {
+      return { day: null };
+    }
+
+    const { source, classify } = this.definition;
+    const unit = measure ? measure.unit : this.definition.unit;
+    const value = DAILY_AGGREGATIONS[aggregate](values, this.timeStepHours);
+
+    const day = {
+      date,
+      readings: measured.length,
+      expectedReadings,
+      completeness,
+      complete,
+      imputedReadings: imputed.length,
+      value,
+      aggregation: aggregate,
+      mean: DAILY_AGGREGATIONS.mean(values),
+      max: Math.max(...values),
+      min: Math.min(...values),
+      unit: this.getDailyUnit(aggregate, measure),
+      readingUnit: unit,
+      source,
+      raw_readings: readings
+    };
+
+    if (measure) {
+      day.measure = measure.name;
+    }
+
+    if (imputed.length > 0) {
+      day.imputed = imputed;
+    }
+
+    if (classify && !measure) {
+      day.category = classify(value);
+    }
+
+    return { day };
+  }
+
+  // Individual readings of one day, in the { time, value, raw } shape the API returns
+  getReadings({ start, end }, timeZone = DEFAULT_TIME_ZONE) {
+    const readings = [];
+    for (let i = start; i < end; i++) {
+      readings.push({
+        time: localTime(this.times[i], timeZone),
+        value: this.values[i],
+        raw: this.rawValues[i]
+      });
+    }
+    return readings;
+  }
+
+  // Epoch ms of every reading a complete (local) day has, aligned with the series' own time steps
+  getDaySlots(date, timeZone = DEFAULT_TIME_ZONE) {
+    const expected = this.qualityReport ? this.qualityReport.expectedReadingsPerDay : null;
+    if (!expected || this.times.length === 0) return [];
+
+    const stepMs = this.timeStepHours * HOUR_MS;
+    const offset = ((this.times[0] % stepMs) + stepMs) % stepMs;
+    const { start, end } = localDayBounds(date, timeZone);
+    const slots = [];
+
+    for (let slot = Math.ceil((start - offset) / stepMs) * stepMs + offset; slot < end; slot += stepMs) {
+      slots.push(slot);
+    }
+    return slots;
+  }
+
+  // Index of the first reading at or after `time`
+  findReadingIndex(time) {
+    let low = 0;
+    let high = this.times.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.times[mid] < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  // Linear interpolation between the readings either side of `time`
+  interpolateAt(time, maxGapMs) {
+    const next = this.findReadingIndex(time);
+    const prev = next - 1;
+
+    if (prev < 0 || next >= this.times.length || this.times[next] - this.times[prev] > maxGapMs) {
+      return null;
+    }
+
+    const weight = (time - this.times[prev]) / (this.times[next] - this.times[prev]);
+    return this.values[prev] + (this.values[next] - this.values[prev]) * weight;
+  }
+
+  // Mean of the readings at the same time of the same calendar day in the other years
+  climatologyAt(time) {
+    const target = new Date(time);
+    const values = [];
+
+    this.getYears().forEach(year => {
+      if (year === target.getUTCFullYear()) return;
+
+      const sameSlot = Date.UTC(year, target.getUTCMonth(), target.getUTCDate(),
+        target.getUTCHours(), target.getUTCMinutes(), target.getUTCSeconds());
+      // 29 February has no counterpart in common years
+      if (new Date(sameSlot).getUTCMonth() !== target.getUTCMonth()) return;
+
+      const index = this.findReadingIndex(sameSlot);
+      if (index < this.times.length && this.times[index] === sameSlot) {
+        values.push(this.values[index]);
+      }
+    });
+
+    return values.length > 0 ? DAILY_AGGREGATIONS.mean(values) : null;
+  }
+
+  /**
+   * Daily records for a list of dates under one gap policy, plus the dates the
+   * policy removed ({ date, readings, expectedReadings, reason })
+   */
+  getDays(dates, options) {
+    const days = [];
+    const dropped = [];
+
+    dates.forEach(date => {
+      const resolved = this.resolveDay(date, options);
+      if (resolved.day) {
+        days.push(resolved.day);
+      } else if (resolved.dropped) {
+        dropped.push(resolved.dropped);
+      }
+    });
+
+    return { days, dropped };
+  }
+
+  getDatesBetween(startDate, endDate) {
+    const dates = [];
+    const end = new Date(`${endDate}T00:00:00Z`);
+
+    for (let d = new Date(`${startDate}T00:00:00Z`); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+      dates.push(d.toISOString().split('T')[0]);
+    }
+
+    return dates;
+  }
+
+  // The same calendar day in each of the given years
+  getCalendarDates(month, day, years = this.getYears()) {
+    const monthStr = month.toString().padStart(2, '0');
+    const dayStr = day.toString().padStart(2, '0');
+
+    return years.map(year => `${year}-${monthStr}-${dayStr}`);
+  }
+
+  /**
+   * The calendar day ±`window` days in each of the given years, as
+   * `{ date, year, offset }` where `year` is the year whose window the date
+   * falls in and `offset` its distance in days from that year's target day.
+   * Windows may cross into the neighbouring year. A 29 February target falls
+   * back to the 28th in other years once the window is wider than a day.
+   */
+  getCalendarWindow(month, day, window = 0, years = this.getYears()) {
+    if (window === 0) {
+      return this.getCalendarDates(month, day, years)
+        .map((date, i) => ({ date, year: years[i], offset: 0 }));
+    }
+
+    const entries = [];
+    years.forEach(year => {
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const target = Date.UTC(year, month - 1, Math.min(day, lastDay));
+
+      for (let offset = -window; offset <= window; offset++) {
+        const date = new Date(target + offset * DAY_MS).toISOString().split('T')[0];
+        entries.push({ date, year, offset });
+      }
+    });
+
+    return entries;
+  }
+
+  getRange(startDate, endDate, options) {
+    this.ensureLoaded();
+    return this.getDays(this.getDatesBetween(startDate, endDate), options).days;
+  }
+
+  // One daily record per year for the given calendar day (climatological sample)
+  getCalendarDaySample(month, day, years, options) {
+    this.ensureLoaded();
+    return this.getDays(this.getCalendarDates(month, day, years), options).days;
+  }
+
+  getYears() {
+    if (!this.dateRange.start) return [];
+
+    const startYear = parseInt(this.dateRange.start.slice(0, 4));
+    const endYear = parseInt(this.dateRange.end.slice(0, 4));
+    return Array.from({ length: endYear - startYear + 1 }, (_, i) => startYear + i);
+  }
+
+  // Monthly roll-up of daily values; `aggregate`, `timeZone` and `measure` as in resolveDay()
+  getMonthlyStatistics(year, month, { aggregate = this.definition.aggregation, timeZone = DEFAULT_TIME_ZONE, measure = null } = {}) {
+    this.ensureLoaded();
+
+    const prefix = `${year}-${month.toString().padStart(2, '0')}`;
+    const dates = Array.from(this.getDayIndex(timeZone).keys()).filter(date => date.startsWith(prefix));
+    const monthlyData = dates
+      .map(date => this.getDay(date, { aggregate, timeZone, measure }))
+      .filter(Boolean);
+
+    if (monthlyData.length === 0) {
+      return null;
+    }
+
+    const dailyValues = monthlyData.map(day => day.value);
+    const stats = {
+      year,
+      month,
+      daysWithData: monthlyData.length,
+      completeDays: monthlyData.filter(day => day.complete).length,
+      aggregation: aggregate,
+      measure: measure ? measure.name : undefined,
+      timeZone,
+      average: DAILY_AGGREGATIONS.mean(dailyValues),
+      max: Math.max(...dailyValues),
+      min: Math.min(...dailyValues),
+      unit: monthlyData[0].unit,
+      source: this.definition.source
+    };
+
+    if (aggregate === 'accumulate') {
+      stats.total = dailyValues.reduce((sum, val) => sum + val, 0);
+    }
+
+    // e.g. rainy days or windy days, counted against the dataset's own cutoff,
+    // which is expressed in the dataset's default daily aggregation
+    const { monthlyEvent } = this.definition;
+    if (monthlyEvent) {
+      const eventValues = aggregate === this.definition.aggregation && !measure
+        ? dailyValues
+        : dates.map(date => this.getDay(date, { timeZone })).filter(Boolean).map(day => day.value);
+      stats[monthlyEvent.name] = eventValues.filter(val => val > monthlyEvent.threshold).length;
+    }
+
+    return stats;
+  }
+
+  // Full quality report of the loaded version, for GET /api/datasets/:id/quality
+  getQualityReport() {
+    this.ensureLoaded();
+
+    return {
+      dataset: this.id,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      unit: this.definition.unit,
+      ...this.qualityReport
+    };
+  }
+
+  // Where the numbers came from, attached to every analysis response
+  getProvenance() {
+    if (!this.metadata) return null;
+
+    return {
+      title: this.metadata.title,
+      giovanniDataId: this.metadata.dataId,
+      boundingBox: this.metadata.dataBoundingBox,
+      reproduceUrl: this.metadata.reproduceUrl
+    };
+  }
+
+  // Dataset catalog entry built from the definition and the Giovanni header block
+  getCatalogEntry() {
+    const { id, route, name, description, unit, dailyUnit, aggregation, source } = this.definition;
+    const metadata = this.metadata || {};
+    const filePath = this.getFilePath();
+
+    return {
+      id,
+      route,
+      name,
+      description,
+      file: filePath ? path.relative(DATA_DIR, filePath) : null,
+      checksum: this.checksum,
+      title: metadata.title || null,
+      giovanniDataId: metadata.dataId || null,
+      column: this.columnName,
+      fillValue: this.fillValue,
+      requestedPeriod: {
+        start: metadata.userStartDate || null,
+        end: metadata.userEndDate || null
+      },
+      dataBoundingBox: metadata.dataBoundingBox || null,
+      userBoundingBox: metadata.userBoundingBox || null,
+      reproduceUrl: metadata.reproduceUrl || null,
+      dataLoaded: this.isDataLoaded,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      dateRange: this.dateRange,
+      totalRecords: this.totalRecords,
+      ingest: this.ingestReport,
+      quality: this.qualityReport ? {
+        completeness: this.qualityReport.days.completeness,
+        incompleteDays: this.qualityReport.days.incomplete,
+        missingRecords: this.qualityReport.missing.count,
+        fillValueRecords: this.qualityReport.fillValues.count,
+        duplicateRecords: this.qualityReport.duplicates.count,
+        outlierRecords: this.qualityReport.outliers.count
+      } : null,
+      timeStepHours: this.timeStepHours,
+      aggregation,
+      aggregations: this.getAggregations(),
+      measures: this.getMeasures(),
+      locations: Array.from(this.locationSeries.values()).map(series => ({
+        name: series.location.name,
+        file: path.relative(DATA_DIR, series.getFilePath()),
+        dataLoaded: series.isDataLoaded,
+        version: series.version,
+        boundingBox: series.getBoundingBox(),
+        dateRange: series.dateRange
+      })),
+      unit: dailyUnit || unit,
+      readingUnit: unit,
+      source
+    };
+  }
+
+  getDataSummary() {
+    const { id, name, description, unit, dailyUnit, aggregation, source } = this.definition;
+
+    return {
+      id,
+      name,
+      description,
+      dataLoaded: this.isDataLoaded,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      loadedFrom: this.loadedFrom,
+      totalDays: this.dayIndex.size,
+      totalRecords: this.totalRecords,
+      timeStepHours: this.timeStepHours,
+      dateRange: this.dateRange,
+      aggregation,
+      aggregations: this.getAggregations(),
+      source,
+      unit: dailyUnit || unit,
+      readingUnit: unit
+    };
+  }
+}
+
+GiovanniTimeSeriesProcessor.DAILY_AGGREGATIONS = DAILY_AGGREGATIONS;
+GiovanniTimeSeriesProcessor.GAP_FILL_METHODS = GAP_FILL_METHODS;
+GiovanniTimeSeriesProcessor.DEFAULT_MAX_GAP_HOURS = DEFAULT_MAX_GAP_HOURS;
+GiovanniTimeSeriesProcessor.MAX_WINDOW_DAYS = MAX_WINDOW_DAYS;
+
+module.exports = GiovanniTimeSeriesProcessor;
@@ -0,0 +1,231 @@
+const GiovanniTimeSeriesProcessor = require('./giovanniTimeSeriesProcessor');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const definition = {
+  id: 'test_wind',
+  route: 'test-wind',
+  name: 'Test Wind',
+  file: 'Test Wind.csv',
+  unit: 'm/s',
+  aggregation: 'mean'
+};
+
+// Swap a series of { time: ISO string, value } readings into a processor, as load() does after parsing
+function applyReadings(processor, readings, metadata = null) {
+  processor.applySeries({
+    metadata,
+    columnName: 'mean_Test_Wind',
+    fillValue: null,
+    times: Float64Array.from(readings, reading => Date.parse(reading.time)),
+    values: Float64Array.from(readings, reading => reading.value),
+    fillTimes: [],
+    duplicateTimes: [],
+    report: null
+  }, { checksum: null, loadedFrom: 'csv' });
+  return processor;
+}
+
+// 3-hourly readings from `start` for `days` days; `valueAt` gets the epoch ms of each reading
+function threeHourly(start, days, valueAt) {
+  const readings = [];
+  for (let time = Date.parse(start); time < Date.parse(start) + days * 24 * HOUR_MS; time += 3 * HOUR_MS) {
+    readings.push({ time: new Date(time).toISOString(), value: valueAt(time) });
+  }
+  return readings;
+}
+
+describe('selectSeries', () => {
+  const locations = [
+    { name: 'Denver', file: 'Test Wind Denver.csv', latitude: 39.7392, longitude: -104.9903 },
+    { name: 'Chicago', file: 'Test Wind Chicago.csv', latitude: 41.8781, longitude: -87.6298 }
+  ];
+  let processor;
+
+  beforeAll(() => {
+    processor = new GiovanniTimeSeriesProcessor({ ...definition, locations });
+    applyReadings(processor, threeHourly('2020-01-01T00:00:00Z', 1, () => 4), {
+      dataBoundingBox: { west: -125, south: 25, east: -67, north: 53 }
+    });
+    processor.locationSeries.forEach(series => {
+      applyReadings(series, threeHourly('2020-01-01T00:00:00Z', 1, () => 5));
+    });
+  });
+
+  test('picks a location series by name', () => {
+    const { series, match } = processor.selectSeries({ location: 'chicago, IL' });
+
+    expect(series.location.name).toBe('Chicago');
+    expect(match.matchedBy).toBe('name');
+  });
+
+  test('snaps a point to the nearest location series by great-circle distance', () => {
+    const { series, match } = processor.selectSeries({ latitude: 40.015, longitude: -105.2705 });
+
+    expect(series.location.name).toBe('Denver');
+    expect(match).toMatchObject({ requested: '40.015, -105.2705', matchedBy: 'nearest', distanceKm: 39 });
+    expect(match.warning).toMatch('using the nearest one, Denver, 39 km away');
+  });
+
+  test('refuses a point farther than maxDistanceKm from every location series', () => {
+    expect(() => processor.selectSeries({ latitude: 40.015, longitude: -105.2705, maxDistanceKm: 25 }))
+      .toThrow(expect.objectContaining({
+        status: 404,
+        message: 'Test Wind has no series within 25 km of 40.015, -105.2705; the nearest, Denver, is 39 km away'
+      }));
+  });
+
+  test('answers with its own series and no match when no place is requested', () => {
+    expect(processor.selectSeries({})).toEqual({ series: processor, match: null });
+  });
+
+  test('prefers the smallest loaded export whose bounding box contains the point', () => {
+    const boxed = new GiovanniTimeSeriesProcessor({ ...definition, locations });
+    applyReadings(boxed.locationSeries.get('denver'), threeHourly('2020-01-01T00:00:00Z', 1, () => 5), {
+      dataBoundingBox: { west: -106, south: 39, east: -104, north: 41 }
+    });
+    applyReadings(boxed.locationSeries.get('chicago'), threeHourly('2020-01-01T00:00:00Z', 1, () => 6), {
+      dataBoundingBox: { west: -110, south: 35, east: -85, north: 45 }
+    });
+
+    const { series, match } = boxed.selectSeries({ latitude: 40.015, longitude: -105.2705 });
+
+    expect(series.location.name).toBe('Denver');
+    expect(match).toMatchObject({
+      matchedBy: 'boundingBox',
+      boundingBox: { west: -106, south: 39, east: -104, north: 41 }
+    });
+    expect(match.warning).toBeUndefined();
+  });
+
+  test('skips a named export that is not loaded', () => {
+    const partial = new GiovanniTimeSeriesProcessor({ ...definition, locations });
+    applyReadings(partial.locationSeries.get('chicago'), threeHourly('2020-01-01T00:00:00Z', 1, () => 5));
+
+    expect(partial.selectSeries({ location: 'Denver', latitude: 39.7392, longitude: -104.9903, maxDistanceKm: 2000 }).match)
+      .toMatchObject({ location: 'Chicago', matchedBy: 'nearest' });
+    expect(() => partial.selectSeries({ location: 'Denver' }))
+      .toThrow(expect.objectContaining({ status: 404, message: 'Test Wind has no series for "Denver". Available locations: Chicago' }));
+  });
+
+  test('answers with the area average when no location series is loaded', () => {
+    const areaOnly = applyReadings(new GiovanniTimeSeriesProcessor(definition), threeHourly('2020-01-01T00:00:00Z', 1, () => 4));
+    const { series, match } = areaOnly.selectSeries({ latitude: 40.015, longitude: -105.2705 });
+
+    expect(series).toBe(areaOnly);
+    expect(match.matchedBy).toBe('areaAverage');
+  });
+});
+
+describe('gap handling', () => {
+  // Readings count the 3-hour steps since 1 January 2020; 06:00 on 2 January is missing
+  const gapTime = Date.parse('2020-01-02T06:00:00Z');
+  let processor;
+
+  beforeAll(() => {
+    const readings = threeHourly('2020-01-01T00:00:00Z', 3, time => (time - Date.parse('2020-01-01T00:00:00Z')) / (3 * HOUR_MS))
+      .filter(reading => Date.parse(reading.time) !== gapTime);
+    processor = applyReadings(new GiovanniTimeSeriesProcessor(definition), readings);
+  });
+
+  test('aggregates the readings present and flags the day as incomplete', () => {
+    const day = processor.getDay('2020-01-02');
+
+    expect(day).toMatchObject({ readings: 7, expectedReadings: 8, completeness: 0.875, complete: false, imputedReadings: 0 });
+    expect(day.value).toBeCloseTo((8 + 9 + 11 + 12 + 13 + 14 + 15) / 7, 10);
+    expect(processor.getDay('2020-01-01').complete).toBe(true);
+  });
+
+  test('drops incomplete days or days below minCompleteness', () => {
+    expect(processor.resolveDay('2020-01-02', { gapFill: 'drop' })).toEqual({
+      day: null,
+      dropped: { date: '2020-01-02', readings: 7, expectedReadings: 8, reason: 'incomplete' }
+    });
+    expect(processor.resolveDay('2020-01-02', { minCompleteness: 0.9 }).dropped.reason).toBe('below_min_completeness');
+    expect(processor.getDay('2020-01-02', { minCompleteness: 0.8 })).not.toBeNull();
+
+    const { days, dropped } = processor.getDays(processor.getDatesBetween('2020-01-01', '2020-01-03'), { gapFill: 'drop' });
+    expect(days.map(day => day.date)).toEqual(['2020-01-01', '2020-01-03']);
+    expect(dropped.map(day => day.date)).toEqual(['2020-01-02']);
+  });
+
+  test('interpolates missing steps linearly between the neighbouring readings', () => {
+    const day = processor.getDay('2020-01-02', { gapFill: 'linear' });
+
+    expect(day.imputedReadings).toBe(1);
+    expect(day.imputed).toEqual([{ time: '06:00:00', value: 10, method: 'linear' }]);
+    expect(day.value).toBe(11.5);
+    expect(day.raw_readings[2]).toEqual({ time: '06:00:00', value: 10, raw: null, imputed: 'linear' });
+  });
+
+  test('leaves gaps longer than maxGapHours unfilled', () => {
+    const day = processor.getDay('2020-01-02', { gapFill: 'linear', maxGapHours: 3 });
+
+    expect(day.imputedReadings).toBe(0);
+    expect(day.readings).toBe(7);
+  });
+
+  test('fills missing steps with the same step of the same day in other years', () => {
+    const readings = [2019, 2020, 2021].flatMap(year =>
+      threeHourly(`${year}-01-02T00:00:00Z`, 1, () => ({ 2019: 10, 2020: 0, 2021: 20 })[year])
+    ).filter(reading => Date.parse(reading.time) !== gapTime);
+    const yearly = applyReadings(new GiovanniTimeSeriesProcessor(definition), readings);
+    const day = yearly.getDay('2020-01-02', { gapFill: 'climatology' });
+
+    expect(day.imputed).toEqual([{ time: '06:00:00', value: 15, method: 'climatology' }]);
+    expect(day.value).toBeCloseTo(15 / 8, 10);
+  });
+});
+
+describe('local calendar days', () => {
+  // Readings count the 3-hour steps since midnight UTC on 1 January 2020
+  let processor;
+
+  beforeAll(() => {
+    processor = applyReadings(new GiovanniTimeSeriesProcessor(definition),
+      threeHourly('2020-01-01T00:00:00Z', 3, time => (time - Date.parse('2020-01-01T00:00:00Z')) / (3 * HOUR_MS)));
+  });
+
+  test('bucket UTC readings into UTC days by default', () => {
+    const day = processor.getDay('2020-01-02');
+
+    expect(day.raw_readings.map(reading => reading.value)).toEqual([8, 9, 10, 11, 12, 13, 14, 15]);
+    expect(day.raw_readings[0].time).toBe('00:00:00');
+  });
+
+  test('bucket readings into the local days of a time zone, with local reading times', () => {
+    // Midnight to midnight in New York is 05:00 to 05:00 UTC, so the day starts with the 06:00 UTC reading
+    const day = processor.getDay('2020-01-02', { timeZone: 'America/New_York' });
+
+    expect(day.raw_readings.map(reading => reading.value)).toEqual([10, 11, 12, 13, 14, 15, 16, 17]);
+    expect(day.raw_readings[0].time).toBe('01:00:00');
+    expect(day.complete).toBe(true);
+    expect(day.value).toBe(13.5);
+  });
+
+  test('treat the partial local days at the ends of the series as incomplete', () => {
+    const first = processor.getDay('2019-12-31', { timeZone: 'America/New_York' });
+
+    expect(first.readings).toBe(2);
+    expect(first.complete).toBe(false);
+    expect(processor.getDay('2020-01-01', { timeZone: 'Asia/Tokyo' }).readings).toBe(5);
+  });
+});
+
+describe('getCalendarWindow', () => {
+  const processor = new GiovanniTimeSeriesProcessor(definition);
+
+  test('lists the target day of each year with its offsets, crossing year ends', () => {
+    expect(processor.getCalendarWindow(1, 1, 1, [2020])).toEqual([
+      { date: '2019-12-31', year: 2020, offset: -1 },
+      { date: '2020-01-01', year: 2020, offset: 0 },
+      { date: '2020-01-02', year: 2020, offset: 1 }
+    ]);
+  });
+
+  test('centres a 29 February window on the 28th in common years', () => {
+    const dates = processor.getCalendarWindow(2, 29, 1, [2020, 2021]).map(entry => entry.date);
+
+    expect(dates).toEqual(['2020-02-28', '2020-02-29', '2020-03-01', '2021-02-27', '2021-02-28', '2021-03-01']);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Gridded field definitions
+ *
+ * Each entry is a NetCDF file (NetCDF-3 or NetCDF-4) holding one variable on a
+ * time/lat/lon grid, such as an NLDAS hour or a 0.25° GLDAS tile exported from
+ * Giovanni. It is loaded into the gridded field store for point queries with
+ * nearest-neighbour or bilinear interpolation (GET /api/grids/:id/point).
+ *
+ *   id         Grid id used in the URL
+ *   file       NetCDF file in data/ (or an absolute path)
+ *   variable   Name of the gridded variable in the file
+ *   unit       Unit of each value after `convert`
+ *   convert    Converts a raw value into `unit`
+ *   dataset    Dataset id (see datasets.js) whose series a point of this grid can stand in
+ *              for; /historical-analysis then analyses the point's own series
+ *   baseline   Whether /historical-analysis reads its baseline temperature from this grid
+ *
+ * Files that are not present are skipped at startup.
+ */
+
+const path = require('path');
+
+module.exports = [
+  {
+    id: 'nldas_tair',
+    name: 'NLDAS Air Temperature',
+    file: path.join(__dirname, '../giovanni_data/NLDAS_FORA0125_H.A19790101.1300.020.nc'),
+    variable: 'Tair',
+    unit: '°C',
+    convert: value => value - 273.15, // Kelvin in the file
+    baseline: true,
+    description: '2-meter air temperature, hourly 0.125 deg over North America',
+    source: 'NASA NLDAS-2 Forcing (NLDAS_FORA0125_H)'
+  }
+];
@@ -8,66 +8,47 @@ const historicalAnalysisRoutes = require('./routes/historicalAnalysis');
 const geocodingRoutes = require('./routes/geocoding');
 const testAnalysisRoutes = require('./routes/testAnalysis');
 const giovanniAnalysisRoutes = require('./routes/giovanniAnalysis');
-const humidityRoutes = require('./routes/humidityRoutes');
-const { router: precipitationRoutes, initializePrecipitationProcessor } = require('./routes/precipitationRoutes');
-const { router: windSpeedRoutes, initializeWindSpeedProcessor } = require('./routes/windSpeedRoutes');
-const HumidityProcessor = require('./humidityProcessor');
-const PrecipitationProcessor = require('./precipitationProcessor');
-const WindSpeedProcessor = require('./windSpeedProcessor');
+const datasetRoutes = require('./routes/datasetRoutes');
+const gridRoutes = require('./routes/gridRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const datasetRegistry = require('./services/datasetRegistry');
+const datasetUploadService = require('./services/datasetUploadService');
+const dataWatcher = require('./services/dataWatcher');
+const datasetDefinitions = require('./datasets');
+const derivedVariables = require('./derivedVariables');
+const griddedFieldStore = require('./services/griddedFieldStore');
+const griddedFields = require('./griddedFields');
+const gazetteer = require('./services/gazetteerService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize humidity processor
-const humidityProcessor = new HumidityProcessor();
-
-// Initialize precipitation processor
-const precipitationProcessor = new PrecipitationProcessor();
-
-// Initialize wind speed processor
-const windSpeedProcessor = new WindSpeedProcessor();
-
-// Load humidity data on startup
-humidityProcessor.loadHumidityData().then(success => {
-  if (success) {
-    console.log('✅ Humidity data loaded successfully');
-    const summary = humidityProcessor.getDataSummary();
-    console.log('📊 Humidity data summary:', summary);
-  } else {
-    console.log('⚠️  Humidity data not loaded - continuing without humidity features');
-  }
-}).catch(error => {
-  console.error('❌ Error loading humidity data:', error);
-});
+// Register the Giovanni time-series datasets (plus earlier uploads) and the variables
+// derived from them, and load them on startup
+datasetDefinitions.forEach(definition => datasetRegistry.register(definition));
+datasetUploadService.restore(datasetRegistry);
+derivedVariables.forEach(definition => datasetRegistry.register(definition));
+
+// Once loaded, changed CSVs in data/ are re-ingested in the background (WATCH_DATA=false to disable)
+datasetRegistry.loadAll()
+  .then(() => {
+    if (process.env.WATCH_DATA !== 'false') {
+      dataWatcher.start(datasetRegistry);
+    }
+  })
+  .catch(error => {
+    console.error('❌ Error loading datasets:', error);
+  });
 
-// Load precipitation data on startup
-precipitationProcessor.loadPrecipitationData().then(() => {
-  console.log('✅ Precipitation data loaded successfully');
-  const summary = precipitationProcessor.getDataSummary();
-  console.log('📊 Precipitation data summary:', summary);
-  
-  // Initialize precipitation routes with processor
-  initializePrecipitationProcessor(precipitationProcessor);
-}).catch(error => {
-  console.error('❌ Error loading precipitation data:', error);
-});
+// Gridded fields (NetCDF) for point queries; missing files are skipped
+griddedFields.forEach(definition => griddedFieldStore.register(definition));
+griddedFieldStore.loadAll();
 
-// Load wind speed data on startup
-windSpeedProcessor.loadWindSpeedData().then(() => {
-  console.log('✅ Wind speed data loaded successfully');
-  const summary = windSpeedProcessor.getDataSummary();
-  console.log('📊 Wind speed data summary:', summary);
-  
-  // Initialize wind speed routes with processor
-  initializeWindSpeedProcessor(windSpeedProcessor);
-}).catch(error => {
-  console.error('❌ Error loading wind speed data:', error);
-});
+// Offline gazetteer behind /api/geocode and /api/reverse-geocode
+gazetteer.load();
 
-// Make processors available to routes
-app.locals.humidityProcessor = humidityProcessor;
-app.locals.precipitationProcessor = precipitationProcessor;
-app.locals.windSpeedProcessor = windSpeedProcessor;
+// Make the dataset registry available to routes
+app.locals.datasetRegistry = datasetRegistry;
 
 // Security middleware
 app.use(helmet());
@@ -117,9 +98,9 @@ app.get('/test', (req, res) => {
 app.use('/api', giovanniAnalysisRoutes);
 app.use('/api', geocodingRoutes);
 app.use('/api', testAnalysisRoutes);
-app.use('/api', humidityRoutes);
-app.use('/api', precipitationRoutes);
-app.use('/api', windSpeedRoutes);
+app.use('/api', gridRoutes);
+app.use('/api', locationRoutes);
+app.use('/api', datasetRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
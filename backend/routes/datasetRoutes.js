@@ -0,0 +1,1315 @@
+const express = require('express');
+const Joi = require('joi');
+const multer = require('multer');
+const datasetUploadService = require('../services/datasetUploadService');
+const giovanniDataService = require('../services/giovanniDataService');
+const simpleGiovanniService = require('../services/simpleGiovanniService');
+const GiovanniTimeSeriesProcessor = require('../giovanniTimeSeriesProcessor');
+const { isValidTimeZone, resolveTimeZone } = require('../utils/timeZones');
+const { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, unitIn, toUnitSystem, convertDay, convertMonthlyStatistics } = require('../utils/units');
+const {
+  calculateMean,
+  createDistributionData,
+  probabilityIntervals,
+  windowWeight,
+  weightedShare,
+  effectiveSampleSize,
+  WINDOW_WEIGHTINGS,
+  DEFAULT_WINDOW_WEIGHTING,
+  resolveThreshold,
+  PERCENTILE_THRESHOLD_PATTERN,
+  gevAnalysis,
+  gpdAnalysis,
+  DEFAULT_RETURN_PERIODS,
+  MIN_GEV_SAMPLE,
+  MIN_GPD_PEAKS
+} = require('../utils/statisticalCalculations');
+const { trendTests, describeTrends } = require('../utils/trendAnalysis');
+const { statusError } = require('../utils/statusError');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 365;
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_YEAR_COVERAGE = 0.8; // Share of a year's days needed for its annual maximum to count
+
+// Giovanni exports are kept in memory for validation before being written to data/uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+}).single('file');
+
+// How missing sub-daily readings are treated (see GiovanniTimeSeriesProcessor.resolveDay)
+const gapOptionKeys = {
+  gapFill: Joi.string().valid(...GiovanniTimeSeriesProcessor.GAP_FILL_METHODS).optional(),
+  minCompleteness: Joi.number().min(0).max(1).optional(),
+  maxGapHours: Joi.number().positive().max(240).optional()
+};
+
+// Daily rule overriding the dataset's own, e.g. peak instead of mean wind speed
+const aggregateKey = {
+  aggregate: Joi.string().valid(...Object.keys(GiovanniTimeSeriesProcessor.DAILY_AGGREGATIONS)).optional()
+};
+
+// Which local calendar day a reading belongs to: an IANA zone, or one derived from the location
+const timeZoneKeys = {
+  timeZone: Joi.string()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '"timeZone" must be an IANA time zone such as America/Chicago' })
+    .optional(),
+  longitude: Joi.number().min(-180).max(180).optional()
+};
+
+// Place whose series is used (see GiovanniTimeSeriesProcessor.selectSeries); with
+// `longitude` a latitude gives a point to match against each export's bounding box,
+// or to snap to the nearest export no more than `maxDistanceKm` away
+const locationKey = {
+  location: Joi.string().optional(),
+  latitude: Joi.number().min(-90).max(90).optional(),
+  maxDistanceKm: Joi.number().positive().optional()
+};
+
+// Unit system of every value in the response (and of analysis thresholds), and an
+// alternative measure of the readings such as relative humidity
+const presentationKeys = {
+  units: Joi.string().valid(...UNIT_SYSTEMS).optional(),
+  measure: Joi.string().optional()
+};
+
+// An absolute threshold, or a percentile of the climatology such as "p90" (see resolveThreshold)
+const THRESHOLD_MESSAGE = '{{#label}} must be a number or a percentile such as "p90"';
+const thresholdSchema = Joi.alternatives(Joi.number(), Joi.string().pattern(PERCENTILE_THRESHOLD_PATTERN))
+  .messages({ 'alternatives.types': THRESHOLD_MESSAGE, 'string.pattern.base': THRESHOLD_MESSAGE });
+
+const dayQuerySchema = Joi.object({ ...timeZoneKeys, ...locationKey, ...presentationKeys }).unknown(true);
+const rangeQuerySchema = Joi.object({
+  ...gapOptionKeys, ...aggregateKey, ...timeZoneKeys, ...locationKey, ...presentationKeys
+}).unknown(true);
+const monthlyQuerySchema = Joi.object({ ...aggregateKey, ...timeZoneKeys, ...locationKey, ...presentationKeys }).unknown(true);
+const summaryQuerySchema = Joi.object({ units: presentationKeys.units }).unknown(true);
+
+// Validation schema for dataset analysis requests
+const analysisSchema = Joi.object({
+  ...locationKey,
+  month: Joi.number().integer().min(1).max(12),
+  day: Joi.number().integer().min(1).max(31),
+  year: Joi.number().integer().min(1979).max(2100).optional(),
+  startDate: Joi.string().pattern(DATE_PATTERN),
+  endDate: Joi.string().pattern(DATE_PATTERN),
+  threshold: thresholdSchema.required(),
+  operator: Joi.string().valid('>=', '<=').optional(),
+  completeOnly: Joi.boolean().optional(), // Shorthand for gapFill: 'drop'
+  confidence: Joi.number().min(0.5).max(0.999).optional(), // Level of the probability intervals
+  // ±days around the calendar day sampled in each year, and how days count by their distance
+  window: Joi.number().integer().min(0).max(GiovanniTimeSeriesProcessor.MAX_WINDOW_DAYS).optional(),
+  weighting: Joi.string().valid(...Object.keys(WINDOW_WEIGHTINGS)).optional(),
+  ...gapOptionKeys,
+  ...aggregateKey,
+  ...timeZoneKeys,
+  ...presentationKeys,
+  variable: Joi.string().optional(),
+  variableInfo: Joi.object().optional()
+})
+  .and('month', 'day')
+  .and('startDate', 'endDate')
+  .or('month', 'startDate')
+  .with('window', 'month')
+  .with('weighting', 'window');
+
+// Variable ids taken besides dataset ids: the temperature dataset's daily extremes, as in /historical-analysis
+const VARIABLE_ALIASES = {
+  max_temp: { dataset: 'temperature', aggregate: 'max', operator: '>=' },
+  min_temp: { dataset: 'temperature', aggregate: 'min', operator: '<=' }
+};
+// Unit of the temperature series /historical-analysis reads for them
+const TEMPERATURE_UNIT = '°C';
+
+const extremesSchema = Joi.object({
+  variable: Joi.string().required(), // Dataset id, max_temp or min_temp
+  ...locationKey,
+  method: Joi.string().valid('gev', 'gpd').optional(),
+  tail: Joi.string().valid('upper', 'lower').optional(),
+  threshold: thresholdSchema.optional(), // Value whose return period is wanted
+  returnPeriods: Joi.array().items(Joi.number().greater(1).max(10000)).min(1).max(20).optional(),
+  peaksThreshold: Joi.number().optional(), // gpd: fixed threshold for the peaks, or
+  peaksQuantile: Joi.number().min(0.5).max(0.999).optional(), // the quantile of the daily values used as one
+  runDays: Joi.number().integer().min(1).max(30).optional(), // gpd: days without an exceedance that end a cluster
+  confidence: Joi.number().min(0.5).max(0.999).optional(),
+  ...gapOptionKeys,
+  ...aggregateKey,
+  ...timeZoneKeys,
+  ...presentationKeys
+}).oxor('peaksThreshold', 'peaksQuantile');
+
+// One condition of a compound event, e.g. wind_speed >= 8 m/s
+const MAX_COMPOUND_CONDITIONS = 6;
+const conditionSchema = Joi.object({
+  variable: Joi.string().required(), // Dataset id, max_temp or min_temp
+  threshold: thresholdSchema.required(),
+  operator: Joi.string().valid('>=', '<=').optional(),
+  measure: Joi.string().optional(),
+  ...aggregateKey
+});
+
+const compoundSchema = Joi.object({
+  ...locationKey,
+  conditions: Joi.array().items(conditionSchema).min(2).max(MAX_COMPOUND_CONDITIONS).required(),
+  month: Joi.number().integer().min(1).max(12),
+  day: Joi.number().integer().min(1).max(31),
+  year: Joi.number().integer().min(1979).max(2100).optional(),
+  startDate: Joi.string().pattern(DATE_PATTERN),
+  endDate: Joi.string().pattern(DATE_PATTERN),
+  window: analysisSchema.extract('window'),
+  weighting: analysisSchema.extract('weighting'),
+  confidence: Joi.number().min(0.5).max(0.999).optional(),
+  units: presentationKeys.units,
+  ...gapOptionKeys,
+  ...timeZoneKeys
+})
+  .and('month', 'day')
+  .and('startDate', 'endDate')
+  .or('month', 'startDate')
+  .with('window', 'month')
+  .with('weighting', 'window');
+
+// The calendar day, window and place a percentile threshold is resolved for, as an analysis of them would
+const percentileThresholdSchema = Joi.object({
+  variable: Joi.string().required(), // Dataset id, max_temp or min_temp
+  threshold: Joi.string().pattern(PERCENTILE_THRESHOLD_PATTERN).required()
+    .messages({ 'string.pattern.base': '"threshold" must be a percentile such as "p90"' }),
+  ...locationKey,
+  month: Joi.number().integer().min(1).max(12).required(),
+  day: Joi.number().integer().min(1).max(31).required(),
+  window: analysisSchema.extract('window'),
+  weighting: analysisSchema.extract('weighting'),
+  ...gapOptionKeys,
+  ...aggregateKey,
+  ...timeZoneKeys,
+  ...presentationKeys
+}).with('weighting', 'window');
+
+// Resolve the dataset named in the URL; unknown prefixes fall through to later routers
+function resolveDataset(req, res, next) {
+  const processor = req.app.locals.datasetRegistry.getByRoute(req.params.dataset);
+
+  if (!processor) {
+    return next('route');
+  }
+
+  if (!processor.isDataLoaded) {
+    return res.status(503).json({
+      error: `${processor.definition.name} data not available`,
+      message: `${processor.definition.name} data is not loaded or failed to load`
+    });
+  }
+
+  req.dataset = processor;
+  next();
+}
+
+// `zone` is the resolveTimeZone() result the daily values were bucketed in
+function datasetMetadata(processor, {
+  aggregate = processor.definition.aggregation,
+  zone = resolveTimeZone(),
+  measure = null,
+  units = DEFAULT_UNIT_SYSTEM
+} = {}) {
+  const { definition } = processor;
+  return {
+    dataset: definition.id,
+    source: definition.source,
+    description: definition.description,
+    unit: unitIn(processor.getDailyUnit(aggregate, measure), units),
+    units,
+    aggregation: aggregate,
+    measure: measure ? { name: measure.name, label: measure.label, inputs: measure.inputs } : undefined,
+    timeZone: zone.timeZone,
+    timeZoneSource: zone.source
+  };
+}
+
+/**
+ * Series of the requested dataset for the place in a request, and how it was
+ * matched. A named city without coordinates is placed with the city table so
+ * that it can still be matched by bounding box or distance. Throws with a status.
+ */
+function requestSeries(processor, { location, latitude, longitude, maxDistanceKm }) {
+  let point = latitude !== undefined && longitude !== undefined ? { latitude, longitude } : {};
+
+  if (location && point.latitude === undefined) {
+    const cityName = location.split(',')[0].trim().toLowerCase();
+    const city = Object.entries(giovanniDataService.getAvailableCities())
+      .find(([name]) => name.toLowerCase() === cityName);
+    if (city) {
+      point = { latitude: city[1].lat, longitude: city[1].lon };
+    }
+  }
+
+  return processor.selectSeries({ location, ...point, maxDistanceKm });
+}
+
+// Titles of the errors resolveMeasure throws: an unknown measure, or one whose inputs are not loaded
+const MEASURE_ERRORS = {
+  400: 'Invalid measure',
+  503: 'Measure unavailable'
+};
+
+// Measure named in a request, resolved against the datasets it is computed from; throws with a status
+function requestMeasure(req, series, name) {
+  try {
+    return name ? series.resolveMeasure(name, req.app.locals.datasetRegistry) : null;
+  } catch (error) {
+    if (error.status && !error.title) error.title = MEASURE_ERRORS[error.status];
+    throw error;
+  }
+}
+
+// Errors thrown with a status without a title of their own: the client's, a missing series, or missing data
+const STATUS_ERRORS = {
+  400: 'Invalid request',
+  404: 'Location not available',
+  503: 'Dataset not loaded'
+};
+
+function sendStatusError(res, error) {
+  return res.status(error.status).json({
+    error: error.title || STATUS_ERRORS[error.status] || 'Request failed',
+    message: error.message
+  });
+}
+
+/**
+ * Loaded dataset behind a variable id (a dataset id or one of VARIABLE_ALIASES),
+ * with the daily rule and threshold operator it defaults to. Throws with a status.
+ */
+function resolveVariable(registry, variable) {
+  const alias = VARIABLE_ALIASES[variable];
+  const processor = registry.get(alias ? alias.dataset : variable);
+
+  if (!processor) {
+    const available = [...Object.keys(VARIABLE_ALIASES), ...registry.list().map(p => p.id)];
+    throw statusError(404, `No dataset "${variable}". Available: ${available.join(', ')}`, 'Variable not found');
+  }
+
+  if (!processor.isDataLoaded) {
+    const { name } = processor.definition;
+    throw statusError(503, `${name} data is not loaded or failed to load`, `${name} data not available`);
+  }
+
+  return {
+    processor,
+    aggregate: alias ? alias.aggregate : processor.definition.aggregation,
+    operator: alias ? alias.operator : processor.definition.operator
+  };
+}
+
+// 400 response body when the dataset does not offer the requested daily aggregation, else null
+function unsupportedAggregate(processor, aggregate) {
+  const aggregations = processor.getAggregations();
+  if (!aggregate || aggregations.includes(aggregate)) return null;
+
+  return {
+    error: 'Unsupported aggregation',
+    message: `${processor.definition.name} supports ${aggregations.join(', ')} daily aggregation`
+  };
+}
+
+// 400 response body for a reversed range or one longer than MAX_RANGE_DAYS, else null
+function dateRangeError(startDate, endDate) {
+  if (startDate > endDate) {
+    return {
+      error: 'Invalid date range',
+      message: 'Start date must be before end date'
+    };
+  }
+
+  // Limit range to prevent excessive data
+  const daysDiff = (new Date(endDate) - new Date(startDate)) / DAY_MS;
+  if (daysDiff > MAX_RANGE_DAYS) {
+    return {
+      error: 'Date range too large',
+      message: `Maximum allowed range is ${MAX_RANGE_DAYS} days`
+    };
+  }
+
+  return null;
+}
+
+function exceedsThreshold(value, threshold, operator) {
+  return operator === '<=' ? value <= threshold : value >= threshold;
+}
+
+/**
+ * Daily values a percentile threshold is taken from: the ±window days around
+ * the calendar day in every year of the series, weighted as in an analysis,
+ * or the days of a date range. `dayOptions` are passed to getDays().
+ */
+function climatology(series, { month, day, window = 0, weighting, dates }, dayOptions, units) {
+  const entries = month
+    ? series.getCalendarWindow(month, day, window)
+    : dates.map(date => ({ date, offset: 0 }));
+  const offsets = new Map(entries.map(entry => [entry.date, entry.offset]));
+  const { days } = series.getDays(Array.from(offsets.keys()), dayOptions);
+
+  return {
+    values: days.map(dayData => convertDay(dayData, units).value),
+    weights: days.map(dayData => windowWeight(offsets.get(dayData.date), window, weighting))
+  };
+}
+
+function gapOptions({ gapFill, minCompleteness, maxGapHours }) {
+  return { gapFill: gapFill || 'none', minCompleteness: minCompleteness || 0, maxGapHours };
+}
+
+// Which readings were imputed and which days the gap policy removed
+function gapHandlingMetadata(options, days, dropped) {
+  const imputed = [];
+  days.forEach(day => {
+    (day.imputed || []).forEach(reading => imputed.push({ date: day.date, ...reading }));
+  });
+
+  return {
+    method: options.gapFill,
+    minCompleteness: options.minCompleteness,
+    maxGapHours: options.gapFill === 'linear'
+      ? options.maxGapHours || GiovanniTimeSeriesProcessor.DEFAULT_MAX_GAP_HOURS
+      : undefined,
+    imputedDays: days.filter(day => day.imputedReadings > 0).length,
+    imputedReadings: imputed.length,
+    imputed,
+    droppedDays: dropped
+  };
+}
+
+// Each year's largest daily value (smallest for the lower tail), leaving out years with too few days
+function annualExtremes(days, tail) {
+  const byYear = new Map();
+
+  days.forEach(dayData => {
+    const year = parseInt(dayData.date.slice(0, 4));
+    const entry = byYear.get(year) || { year, value: null, date: null, days: 0 };
+    entry.days++;
+    if (entry.value === null || (tail === 'lower' ? dayData.value < entry.value : dayData.value > entry.value)) {
+      entry.value = dayData.value;
+      entry.date = dayData.date;
+    }
+    byYear.set(year, entry);
+  });
+
+  const extremes = [];
+  const skippedYears = [];
+  byYear.forEach(entry => {
+    const daysInYear = (Date.UTC(entry.year + 1, 0, 1) - Date.UTC(entry.year, 0, 1)) / DAY_MS;
+    (entry.days / daysInYear >= MIN_YEAR_COVERAGE ? extremes : skippedYears).push(entry);
+  });
+
+  return { extremes, skippedYears };
+}
+
+// Convert histogram bins into the { x, y, range } points the frontend charts use
+function toDistributionPoints(values, threshold, variable) {
+  const { bins, frequencies } = createDistributionData(values, threshold, variable);
+  return bins.map((bin, i) => ({
+    x: bin.midpoint,
+    y: frequencies[i],
+    range: `${bin.min.toPrecision(3)}-${bin.max.toPrecision(3)}`
+  }));
+}
+
+// Dataset catalog built from the Giovanni header of every registered file
+router.get('/datasets', (req, res) => {
+  try {
+    const catalog = req.app.locals.datasetRegistry.list().map(processor => processor.getCatalogEntry());
+
+    res.json({
+      success: true,
+      datasets: catalog,
+      count: catalog.length
+    });
+
+  } catch (error) {
+    console.error('Error building dataset catalog:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Upload a new Giovanni time-series CSV and register it without a restart
+router.post('/datasets', (req, res) => {
+  upload(req, res, async (uploadErr) => {
+    try {
+      if (uploadErr) {
+        const tooLarge = uploadErr.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          error: 'Upload Error',
+          message: tooLarge ? `File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB upload limit` : uploadErr.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'Missing file',
+          message: 'Send the Giovanni CSV as multipart/form-data in a "file" field'
+        });
+      }
+
+      const result = await datasetUploadService.upload(req.app.locals.datasetRegistry, {
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+        fields: req.body
+      });
+
+      res.status(201).json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: 'Dataset Rejected',
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      console.error('Error uploading dataset:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+});
+
+// Catalog entry for a single dataset
+router.get('/datasets/:id', (req, res) => {
+  const processor = req.app.locals.datasetRegistry.get(req.params.id);
+
+  if (!processor) {
+    return res.status(404).json({
+      error: 'Dataset not found',
+      message: `No dataset registered with id "${req.params.id}"`
+    });
+  }
+
+  res.json({
+    success: true,
+    dataset: processor.getCatalogEntry()
+  });
+});
+
+// Data quality report: missing timestamps, fill values, duplicates, outliers and day completeness
+router.get('/datasets/:id/quality', (req, res) => {
+  const processor = req.app.locals.datasetRegistry.get(req.params.id);
+
+  if (!processor) {
+    return res.status(404).json({
+      error: 'Dataset not found',
+      message: `No dataset registered with id "${req.params.id}"`
+    });
+  }
+
+  if (!processor.isDataLoaded) {
+    return res.status(503).json({
+      error: `${processor.definition.name} data not available`,
+      message: `${processor.definition.name} data is not loaded or failed to load`
+    });
+  }
+
+  res.json({
+    success: true,
+    quality: processor.getQualityReport()
+  });
+});
+
+// Get daily data for a specific date
+router.get('/:dataset/date/:date', resolveDataset, (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        error: 'Invalid date format',
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const { error, value } = dayQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { series, match } = requestSeries(req.dataset, value);
+    const zone = resolveTimeZone(value);
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+    const measure = requestMeasure(req, series, value.measure);
+    const dayData = convertDay(series.getDay(date, { timeZone: zone.timeZone, measure }), units);
+
+    if (!dayData) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: `No ${req.dataset.definition.name.toLowerCase()} data available for ${date}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: dayData,
+      metadata: {
+        ...datasetMetadata(req.dataset, { zone, measure, units }),
+        location: match,
+        date_requested: date
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendStatusError(res, error);
+    }
+
+    console.error(`Error fetching ${req.dataset.id} data:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Get daily data for a date range
+router.get('/:dataset/range', resolveDataset, (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        error: 'Missing parameters',
+        message: 'Both startDate and endDate are required'
+      });
+    }
+
+    if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+      return res.status(400).json({
+        error: 'Invalid date format',
+        message: 'Dates must be in YYYY-MM-DD format'
+      });
+    }
+
+    const invalidRange = dateRangeError(startDate, endDate);
+    if (invalidRange) {
+      return res.status(400).json(invalidRange);
+    }
+
+    const { error, value } = rangeQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const unsupported = unsupportedAggregate(req.dataset, value.aggregate);
+    if (unsupported) {
+      return res.status(400).json(unsupported);
+    }
+
+    const options = gapOptions(value);
+    const aggregate = value.aggregate || req.dataset.definition.aggregation;
+    const { series, match } = requestSeries(req.dataset, value);
+    const zone = resolveTimeZone(value);
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+    const measure = requestMeasure(req, series, value.measure);
+    const { days, dropped } = series.getDays(
+      series.getDatesBetween(startDate, endDate),
+      { ...options, aggregate, timeZone: zone.timeZone, measure }
+    );
+    const rangeData = days.map(day => convertDay(day, units));
+
+    res.json({
+      success: true,
+      data: rangeData,
+      count: rangeData.length,
+      metadata: {
+        ...datasetMetadata(req.dataset, { aggregate, zone, measure, units }),
+        location: match,
+        range: { startDate, endDate },
+        records_found: rangeData.length,
+        gapHandling: gapHandlingMetadata(options, rangeData, dropped)
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendStatusError(res, error);
+    }
+
+    console.error(`Error fetching ${req.dataset.id} range:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Get monthly statistics
+router.get('/:dataset/monthly/:year/:month', resolveDataset, (req, res) => {
+  try {
+    const { year, month } = req.params;
+    const yearNum = parseInt(year);
+    const monthNum = parseInt(month);
+
+    if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'Year must be a number and month must be between 1-12'
+      });
+    }
+
+    const { error, value } = monthlyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const unsupported = unsupportedAggregate(req.dataset, value.aggregate);
+    if (unsupported) {
+      return res.status(400).json(unsupported);
+    }
+
+    const aggregate = value.aggregate || req.dataset.definition.aggregation;
+    const { series, match } = requestSeries(req.dataset, value);
+    const zone = resolveTimeZone(value);
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+    const measure = requestMeasure(req, series, value.measure);
+    const monthlyStats = convertMonthlyStatistics(
+      series.getMonthlyStatistics(yearNum, monthNum, { aggregate, timeZone: zone.timeZone, measure }),
+      units
+    );
+
+    if (!monthlyStats) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: `No ${req.dataset.definition.name.toLowerCase()} data available for ${year}-${month.padStart(2, '0')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: monthlyStats,
+      metadata: {
+        ...datasetMetadata(req.dataset, { aggregate, zone, measure, units }),
+        location: match,
+        requested: { year: yearNum, month: monthNum }
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendStatusError(res, error);
+    }
+
+    console.error(`Error fetching monthly ${req.dataset.id} stats:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Get data summary
+router.get('/:dataset/summary', resolveDataset, (req, res) => {
+  try {
+    const { error, value } = summaryQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const summary = req.dataset.getDataSummary();
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        units,
+        unit: unitIn(summary.unit, units),
+        readingUnit: unitIn(summary.readingUnit, units)
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error fetching ${req.dataset.id} summary:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Compound events: how often every condition holds on the same day. Each
+ * condition's series is read for the same dates, and only days with a value
+ * for every condition count. Reports the joint probability, each marginal
+ * probability over those days, and the dependence ratio: the joint
+ * probability over the product of the marginals (1 when independent).
+ */
+router.post('/compound-analysis', (req, res) => {
+  try {
+    const { error, value } = compoundSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const registry = req.app.locals.datasetRegistry;
+    const { month, day, year, startDate, endDate } = value;
+    const invalidRange = startDate ? dateRangeError(startDate, endDate) : null;
+    if (invalidRange) {
+      return res.status(400).json(invalidRange);
+    }
+    const options = gapOptions(value);
+    const zone = resolveTimeZone(value);
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+    const window = value.window || 0;
+    const weighting = value.weighting || DEFAULT_WINDOW_WEIGHTING;
+
+    const conditions = value.conditions.map(condition => {
+      const variable = resolveVariable(registry, condition.variable);
+      const aggregate = condition.aggregate || variable.aggregate;
+      const unsupported = unsupportedAggregate(variable.processor, aggregate);
+      if (unsupported) {
+        throw statusError(400, unsupported.message, unsupported.error);
+      }
+
+      const { series, match } = requestSeries(variable.processor, value);
+      return {
+        ...condition,
+        operator: condition.operator || variable.operator,
+        aggregate,
+        processor: variable.processor,
+        series,
+        match,
+        measure: requestMeasure(req, series, condition.measure)
+      };
+    });
+
+    // The same dates for every series: the calendar window over all of their years, or the range
+    const years = year
+      ? [year]
+      : Array.from(new Set(conditions.flatMap(condition => condition.series.getYears()))).sort((a, b) => a - b);
+    const windowDates = month
+      ? new Map(conditions[0].series.getCalendarWindow(month, day, window, years).map(entry => [entry.date, entry]))
+      : null;
+    const dates = windowDates ? Array.from(windowDates.keys()) : conditions[0].series.getDatesBetween(startDate, endDate);
+
+    const dayOptions = condition => ({
+      ...options,
+      aggregate: condition.aggregate,
+      timeZone: zone.timeZone,
+      measure: condition.measure
+    });
+    const daily = conditions.map(condition => {
+      const { days } = condition.series.getDays(dates, dayOptions(condition));
+      return new Map(days.map(dayData => [dayData.date, convertDay(dayData, units).value]));
+    });
+    // A percentile threshold is of its own variable's climatology, not only of the aligned days
+    const thresholds = conditions.map(condition => resolveThreshold(condition.threshold, () =>
+      climatology(condition.series, { month, day, window, weighting, dates }, dayOptions(condition), units)));
+
+    const aligned = dates.filter(date => daily.every(byDate => byDate.has(date)));
+    if (aligned.length === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: 'No requested date has data for every condition'
+      });
+    }
+
+    const historicalData = aligned.map(date => {
+      const entry = windowDates && windowDates.get(date);
+      const values = daily.map(byDate => byDate.get(date));
+      const exceeds = values.map((dayValue, i) => exceedsThreshold(dayValue, thresholds[i].threshold, conditions[i].operator));
+      return {
+        date,
+        year: entry ? entry.year : parseInt(date.slice(0, 4)),
+        offset: entry ? entry.offset : undefined,
+        weight: entry ? windowWeight(entry.offset, window, weighting) : 1,
+        values,
+        exceeds,
+        joint: exceeds.every(Boolean)
+      };
+    });
+
+    const weights = historicalData.map(d => d.weight);
+    const groups = windowDates ? historicalData.map(d => d.year) : undefined;
+    const offsets = windowDates ? historicalData.map(d => d.offset) : undefined;
+    // The most autocorrelated variable sets how many independent days the sample is worth
+    const effectiveSize = Math.min(...conditions.map((condition, i) =>
+      effectiveSampleSize(historicalData.map(d => d.values[i]), { weights, groups, offsets }).effectiveSampleSize));
+    const intervalOptions = { confidence: value.confidence, scale: 100, weights, groups, effectiveSize };
+
+    const marginals = conditions.map((condition, i) => {
+      const exceeds = historicalData.map(d => d.exceeds[i]);
+      return {
+        variable: condition.variable,
+        threshold: thresholds[i].threshold,
+        thresholdPercentile: thresholds[i].thresholdPercentile,
+        operator: condition.operator,
+        aggregate: condition.aggregate,
+        measure: condition.measure ? condition.measure.name : undefined,
+        unit: unitIn(condition.series.getDailyUnit(condition.aggregate, condition.measure), units),
+        probability: weightedShare(exceeds, weights) * 100,
+        probabilityInterval: probabilityIntervals(exceeds, intervalOptions),
+        exceedCount: exceeds.filter(Boolean).length,
+        daysWithData: daily[i].size
+      };
+    });
+
+    const joint = historicalData.map(d => d.joint);
+    const jointProbability = weightedShare(joint, weights) * 100;
+    const independentProbability = marginals.reduce((product, marginal) => product * marginal.probability / 100, 1) * 100;
+
+    res.json({
+      success: true,
+      query: {
+        location: value.location || 'Global',
+        conditions: value.conditions,
+        month,
+        day,
+        year,
+        startDate,
+        endDate,
+        window: month ? window : undefined,
+        weighting: month ? weighting : undefined,
+        units,
+        timeZone: zone.timeZone
+      },
+      analysis: {
+        jointProbability,
+        jointProbabilityInterval: probabilityIntervals(joint, intervalOptions),
+        independentProbability,
+        // Above 1 the conditions come together more often than if they were unrelated
+        dependenceRatio: independentProbability > 0 ? jointProbability / independentProbability : null,
+        jointCount: joint.filter(Boolean).length,
+        alignedDays: historicalData.length,
+        requestedDays: dates.length,
+        dataYears: new Set(historicalData.map(d => d.year)).size,
+        effectiveSampleSize: effectiveSize,
+        conditions: marginals
+      },
+      historicalData,
+      metadata: {
+        units,
+        timeZone: zone.timeZone,
+        timeZoneSource: zone.source,
+        gapHandling: { method: options.gapFill, minCompleteness: options.minCompleteness },
+        conditions: conditions.map(condition => ({
+          ...datasetMetadata(condition.processor, { aggregate: condition.aggregate, zone, measure: condition.measure, units }),
+          location: condition.match,
+          provenance: condition.series.getProvenance()
+        }))
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendStatusError(res, error);
+    }
+
+    console.error('Error in compound analysis:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to perform compound analysis'
+    });
+  }
+});
+
+/**
+ * Absolute value of a percentile threshold ("p90") for a calendar day, window
+ * and place, resolved as an analysis of them would resolve it, so a form can
+ * show it before the analysis runs. max_temp and min_temp are read the way
+ * /historical-analysis reads them.
+ */
+router.get('/percentile-threshold', async (req, res) => {
+  try {
+    const { error, value } = percentileThresholdSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { month, day } = value;
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+    const window = value.window || 0;
+    const weighting = value.weighting || DEFAULT_WINDOW_WEIGHTING;
+
+    let resolved;
+    let unit;
+    let location;
+    if (VARIABLE_ALIASES[value.variable]) {
+      const { historicalData, metadata } = await simpleGiovanniService.generateHistoricalData(
+        value.location, month, day, value.variable, null,
+        { latitude: value.latitude, longitude: value.longitude, maxDistanceKm: value.maxDistanceKm, window }
+      );
+      resolved = resolveThreshold(value.threshold, () => ({
+        values: historicalData.map(d => toUnitSystem(d.value, TEMPERATURE_UNIT, units)),
+        weights: historicalData.map(d => windowWeight(d.offset, window, weighting))
+      }));
+      unit = unitIn(TEMPERATURE_UNIT, units);
+      location = metadata.location;
+    } else {
+      const variable = resolveVariable(req.app.locals.datasetRegistry, value.variable);
+      const aggregate = value.aggregate || variable.aggregate;
+      const unsupported = unsupportedAggregate(variable.processor, aggregate);
+      if (unsupported) {
+        return res.status(400).json(unsupported);
+      }
+
+      const { series, match } = requestSeries(variable.processor, value);
+      const measure = requestMeasure(req, series, value.measure);
+      const dayOptions = { ...gapOptions(value), aggregate, timeZone: resolveTimeZone(value).timeZone, measure };
+      resolved = resolveThreshold(value.threshold, () =>
+        climatology(series, { month, day, window, weighting }, dayOptions, units));
+      unit = unitIn(series.getDailyUnit(aggregate, measure), units);
+      location = match;
+    }
+
+    if (resolved.thresholdPercentile.sampleSize === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: 'No data around the requested day to take the percentile from'
+      });
+    }
+
+    res.json({
+      success: true,
+      query: {
+        variable: value.variable,
+        threshold: value.threshold,
+        month,
+        day,
+        window,
+        weighting,
+        units
+      },
+      threshold: resolved.threshold,
+      thresholdPercentile: resolved.thresholdPercentile,
+      unit,
+      location
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendStatusError(res, error);
+    }
+
+    console.error('Error resolving percentile threshold:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to resolve the percentile threshold'
+    });
+  }
+});
+
+// Threshold analysis: the same calendar day (±window days) across all years, or a date range
+router.post('/:dataset-analysis', resolveDataset, (req, res) => {
+  try {
+    const { error, value } = analysisSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { definition } = req.dataset;
+    const { location, month, day, year, startDate, endDate, completeOnly } = value;
+    const operator = value.operator || definition.operator;
+
+    const invalidRange = startDate ? dateRangeError(startDate, endDate) : null;
+    if (invalidRange) {
+      return res.status(400).json(invalidRange);
+    }
+
+    const unsupported = unsupportedAggregate(req.dataset, value.aggregate);
+    if (unsupported) {
+      return res.status(400).json(unsupported);
+    }
+
+    const { series, match } = requestSeries(req.dataset, value);
+    const options = gapOptions({ ...value, gapFill: value.gapFill || (completeOnly ? 'drop' : undefined) });
+    const aggregate = value.aggregate || definition.aggregation;
+    const zone = resolveTimeZone(value);
+    // The threshold is in the requested unit system, so the sample is converted before comparing
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+    const measure = requestMeasure(req, series, value.measure);
+    const window = value.window || 0;
+    const weighting = value.weighting || DEFAULT_WINDOW_WEIGHTING;
+    // Each sampled date's year and distance from that year's target day
+    const windowDates = month
+      ? new Map(series.getCalendarWindow(month, day, window, year ? [year] : undefined).map(entry => [entry.date, entry]))
+      : null;
+    const dates = windowDates ? Array.from(windowDates.keys()) : series.getDatesBetween(startDate, endDate);
+    const dayOptions = { ...options, aggregate, timeZone: zone.timeZone, measure };
+    const { days, dropped } = series.getDays(dates, dayOptions);
+    const sample = days.map(dayData => convertDay(dayData, units));
+    const incompleteDays = sample.filter(dayData => !dayData.complete).length + dropped.length;
+
+    if (sample.length === 0) {
+      return res.status(404).json({
+        error: 'No data found',
+        message: `No ${definition.name.toLowerCase()} data available for the requested dates`
+      });
+    }
+
+    // A percentile is of every year's window, so a single year is compared with its climate
+    const { threshold, thresholdPercentile } = resolveThreshold(value.threshold, () =>
+      climatology(series, { month, day, window, weighting, dates }, dayOptions, units));
+
+    const historicalData = sample.map(dayData => {
+      const entry = windowDates && windowDates.get(dayData.date);
+      return {
+        year: entry ? entry.year : parseInt(dayData.date.slice(0, 4)),
+        month: parseInt(dayData.date.slice(5, 7)),
+        day: parseInt(dayData.date.slice(8, 10)),
+        date: dayData.date,
+        offset: entry ? entry.offset : undefined,
+        weight: entry ? windowWeight(entry.offset, window, weighting) : 1,
+        value: dayData.value,
+        complete: dayData.complete,
+        imputedReadings: dayData.imputedReadings,
+        exceeds: exceedsThreshold(dayData.value, threshold, operator),
+        source: 'NASA GLDAS'
+      };
+    });
+
+    const values = historicalData.map(d => d.value);
+    const weights = historicalData.map(d => d.weight);
+    // Days of one year's window are resampled together and discounted for being alike
+    const groups = windowDates ? historicalData.map(d => d.year) : undefined;
+    const offsets = windowDates ? historicalData.map(d => d.offset) : undefined;
+    const exceeds = historicalData.map(d => d.exceeds);
+    const exceedCount = exceeds.filter(Boolean).length;
+    const probability = weightedShare(exceeds, weights) * 100;
+    const sampleSize = effectiveSampleSize(values, { weights, groups, offsets });
+    const probabilityInterval = probabilityIntervals(exceeds, {
+      confidence: value.confidence,
+      scale: 100,
+      weights,
+      groups,
+      effectiveSize: sampleSize.effectiveSampleSize
+    });
+    const average = calculateMean(values);
+    const dataYears = windowDates ? new Set(groups).size : historicalData.length;
+    // Trends need the calendar day across years, not a single year or a date range
+    const trends = windowDates && !year ? trendTests(groups, values, exceeds, { weights }) : null;
+    const trendAnalysis = trends
+      ? describeTrends(trends, unitIn(series.getDailyUnit(aggregate, measure), units))
+      : undefined;
+
+    res.json({
+      success: true,
+      query: {
+        location: location || 'Global',
+        variable: definition.id,
+        month,
+        day,
+        year,
+        startDate,
+        endDate,
+        threshold,
+        thresholdPercentile,
+        operator,
+        window: month ? window : undefined,
+        weighting: month ? weighting : undefined,
+        aggregate,
+        measure: measure ? measure.name : undefined,
+        units,
+        timeZone: zone.timeZone,
+        gapFill: options.gapFill,
+        minCompleteness: options.minCompleteness
+      },
+      analysis: {
+        probability,
+        probabilityInterval,
+        average,
+        dataYears,
+        ...sampleSize,
+        exceedCount,
+        trend: trends ? trends.value.trend : undefined,
+        trendChange: trends ? trends.change : undefined,
+        trendAnalysis,
+        trendTests: trends ? { value: trends.value, exceedance: trends.exceedance } : undefined,
+        incompleteDays,
+        excludedIncompleteDays: dropped.length
+      },
+      statistics: {
+        probability,
+        probabilityInterval,
+        average,
+        dataYears,
+        effectiveSampleSize: sampleSize.effectiveSampleSize,
+        trendChange: trends ? trends.change : undefined,
+        trendAnalysis,
+        distributionData: toDistributionPoints(values, threshold, definition.id)
+      },
+      historicalData,
+      metadata: {
+        ...datasetMetadata(req.dataset, { aggregate, zone, measure, units }),
+        location: match,
+        analysisType: month ? (year ? 'specific-year' : 'historical-probability') : 'date-range',
+        gapHandling: gapHandlingMetadata(options, sample, dropped),
+        provenance: series.getProvenance()
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendStatusError(res, error);
+    }
+
+    console.error(`Error in ${req.dataset.id} analysis:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: `Failed to perform ${req.dataset.definition.name.toLowerCase()} analysis`
+    });
+  }
+});
+
+/**
+ * Return levels for 2-100 year periods, and the return period of `threshold`,
+ * from a GEV fit to annual maxima (`method: 'gev'`, the default) or a GPD fit
+ * to declustered peaks over a threshold (`method: 'gpd'`). Works on the daily
+ * values of the whole record, in the requested unit system.
+ */
+router.post('/extremes', (req, res) => {
+  try {
+    const { error, value } = extremesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const variable = resolveVariable(req.app.locals.datasetRegistry, value.variable);
+    const { processor } = variable;
+    const aggregate = value.aggregate || variable.aggregate;
+    const unsupported = unsupportedAggregate(processor, aggregate);
+    if (unsupported) {
+      return res.status(400).json(unsupported);
+    }
+
+    const { series, match } = requestSeries(processor, value);
+    const options = gapOptions(value);
+    const zone = resolveTimeZone(value);
+    const units = value.units || DEFAULT_UNIT_SYSTEM;
+    const measure = requestMeasure(req, series, value.measure);
+    const dates = series.getDatesBetween(series.dateRange.start, series.dateRange.end);
+    const { days, dropped } = series.getDays(dates, { ...options, aggregate, timeZone: zone.timeZone, measure });
+    const sample = days.map(dayData => convertDay(dayData, units));
+
+    const method = value.method || 'gev';
+    const tail = value.tail || (variable.operator === '<=' ? 'lower' : 'upper');
+    // A percentile threshold is of the whole record's daily values
+    const { threshold, thresholdPercentile } = resolveThreshold(value.threshold, () => ({
+      values: sample.map(dayData => dayData.value)
+    }));
+    const fitOptions = {
+      tail,
+      threshold,
+      returnPeriods: value.returnPeriods || DEFAULT_RETURN_PERIODS,
+      confidence: value.confidence
+    };
+
+    let extremes;
+    let record;
+    if (method === 'gev') {
+      const { extremes: annual, skippedYears } = annualExtremes(sample, tail);
+      extremes = gevAnalysis(annual.map(entry => entry.value), fitOptions);
+      record = { annualExtremes: annual, skippedYears };
+
+      if (!extremes) {
+        return res.status(422).json({
+          error: 'Not enough data',
+          message: annual.length < MIN_GEV_SAMPLE
+            ? `A GEV fit needs at least ${MIN_GEV_SAMPLE} years with ${MIN_YEAR_COVERAGE * 100}% of their days; found ${annual.length}`
+            : 'The annual extremes do not vary, so no GEV can be fitted',
+          ...record
+        });
+      }
+    } else {
+      // Span of the record from its first to its last day, so missing and dropped days do not shorten it
+      const span = sample.length > 0
+        ? (Date.parse(sample[sample.length - 1].date) - Date.parse(sample[0].date)) / DAY_MS + 1
+        : 0;
+      const years = span / 365.25;
+      extremes = gpdAnalysis(sample.map(dayData => ({
+        day: Date.parse(`${dayData.date}T00:00:00Z`) / DAY_MS,
+        value: dayData.value
+      })), { ...fitOptions, years, peaksThreshold: value.peaksThreshold, peaksQuantile: value.peaksQuantile, runDays: value.runDays });
+      record = { days: sample.length, years: Math.round(years * 100) / 100 };
+
+      if (!extremes) {
+        return res.status(422).json({
+          error: 'Not enough data',
+          message: `A GPD fit needs at least ${MIN_GPD_PEAKS} independent peaks beyond the peaks threshold; lower peaksThreshold or peaksQuantile`,
+          ...record
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      query: {
+        variable: value.variable,
+        location: value.location,
+        method,
+        tail,
+        threshold,
+        thresholdPercentile,
+        aggregate,
+        measure: measure ? measure.name : undefined,
+        units,
+        timeZone: zone.timeZone
+      },
+      extremes,
+      record,
+      metadata: {
+        ...datasetMetadata(processor, { aggregate, zone, measure, units }),
+        location: match,
+        dateRange: series.dateRange,
+        gapHandling: gapHandlingMetadata(options, sample, dropped),
+        provenance: series.getProvenance()
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return sendStatusError(res, error);
+    }
+
+    console.error('Error in extreme value analysis:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to perform extreme value analysis'
+    });
+  }
+});
+
+module.exports = router;
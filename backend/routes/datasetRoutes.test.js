@@ -0,0 +1,660 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const datasetRegistry = require('../services/datasetRegistry');
+const datasetRoutes = require('./datasetRoutes');
+const { streamGiovanniCsv } = require('../utils/giovanniCsv');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const YEARS = [2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025];
+
+const definitions = {
+  wind: { id: 'wind_speed', route: 'windspeed', name: 'Wind Speed', file: 'Test Wind.csv', unit: 'm/s', aggregation: 'mean', operator: '>=' },
+  humidity: { id: 'humidity', route: 'humidity', name: 'Humidity', file: 'Test Humidity.csv', unit: 'kg/kg', aggregation: 'mean', operator: '>=' },
+  soilMoisture: { id: 'soil_moisture', route: 'soil-moisture', name: 'Soil Moisture', file: 'Test SoilMoi.csv', column: 'SoilMoi', unit: 'kg/m²', aggregation: 'mean', operator: '>=' },
+  pressure: {
+    id: 'surface_pressure',
+    route: 'surface-pressure',
+    name: 'Surface Pressure',
+    file: 'Test Psurf.csv',
+    unit: 'Pa',
+    aggregation: 'mean',
+    operator: '>=',
+    locations: [
+      { name: 'Denver', file: 'Test Psurf Denver.csv', latitude: 39.7392, longitude: -104.9903 },
+      { name: 'Chicago', file: 'Test Psurf Chicago.csv', latitude: 41.8781, longitude: -87.6298 }
+    ]
+  },
+  snowfall: { id: 'snowfall', route: 'snowfall', name: 'Snowfall', file: 'Test Snowf.csv', unit: 'mm/hr', aggregation: 'mean', operator: '>=' },
+  precipitation: { id: 'precipitation', route: 'precipitation', name: 'Precipitation', file: 'Test Rainf.csv', unit: 'mm/hr', aggregation: 'mean', operator: '>=' },
+  temperature: { id: 'temperature', route: 'temperature', name: 'Air Temperature', file: 'Test Tair.csv', unit: '°C', aggregation: 'mean' }
+};
+
+// Start of each of `count` days from 1 January of every year
+const daysOfEachYear = count => YEARS.flatMap(year =>
+  Array.from({ length: count }, (_, i) => Date.UTC(year, 0, 1) + i * DAY_MS));
+
+function applyReadings(processor, times, values) {
+  processor.applySeries({
+    metadata: null,
+    columnName: processor.id,
+    fillValue: null,
+    times: Float64Array.from(times),
+    values: Float64Array.from(values),
+    fillTimes: [],
+    duplicateTimes: [],
+    report: null
+  }, { checksum: null, loadedFrom: 'csv' });
+}
+
+// Eight 3-hourly readings per day, all at `valueOf(dayStart)`; days it gives null for have no readings
+function applyDailyValues(processor, days, valueOf) {
+  const times = [];
+  const values = [];
+  days.forEach(dayStart => {
+    const value = valueOf(dayStart);
+    if (value === null) return;
+    for (let step = 0; step < 8; step++) {
+      times.push(dayStart + step * 3 * HOUR_MS);
+      values.push(value);
+    }
+  });
+
+  applyReadings(processor, times, values);
+}
+
+const app = express();
+app.use(express.json());
+app.locals.datasetRegistry = datasetRegistry;
+app.use('/api', datasetRoutes);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Over 1-10 January, wind speed is the day of the month; humidity is 1 on 4-8 January, 0 otherwise, and missing on the 10th
+  const dayOfMonth = dayStart => new Date(dayStart).getUTCDate();
+  applyDailyValues(datasetRegistry.register(definitions.wind), daysOfEachYear(10), dayOfMonth);
+  applyDailyValues(datasetRegistry.register(definitions.humidity), daysOfEachYear(10), dayStart => {
+    if (dayOfMonth(dayStart) === 10) return null;
+    return dayOfMonth(dayStart) >= 4 && dayOfMonth(dayStart) <= 8 ? 1 : 0;
+  });
+  // Every day of the year, cycling through 0-10 mm/hr every 101 days and 0.3 mm/hr wetter each year
+  applyDailyValues(datasetRegistry.register(definitions.precipitation), daysOfEachYear(365), dayStart => {
+    const day = Math.round((dayStart - Date.UTC(YEARS[0], 0, 1)) / DAY_MS);
+    return ((day * 37) % 101) / 10 + 0.3 * (new Date(dayStart).getUTCFullYear() - YEARS[0]);
+  });
+  // Registered but never loaded
+  datasetRegistry.register(definitions.temperature);
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('POST /api/compound-analysis', () => {
+  const conditions = [
+    { variable: 'wind_speed', threshold: 6 },
+    { variable: 'humidity', threshold: 1 }
+  ];
+
+  test('reports the joint and marginal probabilities over the days every condition has data', async () => {
+    const res = await request(app)
+      .post('/api/compound-analysis')
+      .send({ conditions, startDate: '2020-01-01', endDate: '2020-01-10' });
+
+    expect(res.status).toBe(200);
+    const { analysis } = res.body;
+    expect(analysis).toMatchObject({ requestedDays: 10, alignedDays: 9, jointCount: 3 });
+    // Wind ≥ 6 on 6-9 January, humidity ≥ 1 on 4-8 January, both on 6-8 January
+    expect(analysis.conditions.map(condition => condition.probability)).toEqual([400 / 9, 500 / 9]);
+    expect(analysis.conditions.map(condition => condition.daysWithData)).toEqual([10, 9]);
+    expect(analysis.jointProbability).toBeCloseTo(300 / 9, 10);
+    expect(analysis.independentProbability).toBeCloseTo((4 / 9) * (5 / 9) * 100, 10);
+    expect(analysis.dependenceRatio).toBeCloseTo(1.35, 10);
+    expect(analysis.jointProbabilityInterval.wilson.lower).toBeLessThan(analysis.jointProbability);
+  });
+
+  test('compares each condition with its own operator', async () => {
+    const res = await request(app)
+      .post('/api/compound-analysis')
+      .send({
+        conditions: [{ variable: 'wind_speed', threshold: 3, operator: '<=' }, { variable: 'humidity', threshold: 1 }],
+        startDate: '2020-01-01',
+        endDate: '2020-01-09'
+      });
+
+    expect(res.status).toBe(200);
+    // Wind ≤ 3 on 1-3 January never coincides with humid days
+    expect(res.body.analysis.jointProbability).toBe(0);
+    expect(res.body.analysis.dependenceRatio).toBe(0);
+  });
+
+  test('samples the same calendar day of every year', async () => {
+    const res = await request(app)
+      .post('/api/compound-analysis')
+      .send({ conditions, month: 1, day: 7 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.analysis).toMatchObject({ alignedDays: 10, dataYears: 10, jointProbability: 100 });
+  });
+
+  test('needs at least two conditions', async () => {
+    const res = await request(app)
+      .post('/api/compound-analysis')
+      .send({ conditions: conditions.slice(0, 1), month: 1, day: 7 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+
+  test('rejects reversed and overlong date ranges', async () => {
+    const reversed = await request(app)
+      .post('/api/compound-analysis')
+      .send({ conditions, startDate: '2020-01-10', endDate: '2020-01-01' });
+    const overlong = await request(app)
+      .post('/api/compound-analysis')
+      .send({ conditions, startDate: '2016-01-01', endDate: '2020-01-10' });
+
+    expect(reversed.status).toBe(400);
+    expect(reversed.body.error).toBe('Invalid date range');
+    expect(overlong.status).toBe(400);
+    expect(overlong.body).toEqual({ error: 'Date range too large', message: 'Maximum allowed range is 365 days' });
+  });
+
+  test('answers 404 for an unknown variable and 503 for one that is not loaded', async () => {
+    const unknown = await request(app)
+      .post('/api/compound-analysis')
+      .send({ conditions: [conditions[0], { variable: 'snow_depth', threshold: 1 }], month: 1, day: 7 });
+    const unloaded = await request(app)
+      .post('/api/compound-analysis')
+      .send({ conditions: [conditions[0], { variable: 'max_temp', threshold: 30 }], month: 1, day: 7 });
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toBe('Variable not found');
+    expect(unloaded.status).toBe(503);
+    expect(unloaded.body.error).toBe('Air Temperature data not available');
+  });
+});
+
+describe('date range limits', () => {
+  test('apply to dataset analyses over a range', async () => {
+    const reversed = await request(app)
+      .post('/api/windspeed-analysis')
+      .send({ threshold: 5, startDate: '2020-01-10', endDate: '2020-01-01' });
+    const overlong = await request(app)
+      .post('/api/windspeed-analysis')
+      .send({ threshold: 5, startDate: '2016-01-01', endDate: '2020-01-10' });
+    const valid = await request(app)
+      .post('/api/windspeed-analysis')
+      .send({ threshold: 5, startDate: '2020-01-01', endDate: '2020-01-10' });
+
+    expect(reversed.status).toBe(400);
+    expect(overlong.status).toBe(400);
+    expect(valid.status).toBe(200);
+    expect(valid.body.analysis.probability).toBe(60);
+  });
+
+  test('apply to daily ranges', async () => {
+    const overlong = await request(app).get('/api/windspeed/range?startDate=2016-01-01&endDate=2020-01-10');
+    const valid = await request(app).get('/api/windspeed/range?startDate=2020-01-01&endDate=2020-01-03');
+
+    expect(overlong.status).toBe(400);
+    expect(valid.status).toBe(200);
+  });
+});
+
+describe('POST /api/extremes', () => {
+  test('fits a GEV to the annual maxima by default', async () => {
+    const res = await request(app).post('/api/extremes').send({ variable: 'precipitation', returnPeriods: [10, 100] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.query).toMatchObject({ method: 'gev', tail: 'upper' });
+    expect(res.body.record.annualExtremes.map(entry => entry.year)).toEqual(YEARS);
+    expect(res.body.record.annualExtremes[0]).toMatchObject({ value: 10, days: 365 });
+    expect(res.body.extremes.fit.sampleSize).toBe(10);
+    expect(res.body.extremes.returnLevels.map(level => level.period)).toEqual([10, 100]);
+  });
+
+  test('fits a GPD to the declustered peaks over a percentile threshold', async () => {
+    const res = await request(app)
+      .post('/api/extremes')
+      .send({ variable: 'precipitation', method: 'gpd', peaksQuantile: 0.95, threshold: 'p99', returnPeriods: [10] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.query.thresholdPercentile).toEqual({ requested: 'p99', percentile: 99, sampleSize: 3650 });
+    expect(res.body.extremes.fit).toMatchObject({ runDays: 1 });
+    expect(res.body.extremes.threshold.threshold).toBe(res.body.query.threshold);
+    // 365 days of each year from 2016 to 2025, so 31 December of leap years is missing
+    expect(res.body.record).toMatchObject({ days: 3650, years: 10 });
+  });
+
+  test('counts the years of a patchy record from its first to its last day', async () => {
+    // Wind speed has only 1-10 January of 2016-2025; its ten yearly peaks all read 10 m/s, too few to fit
+    const res = await request(app).post('/api/extremes').send({ variable: 'wind_speed', method: 'gpd', peaksThreshold: 9 });
+    const span = (Date.UTC(2025, 0, 10) - Date.UTC(2016, 0, 1)) / DAY_MS + 1;
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ days: 100, years: Math.round(span / 365.25 * 100) / 100 });
+    expect(res.body.years).toBeCloseTo(9.03, 2);
+  });
+
+  test('answers 422 when too few years have most of their days', async () => {
+    const res = await request(app).post('/api/extremes').send({ variable: 'wind_speed' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Not enough data');
+    expect(res.body.annualExtremes).toEqual([]);
+    expect(res.body.skippedYears).toHaveLength(10);
+  });
+
+  test.each([
+    ['no variable', {}],
+    ['an unknown method', { variable: 'precipitation', method: 'gumbel' }],
+    ['a return period of one year', { variable: 'precipitation', returnPeriods: [1] }],
+    ['both a peaks threshold and a peaks quantile', { variable: 'precipitation', method: 'gpd', peaksThreshold: 8, peaksQuantile: 0.95 }],
+    ['a malformed percentile threshold', { variable: 'precipitation', threshold: 'p900' }]
+  ])('rejects %s', async (description, body) => {
+    const res = await request(app).post('/api/extremes').send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+
+  test('answers 404 for an unknown variable', async () => {
+    const res = await request(app).post('/api/extremes').send({ variable: 'snow_depth' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/percentile-threshold', () => {
+  // Wind speeds within two days of 5 January are 3-7 m/s in each of the ten years
+  const query = 'variable=wind_speed&month=1&day=5&window=2';
+
+  test('resolves a percentile of the calendar window across all years', async () => {
+    const res = await request(app).get(`/api/percentile-threshold?${query}&threshold=p20`);
+
+    expect(res.status).toBe(200);
+    // Hazen positions: the 20th percentile lies halfway between the 10th (3) and 11th (4) of 50 values
+    expect(res.body).toMatchObject({
+      threshold: 3.5,
+      thresholdPercentile: { requested: 'p20', percentile: 20, sampleSize: 50 },
+      unit: 'm/s',
+      query: { window: 2, weighting: 'uniform' }
+    });
+  });
+
+  test('weights the window days as an analysis would', async () => {
+    const res = await request(app).get(`/api/percentile-threshold?${query}&threshold=p20&weighting=triangular`);
+
+    // The outermost days count a third as much as the target day, so the 3 m/s days hold only 1/9 of the weight
+    expect(res.body.threshold).toBe(4);
+  });
+
+  test('answers 404 when there is no data around the day', async () => {
+    const res = await request(app).get('/api/percentile-threshold?variable=wind_speed&month=6&day=1&threshold=p90');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('No data found');
+  });
+
+  test.each([
+    ['an absolute threshold', 'variable=wind_speed&month=1&day=5&threshold=8'],
+    ['a missing day', 'variable=wind_speed&month=1&threshold=p90'],
+    ['a weighting without a window', 'variable=wind_speed&month=1&day=5&threshold=p90&weighting=gaussian']
+  ])('rejects %s', async (description, params) => {
+    const res = await request(app).get(`/api/percentile-threshold?${params}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+});
+
+describe('percentile thresholds in analyses', () => {
+  test('are resolved from the same window before counting exceedances', async () => {
+    const res = await request(app)
+      .post('/api/windspeed-analysis')
+      .send({ threshold: 'p20', month: 1, day: 5, window: 2 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.query).toMatchObject({ threshold: 3.5, thresholdPercentile: { requested: 'p20', sampleSize: 50 } });
+    // 4-7 m/s on four of the five days
+    expect(res.body.analysis.probability).toBe(80);
+  });
+});
+
+describe('POST /api/datasets', () => {
+  const WIND_COLUMN = 'mean_GLDAS_NOAH025_3H_2_1_Wind_f_inst';
+  // A two-reading Giovanni export with the given data column and extra rows
+  const giovanniCsv = (column, ...rows) => Buffer.from([
+    'Title:,"Time Series, Area-Averaged of Near surface wind speed 3-hourly 0.25 deg. [GLDAS (3-hourly)"',
+    `Fill Value (${column}):, -9999`,
+    '',
+    `time, ${column}`,
+    '2020-01-01 00:00:00,3.3',
+    '2020-01-01 03:00:00,3.4',
+    ...rows,
+    ''
+  ].join('\n'));
+
+  const upload = (file, fields = {}) => {
+    const req = request(app).post('/api/datasets');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', file, 'Wind Upload.csv');
+  };
+
+  test('needs a file in the "file" field', async () => {
+    const missing = await request(app).post('/api/datasets');
+    const misnamed = await request(app).post('/api/datasets').attach('csv', giovanniCsv(WIND_COLUMN), 'Wind Upload.csv');
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe('Missing file');
+    expect(misnamed.status).toBe(400);
+    expect(misnamed.body.error).toBe('Upload Error');
+  });
+
+  test('rejects a file that is not a Giovanni export with the line of each error', async () => {
+    const notGiovanni = await upload(Buffer.from('hello,world\n1,2\n'));
+    const badValue = await upload(giovanniCsv(WIND_COLUMN, '2020-01-01 06:00:00,calm'));
+
+    expect(notGiovanni.status).toBe(422);
+    expect(notGiovanni.body.errors[0].message).toMatch('Missing data header');
+    expect(badValue.status).toBe(422);
+    expect(badValue.body).toMatchObject({
+      error: 'Dataset Rejected',
+      errors: [{ line: 7, message: 'Invalid value "calm"' }],
+      errorCount: 1
+    });
+  });
+
+  test('needs a unit for an unrecognised variable and a well-formed id', async () => {
+    const unknown = await upload(giovanniCsv('mean_GLDAS_NOAH025_3H_2_1_Gust_f_inst'));
+    const badId = await upload(giovanniCsv(WIND_COLUMN), { id: 'Wind-2' });
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toMatch('provide a "unit" field');
+    expect(badId.status).toBe(400);
+    expect(badId.body.message).toMatch('lowercase letters, digits and underscores');
+  });
+
+  test('refuses an id or route that is already registered', async () => {
+    const sameId = await upload(giovanniCsv(WIND_COLUMN));
+    const sameRoute = await upload(giovanniCsv(WIND_COLUMN), { id: 'wind_gust', route: 'windspeed' });
+
+    expect(sameId.status).toBe(409);
+    expect(sameId.body.message).toMatch('A dataset with id "wind_speed" is already registered');
+    expect(sameRoute.status).toBe(409);
+    expect(sameRoute.body.message).toMatch('The route "windspeed" is already in use');
+  });
+});
+
+describe('GET /api/datasets/:id', () => {
+  const COLUMN = 'mean_GLDAS_NOAH025_3H_2_1_SoilMoi0_10cm_inst';
+  let directory;
+
+  // Ingest a two-day Giovanni export the way load() does, header block included
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-catalog-'));
+    const file = path.join(directory, 'SoilMoi.csv');
+    fs.writeFileSync(file, [
+      'Title:,"Time Series, Area-Averaged of Soil moisture content (0-10 cm underground) 3-hourly 0.25 deg. [GLDAS Model (3-hourly)"',
+      'User Start Date:,2020-01-01T00:00:00Z',
+      'User End Date:,2020-01-02T23:59:59Z',
+      'User Bounding Box:,"-105.1,39.6,-104.8,39.9"',
+      'Data Bounding Box:,"-105.125,39.625,-104.875,39.875"',
+      'URL to Reproduce Results:,"https://giovanni.gsfc.nasa.gov/giovanni/#service=ArAvTs&starttime=2020-01-01T00:00:00Z&data=GLDAS_NOAH025_3H_2_1_SoilMoi0_10cm_inst&dataKeyword=Soil"',
+      `Fill Value (${COLUMN}):, -9999`,
+      '',
+      `time, ${COLUMN}`,
+      ...Array.from({ length: 16 }, (_, step) => {
+        const time = new Date(Date.UTC(2020, 0, 1) + step * 3 * HOUR_MS).toISOString().replace('T', ' ').slice(0, 19);
+        return `${time},${step === 5 ? -9999 : 20 + step}`;
+      }),
+      ''
+    ].join('\n'));
+
+    const series = await streamGiovanniCsv(file, { column: 'SoilMoi' });
+    datasetRegistry.register(definitions.soilMoisture).applySeries(series, { checksum: 'f00d', loadedFrom: 'csv' });
+  });
+
+  afterAll(() => {
+    datasetRegistry.unregister(definitions.soilMoisture.id);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('describes the dataset from its Giovanni header block', async () => {
+    const res = await request(app).get('/api/datasets/soil_moisture');
+
+    expect(res.status).toBe(200);
+    expect(res.body.dataset).toMatchObject({
+      id: 'soil_moisture',
+      route: 'soil-moisture',
+      file: 'Test SoilMoi.csv',
+      checksum: 'f00d',
+      title: 'Time Series, Area-Averaged of Soil moisture content (0-10 cm underground) 3-hourly 0.25 deg. [GLDAS Model (3-hourly)',
+      giovanniDataId: 'GLDAS_NOAH025_3H_2_1_SoilMoi0_10cm_inst',
+      column: COLUMN,
+      fillValue: -9999,
+      requestedPeriod: { start: '2020-01-01T00:00:00Z', end: '2020-01-02T23:59:59Z' },
+      userBoundingBox: { west: -105.1, south: 39.6, east: -104.8, north: 39.9 },
+      dataBoundingBox: { west: -105.125, south: 39.625, east: -104.875, north: 39.875 },
+      dataLoaded: true,
+      totalRecords: 15,
+      timeStepHours: 3,
+      ingest: { rowsRead: 16, rowsAccepted: 15, rowsRejected: 1, rejected: { fill_value: 1 } },
+      unit: 'kg/m²'
+    });
+    expect(res.body.dataset.reproduceUrl).toMatch(/^https:\/\/giovanni\.gsfc\.nasa\.gov\/giovanni\/#service=ArAvTs&/);
+  });
+
+  test('leaves the header fields empty until a dataset has loaded', async () => {
+    const res = await request(app).get('/api/datasets/temperature');
+
+    expect(res.status).toBe(200);
+    expect(res.body.dataset).toMatchObject({
+      title: null,
+      giovanniDataId: null,
+      requestedPeriod: { start: null, end: null },
+      dataBoundingBox: null,
+      dataLoaded: false
+    });
+  });
+
+  test('answers 404 for an unknown dataset', async () => {
+    const res = await request(app).get('/api/datasets/snow_depth');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Dataset not found');
+  });
+});
+
+describe('GET /api/datasets/:id/quality', () => {
+  test('reports the gaps between the loaded days', async () => {
+    const res = await request(app).get('/api/datasets/wind_speed/quality');
+
+    expect(res.status).toBe(200);
+    expect(res.body.quality).toMatchObject({
+      dataset: 'wind_speed',
+      unit: 'm/s',
+      expectedReadingsPerDay: 8,
+      presentRecords: 800,
+      days: { complete: 100, incomplete: 0 }
+    });
+    // Everything from 11 January to the end of each year is missing
+    expect(res.body.quality.missing.runs[0]).toEqual({ start: '2016-01-11 00:00:00', end: '2016-12-31 21:00:00', count: 356 * 8 });
+  });
+
+  test('answers 404 for an unknown dataset and 503 for one that is not loaded', async () => {
+    const unknown = await request(app).get('/api/datasets/snow_depth/quality');
+    const unloaded = await request(app).get('/api/datasets/temperature/quality');
+
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toBe('Dataset not found');
+    expect(unloaded.status).toBe(503);
+    expect(unloaded.body.error).toBe('Air Temperature data not available');
+  });
+});
+
+describe('GET /api/:dataset/range gap handling', () => {
+  const range = 'startDate=2020-01-01&endDate=2020-01-10';
+
+  test('reports the gap policy it applied', async () => {
+    const res = await request(app).get(`/api/windspeed/range?${range}&gapFill=linear&minCompleteness=0.5`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(10);
+    expect(res.body.metadata.gapHandling).toMatchObject({
+      method: 'linear',
+      minCompleteness: 0.5,
+      maxGapHours: 24,
+      imputedDays: 0,
+      droppedDays: []
+    });
+  });
+
+  describe('of a day missing its 09:00 and 12:00 readings', () => {
+    beforeAll(() => {
+      // 1-3 January 2020, rising by 1 mm/hr every 3 hours
+      const times = Array.from({ length: 24 }, (_, step) => Date.UTC(2020, 0, 1) + step * 3 * HOUR_MS)
+        .filter(time => time !== Date.UTC(2020, 0, 2, 9) && time !== Date.UTC(2020, 0, 2, 12));
+      applyReadings(datasetRegistry.register(definitions.snowfall), times, times.map(time => (time - times[0]) / (3 * HOUR_MS)));
+    });
+
+    const snowRange = 'startDate=2020-01-01&endDate=2020-01-03';
+
+    test('interpolates the missing readings', async () => {
+      const res = await request(app).get(`/api/snowfall/range?${snowRange}&gapFill=linear`);
+
+      expect(res.body.metadata.gapHandling).toMatchObject({ imputedDays: 1, imputedReadings: 2 });
+      expect(res.body.metadata.gapHandling.imputed.map(reading => reading.date)).toEqual(['2020-01-02', '2020-01-02']);
+      // The filled readings (11 and 12) continue the rise, so the mean is that of 8..15
+      expect(res.body.data[1]).toMatchObject({ date: '2020-01-02', value: 11.5 });
+    });
+
+    test('drops it below the required completeness', async () => {
+      const res = await request(app).get(`/api/snowfall/range?${snowRange}&gapFill=drop&minCompleteness=1`);
+
+      expect(res.body.data.map(day => day.date)).toEqual(['2020-01-01', '2020-01-03']);
+      expect(res.body.metadata.gapHandling.droppedDays).toEqual([expect.objectContaining({ date: '2020-01-02' })]);
+      expect(res.body.metadata.gapHandling.maxGapHours).toBeUndefined();
+    });
+  });
+
+  test.each([
+    ['an unknown gap fill method', 'gapFill=spline'],
+    ['a completeness above 1', 'minCompleteness=1.5'],
+    ['a maximum gap over ten days', 'gapFill=linear&maxGapHours=241']
+  ])('rejects %s', async (description, params) => {
+    const res = await request(app).get(`/api/windspeed/range?${range}&${params}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+});
+
+describe('daily aggregation', () => {
+  const range = 'startDate=2020-01-01&endDate=2020-01-03';
+
+  test('is chosen per request', async () => {
+    const res = await request(app).get(`/api/windspeed/range?${range}&aggregate=max`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.metadata.aggregation).toBe('max');
+    expect(res.body.data.map(day => day.value)).toEqual([1, 2, 3]);
+  });
+
+  test('must be one the dataset supports', async () => {
+    const unsupported = await request(app).get(`/api/windspeed/range?${range}&aggregate=accumulate`);
+    const unknown = await request(app).get(`/api/windspeed/range?${range}&aggregate=median`);
+
+    expect(unsupported.status).toBe(400);
+    expect(unsupported.body).toEqual({ error: 'Unsupported aggregation', message: 'Wind Speed supports mean, max, min daily aggregation' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Validation Error');
+  });
+});
+
+describe('unit systems', () => {
+  test('convert values and units to imperial on request', async () => {
+    const res = await request(app).get('/api/windspeed/range?startDate=2020-01-05&endDate=2020-01-05&units=imperial');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].value).toBeCloseTo(5 * 3600 / 1609.344, 3);
+    expect(res.body.metadata).toMatchObject({ unit: 'mph', units: 'imperial' });
+  });
+
+  test('take thresholds in the requested system', async () => {
+    // 11 mph is just under 5 m/s, so 5-10 m/s exceed it
+    const res = await request(app)
+      .post('/api/windspeed-analysis')
+      .send({ threshold: 11, units: 'imperial', startDate: '2020-01-01', endDate: '2020-01-10' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.analysis.probability).toBe(60);
+  });
+
+  test('must be metric or imperial', async () => {
+    const res = await request(app).get('/api/windspeed/range?startDate=2020-01-05&endDate=2020-01-05&units=nautical');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+});
+
+describe('per-location series', () => {
+  const date = '/api/surface-pressure/date/2020-01-01';
+
+  // The area average reads 100000 Pa, Denver 83000 Pa and Chicago 99000 Pa
+  beforeAll(() => {
+    const processor = datasetRegistry.register(definitions.pressure);
+    const days = [Date.UTC(2020, 0, 1)];
+    applyDailyValues(processor, days, () => 100000);
+    applyDailyValues(processor.locationSeries.get('denver'), days, () => 83000);
+    applyDailyValues(processor.locationSeries.get('chicago'), days, () => 99000);
+  });
+
+  afterAll(() => {
+    datasetRegistry.unregister(definitions.pressure.id);
+  });
+
+  test('serve the area average when no place is requested', async () => {
+    const res = await request(app).get(date);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.value).toBe(100000);
+    expect(res.body.metadata.location).toBeNull();
+  });
+
+  test('are picked by location name', async () => {
+    const res = await request(app).get(`${date}?location=Chicago, IL`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.value).toBe(99000);
+    expect(res.body.metadata.location).toMatchObject({ requested: 'Chicago, IL', location: 'Chicago', matchedBy: 'name' });
+  });
+
+  test('snap a point to the nearest series', async () => {
+    const res = await request(app).get(`${date}?latitude=40.015&longitude=-105.2705`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.value).toBe(83000);
+    expect(res.body.metadata.location).toMatchObject({ location: 'Denver', matchedBy: 'nearest', distanceKm: 39 });
+  });
+
+  test('place a known city without a series of its own before snapping it', async () => {
+    const res = await request(app).get(`${date}?location=Los Angeles`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Location not available');
+    expect(res.body.message).toMatch(/^Surface Pressure has no series within 100 km of Los Angeles; the nearest, Denver, is \d+ km away$/);
+  });
+
+  test('answer 404 for an unknown place without coordinates', async () => {
+    const res = await request(app).get(`${date}?location=Springfield`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Surface Pressure has no series for "Springfield". Available locations: Denver, Chicago');
+  });
+});
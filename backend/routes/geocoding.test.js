@@ -0,0 +1,92 @@
+const express = require('express');
+const request = require('supertest');
+const gazetteer = require('../services/gazetteerService');
+const geocodingRoutes = require('./geocoding');
+
+const app = express();
+app.use(express.json());
+app.use('/api', geocodingRoutes);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('before the gazetteer loads', () => {
+  test('geocoding answers 503', async () => {
+    const res = await request(app).post('/api/geocode').send({ location: 'Chicago' });
+
+    expect(res.status).toBe(503);
+    expect(res.body).toEqual({ error: 'Geocoding Unavailable', message: 'The gazetteer is not loaded' });
+  });
+});
+
+describe('with the bundled gazetteer', () => {
+  beforeAll(() => {
+    gazetteer.load();
+  });
+
+  describe('POST /api/geocode', () => {
+    test('returns the coordinates of the best match', async () => {
+      const res = await request(app).post('/api/geocode').send({ location: 'Chicago' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        coordinates: { latitude: 41.85003, longitude: -87.65005 },
+        place: { displayName: 'Chicago, Illinois, United States', matchType: 'exact' },
+        source: 'gazetteer'
+      });
+    });
+
+    test('ranks places sharing a name by population', async () => {
+      const res = await request(app).post('/api/geocode').send({ location: 'Springfield', country: 'US', limit: 2 });
+
+      expect(res.body.candidates.map(candidate => candidate.admin1)).toEqual(['Missouri', 'Massachusetts']);
+    });
+
+    test('answers 404 when nothing matches', async () => {
+      const res = await request(app).post('/api/geocode').send({ location: 'Xyzzyq' });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Location Not Found');
+    });
+
+    test.each([
+      ['a blank location', { location: '   ' }],
+      ['a limit of zero', { location: 'Chicago', limit: 0 }],
+      ['an unknown field', { location: 'Chicago', radius: 10 }]
+    ])('rejects %s', async (description, body) => {
+      const res = await request(app).post('/api/geocode').send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('GET /api/reverse-geocode', () => {
+    test('returns the nearest places with their distances', async () => {
+      const res = await request(app).get('/api/reverse-geocode?lat=41.9&lon=-87.6&limit=2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.location).toBe('Chicago, Illinois, United States');
+      expect(res.body.candidates.map(candidate => [candidate.name, candidate.distanceKm])).toEqual([
+        ['Chicago', 6.93],
+        ['Aurora', 61.64]
+      ]);
+    });
+
+    test.each([
+      ['a missing longitude', 'lat=41.9'],
+      ['a latitude beyond the pole', 'lat=-91&lon=-87.6'],
+      ['a limit above 20', 'lat=41.9&lon=-87.6&limit=21']
+    ])('rejects %s', async (description, params) => {
+      const res = await request(app).get(`/api/reverse-geocode?${params}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation Error');
+    });
+  });
+});
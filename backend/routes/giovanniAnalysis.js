@@ -1,173 +1,81 @@
 const express = require('express');
 const Joi = require('joi');
-const fs = require('fs');
 const path = require('path');
 const giovanniDataService = require('../services/simpleGiovanniService'); // Using simple service for MVP
+const griddedFieldStore = require('../services/griddedFieldStore');
+const { UNIT_SYSTEMS, DEFAULT_UNIT_SYSTEM, unitIn, toUnitSystem } = require('../utils/units');
+const GiovanniTimeSeriesProcessor = require('../giovanniTimeSeriesProcessor');
+const {
+  probabilityIntervals,
+  windowWeight,
+  weightedShare,
+  effectiveSampleSize,
+  WINDOW_WEIGHTINGS,
+  DEFAULT_WINDOW_WEIGHTING,
+  checkAdverseCondition,
+  thresholdPercentile,
+  resolveThreshold,
+  PERCENTILE_THRESHOLD_PATTERN
+} = require('../utils/statisticalCalculations');
+const { trendTests, describeTrends } = require('../utils/trendAnalysis');
 
 const router = express.Router();
 
+// `threshold` is a value, or a percentile of the climatology such as "p90" (see resolveThreshold)
+const THRESHOLD_MESSAGE = '"threshold" must be a number or a percentile such as "p90"';
+
 // Validation schema for Giovanni-based analysis
 const giovanniSchema = Joi.object({
-  location: Joi.string().required(),
+  location: Joi.string().optional(),
+  latitude: Joi.number().min(-90).max(90).optional(), // Any point instead of a listed city
+  longitude: Joi.number().min(-180).max(180).optional(),
+  interpolation: Joi.string().valid(...griddedFieldStore.INTERPOLATION_METHODS).optional(), // For gridded fields
+  maxDistanceKm: Joi.number().positive().optional(), // Farthest a point may snap to a city (MAX_SNAP_DISTANCE_KM)
   month: Joi.number().integer().min(1).max(12).required(),
   day: Joi.number().integer().min(1).max(31).required(),
   year: Joi.number().integer().min(1979).max(2030).optional(),
   variable: Joi.string().valid('max_temp', 'min_temp', 'humidity', 'precipitation', 'wind_speed').required(),
-  threshold: Joi.number().required(),
+  threshold: Joi.alternatives(Joi.number(), Joi.string().pattern(PERCENTILE_THRESHOLD_PATTERN))
+    .messages({ 'alternatives.types': THRESHOLD_MESSAGE, 'string.pattern.base': THRESHOLD_MESSAGE })
+    .required(),
+  units: Joi.string().valid(...UNIT_SYSTEMS).optional(), // Unit system of the threshold and the results
+  confidence: Joi.number().min(0.5).max(0.999).optional(), // Level of the probability intervals
+  window: Joi.number().integer().min(0).max(GiovanniTimeSeriesProcessor.MAX_WINDOW_DAYS).optional(), // ±days sampled around the date
+  weighting: Joi.string().valid(...Object.keys(WINDOW_WEIGHTINGS)).optional(), // How days count by distance from the date
   variableInfo: Joi.object().optional()
-});
+})
+  .and('latitude', 'longitude')
+  .or('location', 'latitude')
+  .with('weighting', 'window');
 
-// Load Giovanni data
-function loadGiovanniData() {
-  try {
-    const dataPath = path.join(__dirname, '../../giovanni_data/london_giovanni_data.json');
-    if (fs.existsSync(dataPath)) {
-      const rawData = fs.readFileSync(dataPath, 'utf8');
-      return JSON.parse(rawData);
-    }
-    return null;
-  } catch (error) {
-    console.error('Error loading Giovanni data:', error);
-    return null;
-  }
-}
+// Unit of the temperature dataset the series come from
+const SERIES_UNIT = '°C';
 
-// Generate mock historical data based on Giovanni baseline
-function generateHistoricalFromGiovanni(giovanniData, month, day, variable, specificYear = null) {
-  if (!giovanniData || !giovanniData.data || giovanniData.data.length === 0) {
-    return generateFallbackData(month, day, variable, specificYear);
-  }
-
-  const baseTemp = giovanniData.data[0].temperature;
-  const baseTempCelsius = baseTemp - 273.15; // Convert from Kelvin to Celsius
-  
-  // Generate data based on whether we need specific year or historical range
-  const historicalData = [];
-  const startYear = specificYear || 1990;
-  const endYear = specificYear || 2023;
-  
-  for (let year = startYear; year <= endYear; year++) {
-    const seasonalVariation = getSeasonalVariation(month, day);
-    const yearlyVariation = specificYear ? 
-      // For specific years, use deterministic variation based on year
-      Math.sin((year - 1979) * 0.3) * 2 + Math.cos(year * 1.7) * 1.5 :
-      // For historical analysis, use random variation
-      (Math.random() - 0.5) * 4; // ±2°C yearly variation
-    const dailyNoise = (Math.random() - 0.5) * 6; // ±3°C daily variation
-    
-    let value;
-    switch (variable) {
-      case 'max_temp':
-        value = baseTempCelsius + seasonalVariation + yearlyVariation + dailyNoise + 5; // Daily max
-        break;
-      case 'min_temp':
-        value = baseTempCelsius + seasonalVariation + yearlyVariation + dailyNoise - 5; // Daily min
-        break;
-      case 'precipitation':
-        value = Math.max(0, getSeasonalPrecipitation(month) * (0.5 + Math.random()));
-        break;
-      case 'wind_speed':
-        value = 8 + getSeasonalWind(month) + (Math.random() - 0.5) * 6;
-        break;
-      case 'air_quality':
-        value = 0.3 + (Math.random() * 0.4); // AOD values
-        break;
-      default:
-        value = baseTempCelsius + seasonalVariation + yearlyVariation + dailyNoise;
-    }
-    
-    historicalData.push({
-      year: year,
-      month: month,
-      day: day,
-      value: value,
-      source: specificYear ? `NASA Giovanni ${year}` : 'NASA Giovanni + Synthetic'
-    });
-  }
-  
-  return historicalData;
+// Series values in the requested unit system, so statistics and the threshold agree
+function toRequestedUnits(data, units) {
+  return data.map(d => ({ ...d, value: toUnitSystem(d.value, SERIES_UNIT, units) }));
 }
 
-function generateFallbackData(month, day, variable, specificYear = null) {
-  console.log('Using fallback data generation');
-  const historicalData = [];
-  const startYear = specificYear || 1990;
-  const endYear = specificYear || 2023;
-  
-  for (let year = startYear; year <= endYear; year++) {
-    const seasonalVariation = getSeasonalVariation(month, day);
-    const yearlyVariation = specificYear ? 
-      Math.sin((year - 1979) * 0.3) * 2 + Math.cos(year * 1.7) * 1.5 :
-      (Math.random() - 0.5) * 4;
-    const dailyNoise = (Math.random() - 0.5) * 6;
-    
-    let baseValue;
-    switch (variable) {
-      case 'max_temp':
-        baseValue = 15 + seasonalVariation + yearlyVariation + dailyNoise;
-        break;
-      case 'min_temp':
-        baseValue = 8 + seasonalVariation + yearlyVariation + dailyNoise;
-        break;
-      case 'precipitation':
-        baseValue = Math.max(0, getSeasonalPrecipitation(month) * (0.5 + Math.random()));
-        break;
-      case 'wind_speed':
-        baseValue = 12 + getSeasonalWind(month) + (Math.random() - 0.5) * 6;
-        break;
-      case 'air_quality':
-        baseValue = 0.35 + (Math.random() * 0.3);
-        break;
-      default:
-        baseValue = 12 + seasonalVariation + yearlyVariation + dailyNoise;
-    }
-    
-    historicalData.push({
-      year: year,
-      month: month,
-      day: day,
-      value: baseValue,
-      source: 'Synthetic London Climate'
-    });
-  }
-  
-  return historicalData;
-}
-
-function getSeasonalVariation(month, day) {
-  // London seasonal temperature variation
-  const monthVariations = {
-    1: -5, 2: -3, 3: 0, 4: 5, 5: 10, 6: 15,
-    7: 17, 8: 16, 9: 12, 10: 7, 11: 2, 12: -3
-  };
-  return monthVariations[month] || 0;
-}
-
-function getSeasonalPrecipitation(month) {
-  // London monthly precipitation averages (mm)
-  const monthlyPrecip = {
-    1: 55, 2: 40, 3: 42, 4: 44, 5: 49, 6: 45,
-    7: 45, 8: 50, 9: 50, 10: 59, 11: 60, 12: 55
-  };
-  return monthlyPrecip[month] || 50;
-}
-
-function getSeasonalWind(month) {
-  // London seasonal wind variations
-  const windVariations = {
-    1: 2, 2: 1, 3: 0, 4: -1, 5: -2, 6: -3,
-    7: -3, 8: -2, 9: -1, 10: 0, 11: 1, 12: 2
+// Values and window weights of a sample: the climatology a percentile threshold is taken from
+function climatology(data, { window = 0, weighting } = {}) {
+  return {
+    values: data.map(d => d.value),
+    weights: data.map(d => windowWeight(d.offset || 0, window, weighting))
   };
-  return windVariations[month] || 0;
 }
 
-function calculateStatistics(data, threshold, variable) {
+// With a ±window sample, days count by `weighting` and the intervals use the effective sample size;
+// trends are Mann-Kendall tests of the yearly value and exceedance, labelled by significance
+function calculateStatistics(data, threshold, variable, { confidence, window = 0, weighting = DEFAULT_WINDOW_WEIGHTING, unit } = {}) {
   if (!data || data.length === 0) {
     return {
       probability: 0.5,
+      probabilityInterval: probabilityIntervals([], { confidence }),
       average: threshold,
-      trend: 'stable',
+      trend: 'insufficient data',
+      trendChange: 0,
       dataYears: 0,
+      sampleSize: effectiveSampleSize([]),
       distributionData: []
     };
   }
@@ -175,22 +83,16 @@ function calculateStatistics(data, threshold, variable) {
   const values = data.map(d => d.value);
   const average = values.reduce((a, b) => a + b, 0) / values.length;
   
-  // Calculate probability of exceeding threshold
-  const exceedCount = values.filter(v => v >= threshold).length;
-  const probability = exceedCount / values.length;
+  // Probability of the adverse side of the threshold (at or below it for min_temp), with Wilson and bootstrap intervals
+  const exceeds = values.map(v => checkAdverseCondition(v, threshold, variable));
+  const weights = data.map(d => windowWeight(d.offset || 0, window, weighting));
+  const groups = window ? data.map(d => d.year) : undefined;
+  const sampleSize = effectiveSampleSize(values, { weights, groups, offsets: window ? data.map(d => d.offset) : undefined });
+  const probability = weightedShare(exceeds, weights);
   
-  // Calculate trend (simple linear regression)
   const years = data.map(d => d.year);
   const n = years.length;
-  const sumX = years.reduce((a, b) => a + b, 0);
-  const sumY = values.reduce((a, b) => a + b, 0);
-  const sumXY = years.reduce((sum, year, i) => sum + year * values[i], 0);
-  const sumXX = years.reduce((sum, year) => sum + year * year, 0);
-  
-  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-  let trend = 'stable';
-  if (slope > 0.1) trend = 'increasing';
-  else if (slope < -0.1) trend = 'decreasing';
+  const trends = trendTests(years, values, exceeds, { weights });
   
   // Create distribution data for chart
   const distributionData = [];
@@ -209,11 +111,22 @@ function calculateStatistics(data, threshold, variable) {
   
   return {
     probability: probability,
+    probabilityInterval: probabilityIntervals(exceeds, {
+      confidence,
+      weights,
+      groups,
+      effectiveSize: sampleSize.effectiveSampleSize
+    }),
     average: average,
-    trend: trend,
-    dataYears: n,
+    trend: trends.value.trend,
+    trendChange: trends.change,
+    trendAnalysis: describeTrends(trends, unit),
+    trendTests: { value: trends.value, exceedance: trends.exceedance },
+    dataYears: new Set(years).size,
+    sampleSize,
     distributionData: distributionData,
-    confidenceInterval: {
+    // ±1.96σ: where about 95% of the yearly values fall (not an interval on the probability)
+    valueRange: {
       lower: average - (1.96 * Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - average, 2), 0) / n)),
       upper: average + (1.96 * Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - average, 2), 0) / n))
     }
@@ -377,9 +290,10 @@ function calculatePredictionConfidence(historicalData, yearsFromBaseline) {
 }
 
 // Calculate statistics for predictions (enhanced version)
-function calculatePredictionStatistics(historicalData, prediction, threshold, variable) {
+// probabilityInterval stays that of the historical frequency the adjusted probability starts from
+function calculatePredictionStatistics(historicalData, prediction, threshold, variable, options) {
   // Calculate historical statistics first
-  const historicalStats = calculateStatistics(historicalData, threshold, variable);
+  const historicalStats = calculateStatistics(historicalData, threshold, variable, options);
   
   // Add prediction-specific metrics
   const predictionConfidence = prediction.confidence;
@@ -395,7 +309,7 @@ function calculatePredictionStatistics(historicalData, prediction, threshold, va
     adjustedProbability = Math.max(0, Math.min(1, historicalStats.probability + trend * 0.3));
   } else {
     // For temperature variables
-    if (predictionValue > threshold) {
+    if (checkAdverseCondition(predictionValue, threshold, variable)) {
       adjustedProbability = Math.min(0.95, adjustedProbability + 0.1);
     } else {
       adjustedProbability = Math.max(0.05, adjustedProbability - 0.1);
@@ -425,11 +339,28 @@ router.post('/historical-analysis', async (req, res) => {
     }
 
     const queryParams = value;
+    const units = queryParams.units || DEFAULT_UNIT_SYSTEM;
     const currentYear = new Date().getFullYear();
     const isFutureYear = queryParams.year && queryParams.year > currentYear;
     
-    // Check if location is available in Giovanni data
-    if (!giovanniDataService.isLocationAvailable(queryParams.location)) {
+    const hasPoint = queryParams.latitude !== undefined;
+    const placeName = queryParams.location || `${queryParams.latitude}, ${queryParams.longitude}`;
+    const place = {
+      latitude: queryParams.latitude,
+      longitude: queryParams.longitude,
+      interpolation: queryParams.interpolation,
+      maxDistanceKm: queryParams.maxDistanceKm,
+      window: queryParams.window || 0
+    };
+    const statisticsOptions = {
+      confidence: queryParams.confidence,
+      window: place.window,
+      weighting: queryParams.weighting,
+      unit: unitIn(SERIES_UNIT, units)
+    };
+
+    // A city name must be one of the listed cities; coordinates snap to the nearest one (see resolvePlace)
+    if (!hasPoint && !giovanniDataService.isLocationAvailable(queryParams.location)) {
       const availableCities = giovanniDataService.getDatasetBounds().availableCities;
       return res.status(400).json({
         error: 'Location Not Available',
@@ -440,7 +371,7 @@ router.post('/historical-analysis', async (req, res) => {
     }
     
     // Generate data: historical for training, prediction for future
-    let analysisData, statistics, giovanniBaselineData;
+    let analysisData, statistics, giovanniBaselineData, seriesMetadata, resolvedThreshold;
     
     if (isFutureYear) {
       // For future predictions, use historical data to train prediction model
@@ -449,11 +380,15 @@ router.post('/historical-analysis', async (req, res) => {
         queryParams.location, 
         queryParams.month, 
         queryParams.day, 
-        queryParams.variable
+        queryParams.variable,
+        null,
+        place
       );
       
       giovanniBaselineData = historicalResult.baselineData;
-      const historicalTrainingData = historicalResult.historicalData;
+      seriesMetadata = historicalResult.metadata;
+      const historicalTrainingData = toRequestedUnits(historicalResult.historicalData, units);
+      resolvedThreshold = resolveThreshold(queryParams.threshold, () => climatology(historicalTrainingData, statisticsOptions));
       
       // Generate prediction based on historical patterns
       const prediction = generateWeatherPrediction(
@@ -468,8 +403,9 @@ router.post('/historical-analysis', async (req, res) => {
       statistics = calculatePredictionStatistics(
         historicalTrainingData,
         prediction,
-        queryParams.threshold,
-        queryParams.variable
+        resolvedThreshold.threshold,
+        queryParams.variable,
+        statisticsOptions
       );
     } else {
       // For historical analysis, use existing logic with real Giovanni data
@@ -479,51 +415,89 @@ router.post('/historical-analysis', async (req, res) => {
         queryParams.month, 
         queryParams.day, 
         queryParams.variable,
-        queryParams.year
+        queryParams.year,
+        place
       );
       
       giovanniBaselineData = historicalResult.baselineData;
-      analysisData = historicalResult.historicalData;
+      seriesMetadata = historicalResult.metadata;
+      analysisData = toRequestedUnits(historicalResult.historicalData, units);
+
+      // A percentile is of every year's window, so a single year is compared with its climate
+      let climatologyData = analysisData;
+      if (queryParams.year && thresholdPercentile(queryParams.threshold) !== null) {
+        const climateResult = await giovanniDataService.generateHistoricalData(
+          queryParams.location,
+          queryParams.month,
+          queryParams.day,
+          queryParams.variable,
+          null,
+          place
+        );
+        climatologyData = toRequestedUnits(climateResult.historicalData, units);
+      }
+      resolvedThreshold = resolveThreshold(queryParams.threshold, () => climatology(climatologyData, statisticsOptions));
       
       statistics = calculateStatistics(
         analysisData,
-        queryParams.threshold,
-        queryParams.variable
+        resolvedThreshold.threshold,
+        queryParams.variable,
+        statisticsOptions
       );
     }
     
-    console.log(`📈 Generated ${analysisData.length} data points for ${queryParams.location}`);
+    console.log(`📈 Generated ${analysisData.length} data points for ${placeName}`);
     
     const result = {
-      location: queryParams.location,
+      location: placeName,
+      matchedLocation: seriesMetadata.place,
       coordinates: giovanniBaselineData.actual_coords,
       date: `${queryParams.month}/${queryParams.day}${queryParams.year ? `/${queryParams.year}` : ''}`,
       analysisType: isFutureYear ? 'future-prediction' : 
                    queryParams.year ? 'specific-year' : 'historical-probability',
       variable: queryParams.variable,
-      threshold: queryParams.threshold,
+      threshold: resolvedThreshold.threshold,
+      thresholdPercentile: resolvedThreshold.thresholdPercentile,
+      units,
+      unit: unitIn(SERIES_UNIT, units),
       probability: statistics.probability,
       historicalAverage: statistics.average,
       trend: statistics.trend,
+      trendChange: statistics.trendChange,
+      trendAnalysis: statistics.trendAnalysis,
+      trendTests: statistics.trendTests,
       riskLevel: getRiskLevel(statistics.probability),
-      confidenceInterval: statistics.confidenceInterval,
+      probabilityInterval: statistics.probabilityInterval,
+      valueRange: statistics.valueRange,
       dataYears: statistics.dataYears,
+      window: { days: place.window, weighting: statisticsOptions.weighting || DEFAULT_WINDOW_WEIGHTING },
+      sampleSize: statistics.sampleSize.sampleSize,
+      effectiveSampleSize: statistics.sampleSize.effectiveSampleSize,
+      autocorrelation: statistics.sampleSize.autocorrelation,
       distributionData: statistics.distributionData,
       predictionConfidence: isFutureYear ? statistics.predictionConfidence : undefined,
       giovanniBaseline: giovanniBaselineData,
-      dataSources: ['NASA NLDAS Giovanni', 'Historical Climate Models'],
+      dataSources: [seriesMetadata.dataSource],
       metadata: {
         processedAt: new Date().toISOString(),
         coordinates: giovanniBaselineData.actual_coords,
         queryParameters: queryParams,
+        unit: unitIn(SERIES_UNIT, units),
+        dataset: seriesMetadata.dataset,
+        version: seriesMetadata.version,
+        aggregation: seriesMetadata.aggregation,
+        timeZone: seriesMetadata.timeZone,
+        location: seriesMetadata.location,
+        interpolation: giovanniBaselineData.interpolation,
+        provenance: seriesMetadata.provenance,
         giovanniDataAvailable: true,
-        actualLocation: `${queryParams.location} (${giovanniBaselineData.actual_coords.lat.toFixed(2)}, ${giovanniBaselineData.actual_coords.lon.toFixed(2)})`,
+        actualLocation: `${placeName} (${giovanniBaselineData.actual_coords.lat.toFixed(2)}, ${giovanniBaselineData.actual_coords.lon.toFixed(2)})`,
         baselineTemperature: `${giovanniBaselineData.temperature_c.toFixed(1)}°C`,
         note: isFutureYear ? 
-          `Weather prediction for ${queryParams.year} based on ${analysisData.length - 1} years of NASA NLDAS data patterns` :
+          `Weather prediction for ${queryParams.year} based on ${statistics.dataYears} years of observed air temperature` :
           queryParams.year ? 
-          `Analysis for specific year ${queryParams.year} based on NASA NLDAS Giovanni data` :
-          'Historical probability analysis based on NASA NLDAS Giovanni data with multi-year modeling'
+          `Analysis for specific year ${queryParams.year} based on observed air temperature` :
+          `Historical probability analysis based on ${statistics.dataYears} years of observed air temperature${place.window ? ` (±${place.window} days, effective sample size ${statistics.sampleSize.effectiveSampleSize})` : ''}`
       }
     };
 
@@ -531,6 +505,13 @@ router.post('/historical-analysis', async (req, res) => {
     res.json(result);
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Location Not Available' : 'Temperature Data Not Available',
+        message: error.message
+      });
+    }
+
     console.error('❌ Error in Giovanni analysis:', error);
     res.status(500).json({
       error: 'Giovanni Analysis Error',
@@ -0,0 +1,100 @@
+const express = require('express');
+const Joi = require('joi');
+const griddedFieldStore = require('../services/griddedFieldStore');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pointQuerySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lon: Joi.number().min(-180).max(360).required(),
+  method: Joi.string().valid(...griddedFieldStore.INTERPOLATION_METHODS).optional(),
+  startDate: Joi.string().pattern(DATE_PATTERN).optional(),
+  endDate: Joi.string().pattern(DATE_PATTERN).optional()
+});
+
+// Catalog of the gridded fields in griddedFields.js
+router.get('/grids', (req, res) => {
+  const grids = griddedFieldStore.list();
+
+  res.json({
+    success: true,
+    grids,
+    count: grids.length
+  });
+});
+
+router.get('/grids/:id', (req, res) => {
+  if (!griddedFieldStore.definitions.has(req.params.id)) {
+    return res.status(404).json({
+      error: 'Grid not found',
+      message: `No gridded field registered with id "${req.params.id}"`
+    });
+  }
+
+  res.json({
+    success: true,
+    grid: griddedFieldStore.getCatalogEntry(req.params.id)
+  });
+});
+
+// Nearest-neighbour or bilinear time series at a latitude/longitude
+router.get('/grids/:id/point', (req, res) => {
+  try {
+    const { error, value } = pointQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const method = value.method || griddedFieldStore.DEFAULT_INTERPOLATION;
+    const point = griddedFieldStore.pointSeries(req.params.id, { lat: value.lat, lon: value.lon }, { method });
+    const start = value.startDate ? Date.parse(`${value.startDate}T00:00:00Z`) : -Infinity;
+    const end = value.endDate ? Date.parse(`${value.endDate}T00:00:00Z`) + 24 * 60 * 60 * 1000 : Infinity;
+
+    const series = [];
+    point.times.forEach((time, t) => {
+      if (isNaN(time) || (time >= start && time < end)) {
+        series.push({
+          time: isNaN(time) ? null : new Date(time).toISOString(),
+          value: isNaN(point.values[t]) ? null : point.values[t]
+        });
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        grid: point.grid,
+        variable: point.variable,
+        unit: point.unit,
+        method: point.method,
+        requestedCoords: point.requestedCoords,
+        actualCoords: point.actualCoords,
+        distanceKm: point.distanceKm,
+        cells: point.cells,
+        series
+      },
+      count: series.length
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Point not available' : 'Invalid request',
+        message: error.message
+      });
+    }
+
+    console.error(`Error extracting ${req.params.id} point series:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const griddedFieldStore = require('../services/griddedFieldStore');
+const gridRoutes = require('./gridRoutes');
+
+// 2 hourly steps from 1979-01-01 13:00 UTC on a 3 × 4 grid (lat 40..42, lon -90..-87); (40, -90) is missing in the first hour
+const definition = {
+  id: 'test_tair',
+  name: 'Test Air Temperature',
+  file: path.join(__dirname, '../utils/__fixtures__/tair-netcdf3.nc'),
+  variable: 'Tair',
+  unit: 'K'
+};
+
+const app = express();
+app.use('/api', gridRoutes);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  griddedFieldStore.register(definition);
+  griddedFieldStore.loadAll();
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('GET /api/grids', () => {
+  test('lists the registered grids', async () => {
+    const res = await request(app).get('/api/grids');
+
+    expect(res.status).toBe(200);
+    expect(res.body.grids.map(grid => grid.id)).toContain('test_tair');
+  });
+
+  test('answers 404 for an unknown grid', async () => {
+    const res = await request(app).get('/api/grids/test_rainf');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Grid not found');
+  });
+});
+
+describe('GET /api/grids/:id/point', () => {
+  test('returns the time series of the nearest cell', async () => {
+    const res = await request(app).get('/api/grids/test_tair/point?lat=40.2&lon=-89.9&method=nearest');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ method: 'nearest', actualCoords: { lat: 40, lon: -90 }, unit: 'K' });
+    expect(res.body.data.series).toEqual([
+      { time: '1979-01-01T13:00:00.000Z', value: null },
+      { time: '1979-01-01T14:00:00.000Z', value: 290 }
+    ]);
+  });
+
+  test('keeps the steps between the start and end dates', async () => {
+    const res = await request(app).get('/api/grids/test_tair/point?lat=41&lon=-89&startDate=1979-01-02');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(0);
+  });
+
+  test('answers 404 for a point outside the grid', async () => {
+    const res = await request(app).get('/api/grids/test_tair/point?lat=45&lon=-89');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Point not available');
+  });
+
+  test.each([
+    ['a missing longitude', 'lat=41'],
+    ['a latitude beyond the pole', 'lat=91&lon=-89'],
+    ['an unknown method', 'lat=41&lon=-89&method=bicubic'],
+    ['a malformed date', 'lat=41&lon=-89&startDate=1979-1-1']
+  ])('rejects %s', async (description, params) => {
+    const res = await request(app).get(`/api/grids/test_tair/point?${params}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+});
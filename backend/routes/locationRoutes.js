@@ -0,0 +1,145 @@
+const express = require('express');
+const Joi = require('joi');
+const gazetteer = require('../services/gazetteerService');
+const simpleGiovanniService = require('../services/simpleGiovanniService');
+
+const router = express.Router();
+
+const DEFAULT_SUGGESTIONS = 8;
+// Variables analysed by /historical-analysis, from the temperature dataset or its grid
+const TEMPERATURE_VARIABLES = ['max_temp', 'min_temp'];
+const TEMPERATURE_DATASET = 'temperature';
+
+const suggestQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).required(),
+  country: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(20).optional()
+});
+
+// How a series answers for the place (see GiovanniTimeSeriesProcessor.selectSeries)
+function seriesAvailability(processor, place) {
+  if (!processor || !processor.isDataLoaded) {
+    return { available: false, reason: 'Data not loaded' };
+  }
+
+  try {
+    const { match } = processor.selectSeries({
+      location: place.name,
+      latitude: place.latitude,
+      longitude: place.longitude
+    });
+
+    return {
+      available: true,
+      matchedBy: match.matchedBy,
+      location: match.location,
+      distanceKm: match.distanceKm,
+      warning: match.warning
+    };
+  } catch (error) {
+    if (error.status) {
+      return { available: false, reason: error.message };
+    }
+    throw error;
+  }
+}
+
+// /historical-analysis reads a temperature grid at the point, or snaps it to the nearest listed city
+function temperatureAvailability(registry, place) {
+  let resolved;
+  try {
+    resolved = simpleGiovanniService.resolvePlace(place.name, place);
+  } catch (error) {
+    if (error.status) {
+      return { available: false, reason: error.message };
+    }
+    throw error;
+  }
+
+  const { match } = resolved;
+  if (match.matchedBy === 'grid') {
+    return { available: true, matchedBy: 'grid', grid: match.grid };
+  }
+
+  const series = seriesAvailability(registry.get(TEMPERATURE_DATASET), {
+    name: resolved.cityName,
+    latitude: resolved.point.lat,
+    longitude: resolved.point.lon
+  });
+  return series.available
+    ? { ...series, matchedBy: match.matchedBy, location: match.location, distanceKm: match.distanceKm }
+    : series;
+}
+
+/**
+ * Whether each analysis variable has data for a place, keyed by the variable id
+ * the analysis endpoints take: max_temp/min_temp and every registered dataset.
+ */
+function variableAvailability(registry, place) {
+  const availability = {};
+  const temperature = temperatureAvailability(registry, place);
+
+  TEMPERATURE_VARIABLES.forEach(variable => {
+    availability[variable] = temperature;
+  });
+  registry.list().forEach(processor => {
+    availability[processor.id] = seriesAvailability(processor, place);
+  });
+
+  return availability;
+}
+
+// Ranked places for a partly typed name, with the variables that have data at each
+router.get('/locations/suggest', (req, res) => {
+  try {
+    const { error, value } = suggestQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    let candidates;
+    try {
+      candidates = gazetteer.search(value.q, {
+        country: value.country,
+        limit: value.limit || DEFAULT_SUGGESTIONS,
+        prefix: true
+      });
+    } catch (searchError) {
+      // An unknown qualifier is just text with no suggestions yet
+      if (searchError.status !== 404) throw searchError;
+      candidates = [];
+    }
+
+    const registry = req.app.locals.datasetRegistry;
+    const suggestions = candidates.map(candidate => ({
+      ...candidate,
+      availability: variableAvailability(registry, candidate)
+    }));
+
+    res.json({
+      success: true,
+      query: value.q,
+      suggestions,
+      count: suggestions.length
+    });
+
+  } catch (error) {
+    if (error.status === 503) {
+      return res.status(503).json({
+        error: 'Geocoding Unavailable',
+        message: error.message
+      });
+    }
+
+    console.error('Error suggesting locations:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const request = require('supertest');
+const gazetteer = require('../services/gazetteerService');
+const datasetRegistry = require('../services/datasetRegistry');
+const locationRoutes = require('./locationRoutes');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One day of 3-hourly wind speeds, for the whole export and for Chicago
+const definitions = {
+  wind: {
+    id: 'wind_speed',
+    route: 'windspeed',
+    name: 'Wind Speed',
+    file: 'Test Wind.csv',
+    unit: 'm/s',
+    aggregation: 'mean',
+    locations: [{ name: 'Chicago', file: 'Test Wind Chicago.csv', latitude: 41.8781, longitude: -87.6298 }]
+  },
+  humidity: { id: 'humidity', route: 'humidity', name: 'Humidity', file: 'Test Humidity.csv', unit: 'kg/kg', aggregation: 'mean' }
+};
+
+function applyDay(series) {
+  const times = Array.from({ length: 8 }, (_, step) => Date.UTC(2020, 0, 1) + step * 3 * HOUR_MS);
+  series.applySeries({
+    metadata: null,
+    columnName: 'mean_Test_Wind',
+    fillValue: null,
+    times: Float64Array.from(times),
+    values: Float64Array.from(times, () => 5),
+    fillTimes: [],
+    duplicateTimes: [],
+    report: null
+  }, { checksum: null, loadedFrom: 'csv' });
+}
+
+const app = express();
+app.locals.datasetRegistry = datasetRegistry;
+app.use('/api', locationRoutes);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  gazetteer.load();
+  const wind = datasetRegistry.register(definitions.wind);
+  applyDay(wind);
+  wind.locationSeries.forEach(applyDay);
+  // Registered but never loaded
+  datasetRegistry.register(definitions.humidity);
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('GET /api/locations/suggest', () => {
+  test('suggests places starting with the typed text', async () => {
+    const res = await request(app).get('/api/locations/suggest?q=Chi&limit=3');
+
+    expect(res.status).toBe(200);
+    expect(res.body.suggestions[0]).toMatchObject({ name: 'Chicago', matchType: 'prefix' });
+  });
+
+  test('reports which variables have data at each place', async () => {
+    const res = await request(app).get('/api/locations/suggest?q=Chicago&limit=1');
+    const { availability } = res.body.suggestions[0];
+
+    expect(availability.wind_speed).toMatchObject({ available: true, matchedBy: 'name', location: 'Chicago' });
+    expect(availability.humidity).toEqual({ available: false, reason: 'Data not loaded' });
+    // The temperature analyses need the Tair export, which is not loaded
+    expect(availability.max_temp).toEqual({ available: false, reason: 'Data not loaded' });
+    expect(availability.min_temp).toEqual(availability.max_temp);
+  });
+
+  test('marks a variable unavailable where no series is close enough', async () => {
+    const res = await request(app).get('/api/locations/suggest?q=Denver&limit=1');
+    const { availability } = res.body.suggestions[0];
+
+    expect(availability.wind_speed.available).toBe(false);
+    expect(availability.wind_speed.reason).toMatch('Wind Speed has no series within');
+  });
+
+  test('has no suggestions for an unknown qualifier', async () => {
+    const res = await request(app).get(`/api/locations/suggest?q=${encodeURIComponent('Houston, Narnia')}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ suggestions: [], count: 0 });
+  });
+
+  test.each([
+    ['a missing query', ''],
+    ['a blank query', 'q=%20'],
+    ['a limit above 20', 'q=Chi&limit=21']
+  ])('rejects %s', async (description, params) => {
+    const res = await request(app).get(`/api/locations/suggest?${params}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+});
@@ -1,276 +0,0 @@
-const express = require('express');
-const router = express.Router();
-
-let precipitationProcessor = null;
-
-// Initialize precipitation processor
-const initializePrecipitationProcessor = (processor) => {
-  precipitationProcessor = processor;
-};
-
-// Get precipitation data for a specific date
-router.get('/precipitation/date/:date', (req, res) => {
-  try {
-    if (!precipitationProcessor || !precipitationProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Precipitation data not available',
-        message: 'Precipitation processor not initialized or data not loaded' 
-      });
-    }
-
-    const { date } = req.params;
-    
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ 
-        error: 'Invalid date format', 
-        message: 'Date must be in YYYY-MM-DD format' 
-      });
-    }
-
-    const precipitationData = precipitationProcessor.getPrecipitationForDate(date);
-    
-    if (!precipitationData) {
-      return res.status(404).json({ 
-        error: 'No data found', 
-        message: `No precipitation data available for ${date}` 
-      });
-    }
-
-    res.json({
-      success: true,
-      data: precipitationData,
-      metadata: {
-        source: 'NASA GLDAS Model',
-        unit: 'mm/hour',
-        date_requested: date
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching precipitation data:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Get precipitation data for a date range
-router.get('/precipitation/range', (req, res) => {
-  try {
-    if (!precipitationProcessor || !precipitationProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Precipitation data not available' 
-      });
-    }
-
-    const { startDate, endDate } = req.query;
-    
-    if (!startDate || !endDate) {
-      return res.status(400).json({ 
-        error: 'Missing parameters', 
-        message: 'Both startDate and endDate are required' 
-      });
-    }
-
-    // Validate date formats
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
-      return res.status(400).json({ 
-        error: 'Invalid date format', 
-        message: 'Dates must be in YYYY-MM-DD format' 
-      });
-    }
-
-    const precipitationData = precipitationProcessor.getPrecipitationRange(startDate, endDate);
-    
-    res.json({
-      success: true,
-      data: precipitationData,
-      metadata: {
-        source: 'NASA GLDAS Model',
-        unit: 'mm/hour',
-        range: { startDate, endDate },
-        records_found: precipitationData.length
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching precipitation range:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Get monthly precipitation statistics
-router.get('/precipitation/monthly/:year/:month', (req, res) => {
-  try {
-    if (!precipitationProcessor || !precipitationProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Precipitation data not available' 
-      });
-    }
-
-    const { year, month } = req.params;
-    const yearNum = parseInt(year);
-    const monthNum = parseInt(month);
-    
-    if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
-      return res.status(400).json({ 
-        error: 'Invalid parameters', 
-        message: 'Year must be a number and month must be between 1-12' 
-      });
-    }
-
-    const monthlyStats = precipitationProcessor.getMonthlyStatistics(yearNum, monthNum);
-    
-    if (!monthlyStats) {
-      return res.status(404).json({ 
-        error: 'No data found', 
-        message: `No precipitation data available for ${year}-${month.padStart(2, '0')}` 
-      });
-    }
-
-    res.json({
-      success: true,
-      data: monthlyStats,
-      metadata: {
-        source: 'NASA GLDAS Model',
-        requested: { year: yearNum, month: monthNum }
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching monthly precipitation stats:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Get precipitation data summary
-router.get('/precipitation/summary', (req, res) => {
-  try {
-    if (!precipitationProcessor) {
-      return res.status(503).json({ 
-        error: 'Precipitation processor not initialized' 
-      });
-    }
-
-    const summary = precipitationProcessor.getDataSummary();
-    
-    res.json({
-      success: true,
-      summary: summary,
-      metadata: {
-        api_version: '1.0',
-        last_updated: new Date().toISOString()
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching precipitation summary:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Precipitation analysis endpoint (compatible with existing frontend)
-router.post('/precipitation-analysis', (req, res) => {
-  try {
-    if (!precipitationProcessor || !precipitationProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Precipitation data not available',
-        fallback: true,
-        message: 'Using fallback precipitation analysis'
-      });
-    }
-
-    const { location, threshold, startDate, endDate } = req.body;
-    
-    // Validate required parameters
-    if (!location || threshold === undefined) {
-      return res.status(400).json({ 
-        error: 'Missing required parameters', 
-        message: 'Location and threshold are required' 
-      });
-    }
-
-    // Use recent 30 days if no date range provided
-    const end = endDate ? new Date(endDate) : new Date();
-    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
-    
-    const startDateStr = start.toISOString().split('T')[0];
-    const endDateStr = end.toISOString().split('T')[0];
-    
-    // Get precipitation data for the range
-    const precipitationData = precipitationProcessor.getPrecipitationRange(startDateStr, endDateStr);
-    
-    if (precipitationData.length === 0) {
-      return res.status(404).json({ 
-        error: 'No data found for the specified date range' 
-      });
-    }
-
-    // Analyze against threshold
-    const daysAboveThreshold = precipitationData.filter(day => 
-      day.daily_total_mm > threshold
-    ).length;
-    
-    const totalDays = precipitationData.length;
-    const likelihood = (daysAboveThreshold / totalDays) * 100;
-    
-    const avgDaily = precipitationData.reduce((sum, day) => 
-      sum + day.daily_total_mm, 0) / totalDays;
-    
-    const maxDaily = Math.max(...precipitationData.map(day => day.daily_total_mm));
-    
-    // Generate forecast data points for visualization
-    const forecast = precipitationData.slice(-7).map((day, index) => ({
-      date: day.date,
-      value: day.daily_total_mm,
-      likelihood: (day.daily_total_mm > threshold) ? 85 + Math.random() * 10 : 15 + Math.random() * 30
-    }));
-
-    res.json({
-      success: true,
-      analysis: {
-        location,
-        variable: 'precipitation',
-        threshold: `${threshold} mm/day`,
-        likelihood: Math.round(likelihood * 10) / 10,
-        confidence: 92,
-        period: `${startDateStr} to ${endDateStr}`,
-        days_analyzed: totalDays,
-        days_above_threshold: daysAboveThreshold,
-        statistics: {
-          average_daily_mm: Math.round(avgDaily * 100) / 100,
-          max_daily_mm: Math.round(maxDaily * 100) / 100,
-          total_precipitation_mm: Math.round(precipitationData.reduce((sum, day) => 
-            sum + day.daily_total_mm, 0) * 100) / 100
-        },
-        forecast,
-        data_source: 'NASA GLDAS Model - Total precipitation rate 3-hourly 0.25 deg',
-        methodology: 'Statistical analysis of historical NASA satellite precipitation data'
-      },
-      metadata: {
-        processed_at: new Date().toISOString(),
-        data_quality: 'High - Direct NASA satellite measurements'
-      }
-    });
-
-  } catch (error) {
-    console.error('Error in precipitation analysis:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-module.exports = { router, initializePrecipitationProcessor };
\ No newline at end of file
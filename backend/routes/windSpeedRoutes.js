@@ -1,275 +0,0 @@
-const express = require('express');
-const router = express.Router();
-
-let windSpeedProcessor = null;
-
-// Initialize wind speed processor
-const initializeWindSpeedProcessor = (processor) => {
-  windSpeedProcessor = processor;
-};
-
-// Get wind speed data for a specific date
-router.get('/windspeed/date/:date', (req, res) => {
-  try {
-    if (!windSpeedProcessor || !windSpeedProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Wind speed data not available',
-        message: 'Wind speed processor not initialized or data not loaded' 
-      });
-    }
-
-    const { date } = req.params;
-    
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ 
-        error: 'Invalid date format', 
-        message: 'Date must be in YYYY-MM-DD format' 
-      });
-    }
-
-    const windSpeedData = windSpeedProcessor.getWindSpeedForDate(date);
-    
-    if (!windSpeedData) {
-      return res.status(404).json({ 
-        error: 'No data found', 
-        message: `No wind speed data available for ${date}` 
-      });
-    }
-
-    res.json({
-      success: true,
-      data: windSpeedData,
-      metadata: {
-        source: 'NASA GLDAS Model',
-        unit: 'm/s',
-        date_requested: date
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching wind speed data:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Get wind speed data for a date range
-router.get('/windspeed/range', (req, res) => {
-  try {
-    if (!windSpeedProcessor || !windSpeedProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Wind speed data not available' 
-      });
-    }
-
-    const { startDate, endDate } = req.query;
-    
-    if (!startDate || !endDate) {
-      return res.status(400).json({ 
-        error: 'Missing parameters', 
-        message: 'Both startDate and endDate are required' 
-      });
-    }
-
-    // Validate date formats
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
-      return res.status(400).json({ 
-        error: 'Invalid date format', 
-        message: 'Dates must be in YYYY-MM-DD format' 
-      });
-    }
-
-    const windSpeedData = windSpeedProcessor.getWindSpeedRange(startDate, endDate);
-    
-    res.json({
-      success: true,
-      data: windSpeedData,
-      metadata: {
-        source: 'NASA GLDAS Model',
-        unit: 'm/s',
-        range: { startDate, endDate },
-        records_found: windSpeedData.length
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching wind speed range:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Get monthly wind speed statistics
-router.get('/windspeed/monthly/:year/:month', (req, res) => {
-  try {
-    if (!windSpeedProcessor || !windSpeedProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Wind speed data not available' 
-      });
-    }
-
-    const { year, month } = req.params;
-    const yearNum = parseInt(year);
-    const monthNum = parseInt(month);
-    
-    if (isNaN(yearNum) || isNaN(monthNum) || monthNum < 1 || monthNum > 12) {
-      return res.status(400).json({ 
-        error: 'Invalid parameters', 
-        message: 'Year must be a number and month must be between 1-12' 
-      });
-    }
-
-    const monthlyStats = windSpeedProcessor.getMonthlyStatistics(yearNum, monthNum);
-    
-    if (!monthlyStats) {
-      return res.status(404).json({ 
-        error: 'No data found', 
-        message: `No wind speed data available for ${year}-${month.padStart(2, '0')}` 
-      });
-    }
-
-    res.json({
-      success: true,
-      data: monthlyStats,
-      metadata: {
-        source: 'NASA GLDAS Model',
-        requested: { year: yearNum, month: monthNum }
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching monthly wind speed stats:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Get wind speed data summary
-router.get('/windspeed/summary', (req, res) => {
-  try {
-    if (!windSpeedProcessor) {
-      return res.status(503).json({ 
-        error: 'Wind speed processor not initialized' 
-      });
-    }
-
-    const summary = windSpeedProcessor.getDataSummary();
-    
-    res.json({
-      success: true,
-      summary: summary,
-      metadata: {
-        api_version: '1.0',
-        last_updated: new Date().toISOString()
-      }
-    });
-
-  } catch (error) {
-    console.error('Error fetching wind speed summary:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-// Wind speed analysis endpoint (compatible with existing frontend)
-router.post('/windspeed-analysis', (req, res) => {
-  try {
-    if (!windSpeedProcessor || !windSpeedProcessor.isDataLoaded) {
-      return res.status(503).json({ 
-        error: 'Wind speed data not available',
-        fallback: true,
-        message: 'Using fallback wind speed analysis'
-      });
-    }
-
-    const { location, threshold, startDate, endDate } = req.body;
-    
-    // Validate required parameters
-    if (!location || threshold === undefined) {
-      return res.status(400).json({ 
-        error: 'Missing required parameters', 
-        message: 'Location and threshold are required' 
-      });
-    }
-
-    // Use recent 30 days if no date range provided
-    const end = endDate ? new Date(endDate) : new Date();
-    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
-    
-    const startDateStr = start.toISOString().split('T')[0];
-    const endDateStr = end.toISOString().split('T')[0];
-    
-    // Get wind speed data for the range
-    const windSpeedData = windSpeedProcessor.getWindSpeedRange(startDateStr, endDateStr);
-    
-    if (windSpeedData.length === 0) {
-      return res.status(404).json({ 
-        error: 'No data found for the specified date range' 
-      });
-    }
-
-    // Analyze against threshold
-    const daysAboveThreshold = windSpeedData.filter(day => 
-      day.average_wind_speed_ms > threshold
-    ).length;
-    
-    const totalDays = windSpeedData.length;
-    const likelihood = (daysAboveThreshold / totalDays) * 100;
-    
-    const avgDaily = windSpeedData.reduce((sum, day) => 
-      sum + day.average_wind_speed_ms, 0) / totalDays;
-    
-    const maxDaily = Math.max(...windSpeedData.map(day => day.max_wind_speed_ms));
-    
-    // Generate forecast data points for visualization
-    const forecast = windSpeedData.slice(-7).map((day, index) => ({
-      date: day.date,
-      value: day.average_wind_speed_ms,
-      likelihood: (day.average_wind_speed_ms > threshold) ? 85 + Math.random() * 10 : 15 + Math.random() * 30
-    }));
-
-    res.json({
-      success: true,
-      analysis: {
-        location,
-        variable: 'wind_speed',
-        threshold: `${threshold} m/s`,
-        likelihood: Math.round(likelihood * 10) / 10,
-        confidence: 92,
-        period: `${startDateStr} to ${endDateStr}`,
-        days_analyzed: totalDays,
-        days_above_threshold: daysAboveThreshold,
-        statistics: {
-          average_daily_ms: Math.round(avgDaily * 100) / 100,
-          max_daily_ms: Math.round(maxDaily * 100) / 100,
-          wind_category: avgDaily >= 13.9 ? 'Strong' : avgDaily >= 8.0 ? 'Fresh' : avgDaily >= 5.5 ? 'Moderate' : 'Light'
-        },
-        forecast,
-        data_source: 'NASA GLDAS Model - Near surface wind speed 3-hourly 0.25 deg',
-        methodology: 'Statistical analysis of historical NASA satellite wind speed data'
-      },
-      metadata: {
-        processed_at: new Date().toISOString(),
-        data_quality: 'High - Direct NASA satellite measurements'
-      }
-    });
-
-  } catch (error) {
-    console.error('Error in wind speed analysis:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
-  }
-});
-
-module.exports = { router, initializeWindSpeedProcessor };
\ No newline at end of file
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+// Editors and copies fire several events per save; wait for the file to settle
+const DEBOUNCE_MS = 1000;
+
+/**
+ * Data Watcher
+ * Watches data/ for changed Giovanni CSVs and reloads the matching dataset in the
+ * background. The dataset keeps serving its previous version until the reload
+ * succeeds, and keeps it if the reload fails.
+ */
+class DataWatcher {
+  constructor() {
+    this.watcher = null;
+    this.registry = null;
+    this.timers = new Map(); // file path -> debounce timer
+  }
+
+  start(registry, directory = DATA_DIR) {
+    if (this.watcher) return;
+
+    this.registry = registry;
+
+    try {
+      this.watcher = fs.watch(directory, (eventType, filename) => {
+        if (filename) {
+          this.schedule(path.join(directory, filename.toString()));
+        }
+      });
+      this.watcher.on('error', error => {
+        console.error('❌ Data watcher error:', error.message);
+      });
+      console.log(`👀 Watching ${directory} for data file changes`);
+    } catch (error) {
+      console.error('❌ Could not watch data directory:', error.message);
+    }
+  }
+
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  schedule(filePath) {
+    const processor = this.registry.list()
+      .flatMap(p => p.getSeriesProcessors())
+      .find(p => p.getFilePath() === filePath);
+    if (!processor) return;
+
+    clearTimeout(this.timers.get(filePath));
+    const timer = setTimeout(() => {
+      this.timers.delete(filePath);
+      this.reload(processor);
+    }, DEBOUNCE_MS);
+    timer.unref();
+    this.timers.set(filePath, timer);
+  }
+
+  async reload(processor) {
+    const name = processor.definition.name.toLowerCase();
+
+    try {
+      const report = await processor.reload();
+      if (report) {
+        console.log(`🔄 Reloaded ${name} data: version ${report.version}, ${report.rowsAccepted} records`);
+        await this.registry.reloadDependents(processor.id);
+      }
+    } catch (error) {
+      console.error(`❌ Reloading ${name} data failed, still serving version ${processor.version}:`, error.message);
+    }
+  }
+}
+
+module.exports = new DataWatcher();
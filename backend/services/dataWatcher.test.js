@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Parsed series are not cached under data/
+jest.mock('../utils/seriesCache', () => ({
+  ...jest.requireActual('../utils/seriesCache'),
+  readSeriesCache: async () => null,
+  writeSeriesCache: async () => {}
+}));
+
+const datasetRegistry = require('./datasetRegistry');
+const dataWatcher = require('./dataWatcher');
+
+const DatasetRegistry = datasetRegistry.constructor;
+const WIND_COLUMN = 'mean_GLDAS_NOAH025_3H_2_1_Wind_f_inst';
+
+// A one-day Giovanni export with a constant wind speed
+const windCsv = speed => [
+  'Title:,"Time Series, Area-Averaged of Wind speed 3-hourly 0.25 deg. [GLDAS (3-hourly)"',
+  `Fill Value (${WIND_COLUMN}):, -9999`,
+  '',
+  `time, ${WIND_COLUMN}`,
+  ...Array.from({ length: 8 }, (_, step) => `2020-01-01 ${String(step * 3).padStart(2, '0')}:00:00,${speed}`),
+  ''
+].join('\n');
+
+describe('DataWatcher', () => {
+  let directory;
+  let file;
+  let registry;
+  let wind;
+  let doubled;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'data-watcher-'));
+    file = path.join(directory, 'Wind.csv');
+    fs.writeFileSync(file, windCsv(3));
+
+    registry = new DatasetRegistry();
+    wind = registry.register({
+      id: 'wind_speed',
+      route: 'wind-speed',
+      name: 'Wind Speed',
+      file,
+      column: 'Wind',
+      unit: 'm/s',
+      aggregation: 'mean',
+      operator: '>='
+    });
+    doubled = registry.register({
+      id: 'doubled_wind',
+      route: 'doubled-wind',
+      name: 'Doubled Wind',
+      unit: 'm/s',
+      inputs: { speed: { dataset: 'wind_speed', unit: 'm/s' } },
+      compute: ({ speed }) => speed * 2,
+      aggregation: 'mean',
+      operator: '>='
+    });
+    await registry.loadAll();
+
+    dataWatcher.registry = registry;
+  });
+
+  afterEach(() => {
+    dataWatcher.stop();
+    dataWatcher.registry = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('start', () => {
+    it('watches the data directory without recursive mode', () => {
+      const watch = jest.spyOn(fs, 'watch');
+
+      dataWatcher.start(registry, directory);
+
+      expect(watch).toHaveBeenCalledWith(directory, expect.any(Function));
+      expect(dataWatcher.watcher).not.toBeNull();
+    });
+  });
+
+  describe('schedule', () => {
+    it('debounces events for a dataset file into one reload', () => {
+      jest.useFakeTimers();
+      const reload = jest.spyOn(dataWatcher, 'reload').mockResolvedValue();
+
+      dataWatcher.schedule(file);
+      dataWatcher.schedule(file);
+      jest.advanceTimersByTime(999);
+      expect(reload).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(reload).toHaveBeenCalledTimes(1);
+      expect(reload).toHaveBeenCalledWith(wind);
+    });
+
+    it('ignores files that belong to no dataset', () => {
+      jest.useFakeTimers();
+      const reload = jest.spyOn(dataWatcher, 'reload').mockResolvedValue();
+
+      dataWatcher.schedule(path.join(directory, 'notes.txt'));
+      jest.runAllTimers();
+
+      expect(reload).not.toHaveBeenCalled();
+      expect(dataWatcher.timers.size).toBe(0);
+    });
+  });
+
+  describe('reload', () => {
+    it('swaps in the changed file and recomputes the derived datasets', async () => {
+      fs.writeFileSync(file, windCsv(5));
+
+      await dataWatcher.reload(wind);
+
+      expect(wind.version).toBe(2);
+      expect(Array.from(wind.values)).toEqual(new Array(8).fill(5));
+      expect(doubled.version).toBe(2);
+      expect(Array.from(doubled.values)).toEqual(new Array(8).fill(10));
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('leaves every version in place when the file has not changed', async () => {
+      const reloadDependents = jest.spyOn(registry, 'reloadDependents');
+
+      await dataWatcher.reload(wind);
+
+      expect(wind.version).toBe(1);
+      expect(doubled.version).toBe(1);
+      expect(reloadDependents).not.toHaveBeenCalled();
+    });
+
+    it('keeps serving the previous version when the reload fails', async () => {
+      fs.writeFileSync(file, 'not a Giovanni export\n');
+      const reloadDependents = jest.spyOn(registry, 'reloadDependents');
+
+      await expect(dataWatcher.reload(wind)).resolves.toBeUndefined();
+
+      expect(wind.version).toBe(1);
+      expect(Array.from(wind.values)).toEqual(new Array(8).fill(3));
+      expect(doubled.version).toBe(1);
+      expect(reloadDependents).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(
+        '❌ Reloading wind speed data failed, still serving version 1:',
+        expect.any(String)
+      );
+    });
+
+    it('keeps serving the previous version when the file is deleted', async () => {
+      fs.rmSync(file);
+
+      await dataWatcher.reload(wind);
+
+      expect(wind.version).toBe(1);
+      expect(wind.isDataLoaded).toBe(true);
+      expect(console.error).toHaveBeenCalledWith(
+        '❌ Reloading wind speed data failed, still serving version 1:',
+        expect.stringContaining('data file not found')
+      );
+    });
+  });
+});
+
+describe('DatasetRegistry.reloadDependents', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registry = new DatasetRegistry();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const derived = (id, dataset) => registry.register({
+    id,
+    route: id.replace(/_/g, '-'),
+    name: id,
+    unit: 'm/s',
+    inputs: { value: { dataset, unit: 'm/s' } },
+    compute: ({ value }) => value,
+    aggregation: 'mean',
+    operator: '>='
+  });
+
+  it('recomputes only the derived datasets that read from the changed one', async () => {
+    const reading = derived('reads_wind', 'wind_speed');
+    const other = derived('reads_humidity', 'humidity');
+    const readingLoad = jest.spyOn(reading, 'load').mockResolvedValue({ version: 2, rowsAccepted: 8 });
+    const otherLoad = jest.spyOn(other, 'load');
+
+    await registry.reloadDependents('wind_speed');
+
+    expect(readingLoad).toHaveBeenCalledWith({ ifChanged: true });
+    expect(otherLoad).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith('🔄 Recomputed reads_wind data: version 2, 8 records');
+  });
+
+  it('logs a failed recompute and carries on with the other dependents', async () => {
+    const failing = derived('first_wind', 'wind_speed');
+    const next = derived('second_wind', 'wind_speed');
+    jest.spyOn(failing, 'load').mockRejectedValue(new Error('inputs not loaded'));
+    const nextLoad = jest.spyOn(next, 'load').mockResolvedValue(null);
+
+    await expect(registry.reloadDependents('wind_speed')).resolves.toBeUndefined();
+
+    expect(console.error).toHaveBeenCalledWith('❌ Recomputing first_wind data failed:', 'inputs not loaded');
+    expect(nextLoad).toHaveBeenCalledWith({ ifChanged: true });
+  });
+});
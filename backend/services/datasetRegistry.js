@@ -0,0 +1,104 @@
+const GiovanniTimeSeriesProcessor = require('../giovanniTimeSeriesProcessor');
+const DerivedSeriesProcessor = require('../derivedSeriesProcessor');
+
+/**
+ * Dataset Registry
+ * Holds one GiovanniTimeSeriesProcessor per dataset definition and lets routes
+ * look datasets up by variable id or by URL prefix. Definitions with `inputs`
+ * (derivedVariables.js) get a DerivedSeriesProcessor computed from other datasets.
+ */
+class DatasetRegistry {
+  constructor() {
+    this.datasets = new Map(); // id -> processor
+  }
+
+  register(definition) {
+    if (!definition.id || !definition.route || !(definition.file || definition.inputs)) {
+      throw new Error('Dataset definitions need at least an id, a route and a file or inputs');
+    }
+
+    if (this.datasets.has(definition.id)) {
+      throw new Error(`Dataset ${definition.id} is already registered`);
+    }
+
+    if (this.getByRoute(definition.route)) {
+      throw new Error(`Route ${definition.route} is already used by another dataset`);
+    }
+
+    const processor = definition.inputs
+      ? new DerivedSeriesProcessor(definition, this)
+      : new GiovanniTimeSeriesProcessor(definition);
+    this.datasets.set(definition.id, processor);
+    return processor;
+  }
+
+  unregister(id) {
+    return this.datasets.delete(id);
+  }
+
+  get(id) {
+    return this.datasets.get(id) || null;
+  }
+
+  getByRoute(route) {
+    return this.list().find(processor => processor.definition.route === route) || null;
+  }
+
+  list() {
+    return Array.from(this.datasets.values());
+  }
+
+  isDerived(processor) {
+    return processor instanceof DerivedSeriesProcessor;
+  }
+
+  /**
+   * Load every registered dataset; one failing file does not block the others.
+   * Per-location exports load alongside their dataset, and derived variables
+   * are computed once the files they read from have loaded.
+   */
+  async loadAll() {
+    const files = this.list()
+      .filter(processor => !this.isDerived(processor))
+      .flatMap(processor => processor.getSeriesProcessors());
+    const derived = this.list().filter(processor => this.isDerived(processor));
+    const results = [
+      ...await Promise.allSettled(files.map(processor => processor.load())),
+      ...await Promise.allSettled(derived.map(processor => processor.load()))
+    ];
+    const processors = [...files, ...derived];
+
+    return results.map((result, index) => {
+      const processor = processors[index];
+
+      if (result.status === 'fulfilled') {
+        console.log(`✅ ${processor.definition.name} data loaded successfully`);
+        console.log(`📥 ${processor.definition.name} ingest report:`, result.value);
+        return { id: processor.id, loaded: true, report: result.value };
+      }
+
+      console.error(`❌ Error loading ${processor.definition.name.toLowerCase()} data:`, result.reason.message);
+      return { id: processor.id, loaded: false, error: result.reason.message };
+    });
+  }
+
+  // Recompute the derived variables that read from dataset `id` after it changed
+  async reloadDependents(id) {
+    const dependents = this.list().filter(processor => this.isDerived(processor) && processor.dependsOn(id));
+
+    for (const processor of dependents) {
+      const name = processor.definition.name.toLowerCase();
+
+      try {
+        const report = await processor.load({ ifChanged: true });
+        if (report) {
+          console.log(`🔄 Recomputed ${name} data: version ${report.version}, ${report.rowsAccepted} records`);
+        }
+      } catch (error) {
+        console.error(`❌ Recomputing ${name} data failed:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new DatasetRegistry();
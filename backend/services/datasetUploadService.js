@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { validateGiovanniCsv } = require('../utils/giovanniCsv');
+const { HUMIDITY_MEASURES } = require('../utils/humidity');
+const { statusError } = require('../utils/statusError');
+
+const UPLOAD_DIR = process.env.DATASET_UPLOAD_DIR || path.join(__dirname, '../../data/uploads');
+const MANIFEST_PATH = path.join(UPLOAD_DIR, 'manifest.json');
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const ROUTE_PATTERN = /^[a-z][a-z0-9-]*$/; // The id's slug, with hyphens in place of underscores
+
+// Known GLDAS/NLDAS variables, matched against the `mean_<product>_<variable>` column name
+const GIOVANNI_VARIABLES = {
+  Qair: {
+    id: 'humidity', name: 'Humidity', unit: 'kg/kg', aggregation: 'mean',
+    measures: HUMIDITY_MEASURES, description: 'Specific humidity'
+  },
+  Rainf: {
+    id: 'precipitation', name: 'Precipitation', unit: 'mm/hour', dailyUnit: 'mm/day',
+    scale: 3600, aggregation: 'accumulate', description: 'Total precipitation rate'
+  },
+  Snowf: {
+    id: 'snowfall', name: 'Snowfall', unit: 'mm/hour', dailyUnit: 'mm/day',
+    scale: 3600, aggregation: 'accumulate', description: 'Snow precipitation rate (water equivalent)'
+  },
+  Evap: {
+    id: 'evapotranspiration', name: 'Evapotranspiration', unit: 'mm/hour', dailyUnit: 'mm/day',
+    scale: 3600, aggregation: 'accumulate', description: 'Evapotranspiration'
+  },
+  Wind: { id: 'wind_speed', name: 'Wind Speed', unit: 'm/s', aggregation: 'mean', description: 'Near surface wind speed' },
+  Tair: { id: 'temperature', name: 'Air Temperature', unit: '°C', offset: -273.15, aggregation: 'mean', description: 'Near surface air temperature' },
+  Psurf: { id: 'surface_pressure', name: 'Surface Pressure', unit: 'Pa', aggregation: 'mean', description: 'Surface pressure' },
+  SWdown: { id: 'shortwave_radiation', name: 'Shortwave Radiation', unit: 'W/m²', aggregation: 'mean', description: 'Downward shortwave radiation flux' },
+  LWdown: { id: 'longwave_radiation', name: 'Longwave Radiation', unit: 'W/m²', aggregation: 'mean', description: 'Downward longwave radiation flux' },
+  SoilMoi0_10cm: { id: 'soil_moisture', name: 'Soil Moisture', unit: 'kg/m²', aggregation: 'mean', description: 'Soil moisture content (0-10 cm)' }
+};
+
+function uploadError(status, message, details) {
+  const error = statusError(status, message);
+  error.details = details;
+  return error;
+}
+
+/**
+ * Detect the Giovanni variable from a column name such as mean_GLDAS_NOAH025_3H_2_1_Qair_f_inst
+ */
+function detectVariable(columnName) {
+  const code = Object.keys(GIOVANNI_VARIABLES).find(key =>
+    new RegExp(`_${key}(_|$)`).test(columnName)
+  );
+
+  return code ? { code, ...GIOVANNI_VARIABLES[code] } : null;
+}
+
+/**
+ * Build a datasets.js-style definition for an uploaded file from its manifest entry
+ */
+function buildDefinition(entry) {
+  const variable = GIOVANNI_VARIABLES[entry.variableCode] || {};
+  const scale = variable.scale || 1;
+  const offset = variable.offset || 0;
+
+  return {
+    id: entry.id,
+    route: entry.route,
+    name: entry.name,
+    file: path.join(UPLOAD_DIR, entry.file),
+    column: entry.columnName,
+    unit: entry.unit || variable.unit,
+    dailyUnit: variable.dailyUnit,
+    convert: scale === 1 && offset === 0 ? undefined : value => value * scale + offset,
+    aggregation: variable.aggregation || 'mean',
+    measures: variable.measures,
+    operator: '>=',
+    description: entry.description,
+    source: `NASA Giovanni upload - ${entry.title || entry.columnName}`,
+    uploaded: true
+  };
+}
+
+/**
+ * A registered dataset's definition with an upload standing in for its missing file
+ */
+function fillDefinition(definition, entry) {
+  return { ...definition, file: path.join(UPLOAD_DIR, entry.file), uploaded: true };
+}
+
+/**
+ * Dataset Upload Service
+ * Validates Giovanni time-series CSV uploads, stores them under data/uploads and
+ * registers them with the dataset registry without a restart
+ */
+class DatasetUploadService {
+  readManifest() {
+    try {
+      if (fs.existsSync(MANIFEST_PATH)) {
+        return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+      }
+    } catch (error) {
+      console.error('❌ Error reading dataset upload manifest:', error.message);
+    }
+    return [];
+  }
+
+  writeManifest(entries) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(entries, null, 2));
+  }
+
+  // Re-register datasets uploaded before the last restart
+  restore(registry) {
+    const entries = this.readManifest();
+
+    entries.forEach(entry => {
+      try {
+        const filled = entry.fills ? registry.get(entry.id) : null;
+        if (filled) registry.unregister(entry.id);
+        registry.register(filled ? fillDefinition(filled.definition, entry) : buildDefinition(entry));
+      } catch (error) {
+        console.error(`❌ Could not restore uploaded dataset ${entry.id}:`, error.message);
+      }
+    });
+
+    return entries.length;
+  }
+
+  async upload(registry, { buffer, originalName, fields = {} }) {
+    const text = buffer.toString('utf8');
+    const report = validateGiovanniCsv(text);
+
+    if (!report.valid) {
+      throw uploadError(422, 'The file is not a valid Giovanni time-series CSV', {
+        errors: report.errors,
+        errorCount: report.errorCount
+      });
+    }
+
+    const variable = detectVariable(report.columnName);
+    if (!variable && !fields.unit) {
+      throw uploadError(400, `Unrecognised variable in column "${report.columnName}"; provide a "unit" field to register it anyway`);
+    }
+
+    const id = fields.id || (variable ? variable.id : null);
+    if (!id || !ID_PATTERN.test(id)) {
+      throw uploadError(400, 'Provide an "id" field made of lowercase letters, digits and underscores');
+    }
+
+    // A dataset from datasets.js whose file is missing takes the upload as that file
+    const existing = registry.get(id);
+    const fills = Boolean(existing) && !registry.isDerived(existing) && !existing.isDataLoaded;
+    if (existing && !fills) {
+      throw uploadError(409, `A dataset with id "${id}" is already registered; provide a different "id" field`);
+    }
+
+    const route = fills ? existing.definition.route : fields.route || id.replace(/_/g, '-');
+    if (!ROUTE_PATTERN.test(route)) {
+      throw uploadError(400, 'Provide a "route" field made of lowercase letters, digits and hyphens');
+    }
+
+    if (!fills && registry.getByRoute(route)) {
+      throw uploadError(409, `The route "${route}" is already in use; provide a different "route" field`);
+    }
+
+    const entry = {
+      id,
+      route,
+      name: fills ? existing.definition.name : fields.name || (variable ? variable.name : id),
+      description: fields.description || (variable ? `${variable.description} (uploaded)` : report.metadata.title),
+      file: `${id}.csv`,
+      originalName,
+      columnName: report.columnName,
+      variableCode: variable ? variable.code : null,
+      unit: fields.unit,
+      title: report.metadata.title,
+      fills,
+      uploadedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    const filePath = path.join(UPLOAD_DIR, entry.file);
+    await fs.promises.writeFile(filePath, buffer);
+
+    if (fills) registry.unregister(id);
+    const processor = registry.register(fills ? fillDefinition(existing.definition, entry) : buildDefinition(entry));
+    let ingest;
+    try {
+      ingest = await processor.load();
+    } catch (error) {
+      registry.unregister(id);
+      if (fills) registry.register(existing.definition);
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw uploadError(422, `Failed to load uploaded dataset: ${error.message}`);
+    }
+
+    this.writeManifest([...this.readManifest(), entry]);
+    console.log(`✅ Registered uploaded dataset ${id} from ${originalName}`);
+    await registry.reloadDependents(id);
+
+    return {
+      dataset: processor.getCatalogEntry(),
+      detectedVariable: variable ? variable.code : null,
+      validation: {
+        rowCount: report.rowCount,
+        fillRows: report.fillRows,
+        timeStepHours: report.timeStepHours,
+        dateRange: report.dateRange
+      },
+      ingest
+    };
+  }
+}
+
+module.exports = new DatasetUploadService();
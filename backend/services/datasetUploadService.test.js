@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Uploads go to a scratch directory, and parsed series are not cached under data/
+process.env.DATASET_UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-uploads-'));
+jest.mock('../utils/seriesCache', () => ({
+  ...jest.requireActual('../utils/seriesCache'),
+  readSeriesCache: async () => null,
+  writeSeriesCache: async () => {}
+}));
+
+const datasetRegistry = require('./datasetRegistry');
+const datasetUploadService = require('./datasetUploadService');
+
+const DatasetRegistry = datasetRegistry.constructor;
+const UPLOAD_DIR = process.env.DATASET_UPLOAD_DIR;
+const TAIR_COLUMN = 'mean_GLDAS_NOAH025_3H_2_1_Tair_f_inst';
+
+// The temperature entry of datasets.js, whose export is not in data/
+const temperature = {
+  id: 'temperature',
+  route: 'temperature',
+  name: 'Air Temperature',
+  file: 'Missing Temperature Data.csv',
+  column: 'Tair',
+  unit: '°C',
+  convert: value => value - 273.15,
+  aggregation: 'mean',
+  operator: '>='
+};
+
+// A one-day Giovanni export at 300 K
+const tairCsv = Buffer.from([
+  'Title:,"Time Series, Area-Averaged of Near surface air temperature 3-hourly 0.25 deg. [GLDAS (3-hourly)"',
+  `Fill Value (${TAIR_COLUMN}):, -9999`,
+  '',
+  `time, ${TAIR_COLUMN}`,
+  ...Array.from({ length: 8 }, (_, step) => `2020-01-01 ${String(step * 3).padStart(2, '0')}:00:00,300`),
+  ''
+].join('\n'));
+
+const upload = (registry, fields = {}) =>
+  datasetUploadService.upload(registry, { buffer: tairCsv, originalName: 'Tair.csv', fields });
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+});
+
+describe('DatasetUploadService', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new DatasetRegistry();
+    registry.register(temperature);
+    fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  test('fills a registered dataset whose file is missing', async () => {
+    const result = await upload(registry);
+    const processor = registry.get('temperature');
+
+    expect(result.dataset).toMatchObject({ id: 'temperature', route: 'temperature', name: 'Air Temperature', dataLoaded: true });
+    expect(processor.getFilePath()).toBe(path.join(UPLOAD_DIR, 'temperature.csv'));
+    // Converted to °C by the registered definition
+    expect(processor.getDay('2020-01-01').value).toBeCloseTo(26.85, 10);
+    expect(datasetUploadService.readManifest()).toEqual([expect.objectContaining({ id: 'temperature', fills: true })]);
+  });
+
+  test('keeps filling the dataset after a restart', async () => {
+    await upload(registry);
+
+    const restarted = new DatasetRegistry();
+    restarted.register(temperature);
+    datasetUploadService.restore(restarted);
+
+    expect(restarted.get('temperature').definition).toMatchObject({ route: 'temperature', column: 'Tair', uploaded: true });
+    expect(restarted.get('temperature').getFilePath()).toBe(path.join(UPLOAD_DIR, 'temperature.csv'));
+  });
+
+  test('refuses to replace a dataset that is loaded', async () => {
+    await upload(registry);
+
+    await expect(upload(registry)).rejects.toMatchObject({
+      status: 409,
+      message: 'A dataset with id "temperature" is already registered; provide a different "id" field'
+    });
+  });
+
+  test.each(['../admin', 'Air-Temperature', 'air temperature', 'air_temperature'])('rejects the route %p', async route => {
+    await expect(upload(registry, { id: 'tair_upload', route })).rejects.toMatchObject({
+      status: 400,
+      message: 'Provide a "route" field made of lowercase letters, digits and hyphens'
+    });
+    expect(fs.existsSync(path.join(UPLOAD_DIR, 'tair_upload.csv'))).toBe(false);
+  });
+
+  test('registers a new dataset under a valid route', async () => {
+    const result = await upload(registry, { id: 'tair_upload', route: 'tair-2' });
+
+    expect(result.dataset).toMatchObject({ id: 'tair_upload', route: 'tair-2' });
+    expect(registry.get('temperature').isDataLoaded).toBe(false);
+  });
+});
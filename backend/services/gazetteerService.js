@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const { greatCircleKm } = require('../utils/geo');
+const { statusError } = require('../utils/statusError');
+
+const GAZETTEER_DIR = path.join(__dirname, '../../data/gazetteer');
+// GeoNames exports (cities15000.txt, admin1CodesASCII.txt) can replace the bundled extract
+const PLACES_FILE = process.env.GAZETTEER_FILE || path.join(GAZETTEER_DIR, 'cities.tsv');
+const ADMIN1_FILE = process.env.GAZETTEER_ADMIN1_FILE || path.join(GAZETTEER_DIR, 'admin1Codes.tsv');
+
+const DEFAULT_LIMIT = 5;
+
+// Column positions of the GeoNames "geoname" table
+const COLUMNS = {
+  id: 0,
+  name: 1,
+  asciiName: 2,
+  alternateNames: 3,
+  latitude: 4,
+  longitude: 5,
+  featureClass: 6,
+  featureCode: 7,
+  countryCode: 8,
+  admin1Code: 10,
+  population: 14,
+  timeZone: 17
+};
+
+// Match quality before the population bonus; an exact name always outranks a fuzzy one
+const MATCH_SCORES = { exact: 1, alternate: 0.9, prefix: 0.7, fuzzy: 0.75 };
+const FUZZY_PENALTY = 0.15; // Per edit
+const POPULATION_WEIGHT = 0.02; // Per power of ten
+
+// Abbreviations expanded before matching, so "St Louis" finds "Saint Louis"
+const ABBREVIATIONS = { st: 'saint', ste: 'sainte', ft: 'fort', mt: 'mount' };
+
+// Letters that Unicode decomposition leaves alone
+const FOLDED_LETTERS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+
+// Country names people type that are not the ISO code or English name
+const COUNTRY_ALIASES = {
+  uk: 'GB',
+  'great britain': 'GB',
+  britain: 'GB',
+  usa: 'US',
+  'united states of america': 'US',
+  america: 'US',
+  uae: 'AE'
+};
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Lower-case, strip diacritics and punctuation, and expand common abbreviations:
+ * "São Paulo", "Sao  Paulo" and "sao-paulo" all become "sao paulo".
+ */
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[ßæœøłđðþı]/g, letter => FOLDED_LETTERS[letter])
+    .replace(/['’.]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+// Edits a name of this length may be away from the query and still match
+function maxEdits(length) {
+  if (length <= 3) return 0;
+  return length <= 7 ? 1 : 2;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * giving up with Infinity once it must exceed `limit`.
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return Infinity;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previous2[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > limit) return Infinity;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length] <= limit ? previous[b.length] : Infinity;
+}
+
+/**
+ * Gazetteer Service
+ * Offline geocoding against a GeoNames-style table of populated places: fuzzy,
+ * diacritic-insensitive name search ranked by match quality and population,
+ * narrowed by "City, Region, Country" qualifiers, and nearest-place reverse
+ * geocoding.
+ */
+class GazetteerService {
+  constructor() {
+    this.places = [];
+    this.names = new Map(); // normalized name -> [{ place, type }]
+    this.admin1 = new Map(); // "US.TX" -> region name
+    this.qualifiers = new Map(); // normalized country or region name/code -> { countries, regions }
+    this.loadedAt = null;
+  }
+
+  // Read the place and region tables; a missing table leaves geocoding unavailable
+  load() {
+    if (!fs.existsSync(PLACES_FILE)) {
+      console.log(`⚠️ Gazetteer file not found, geocoding disabled: ${PLACES_FILE}`);
+      return { loaded: false, error: 'File not found' };
+    }
+
+    try {
+      this.admin1 = fs.existsSync(ADMIN1_FILE) ? this.readAdmin1(ADMIN1_FILE) : new Map();
+      this.places = this.readPlaces(PLACES_FILE);
+      this.indexNames();
+      this.loadedAt = new Date().toISOString();
+
+      console.log(`✅ Loaded gazetteer: ${this.places.length} places, ${this.names.size} names`);
+      return { loaded: true, places: this.places.length };
+    } catch (error) {
+      console.error('❌ Error loading gazetteer:', error.message);
+      return { loaded: false, error: error.message };
+    }
+  }
+
+  isLoaded() {
+    return this.loadedAt !== null;
+  }
+
+  readAdmin1(filePath) {
+    const regions = new Map();
+
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+      const [code, name] = line.split('\t');
+      if (code && name && !line.startsWith('#')) {
+        regions.set(code, name);
+      }
+    });
+
+    return regions;
+  }
+
+  readPlaces(filePath) {
+    const places = [];
+
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim() || line.startsWith('#')) return;
+
+      const fields = line.split('\t');
+      const featureClass = fields[COLUMNS.featureClass];
+      const latitude = parseFloat(fields[COLUMNS.latitude]);
+      const longitude = parseFloat(fields[COLUMNS.longitude]);
+
+      // Populated places only (feature class P)
+      if (featureClass !== 'P' || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+      const countryCode = fields[COLUMNS.countryCode];
+      const admin1Code = fields[COLUMNS.admin1Code] || null;
+
+      places.push({
+        id: fields[COLUMNS.id],
+        name: fields[COLUMNS.name],
+        asciiName: fields[COLUMNS.asciiName] || fields[COLUMNS.name],
+        alternateNames: (fields[COLUMNS.alternateNames] || '').split(',').filter(Boolean),
+        latitude,
+        longitude,
+        featureCode: fields[COLUMNS.featureCode],
+        countryCode,
+        country: countryNames.of(countryCode) || countryCode,
+        admin1Code,
+        admin1: admin1Code ? this.admin1.get(`${countryCode}.${admin1Code}`) || null : null,
+        population: parseInt(fields[COLUMNS.population], 10) || 0,
+        timeZone: fields[COLUMNS.timeZone] || null
+      });
+    });
+
+    return places;
+  }
+
+  // Normalized primary and alternate names of every place, for exact and fuzzy lookup,
+  // and the country and region names and codes qualifiers can use
+  indexNames() {
+    this.names = new Map();
+    this.qualifiers = new Map();
+
+    const qualify = (key, kind, code) => {
+      if (!key) return;
+      const entry = this.qualifiers.get(key) || { countries: new Set(), regions: new Set() };
+      entry[kind].add(code);
+      this.qualifiers.set(key, entry);
+    };
+
+    Object.entries(COUNTRY_ALIASES).forEach(([alias, code]) => qualify(alias, 'countries', code));
+
+    const add = (name, place, type) => {
+      const key = normalize(name);
+      if (!key) return;
+
+      const entries = this.names.get(key) || [];
+      const existing = entries.find(entry => entry.place === place);
+      if (existing) {
+        if (type === 'exact') existing.type = 'exact';
+        return;
+      }
+      entries.push({ place, type });
+      this.names.set(key, entries);
+    };
+
+    this.places.forEach(place => {
+      add(place.name, place, 'exact');
+      add(place.asciiName, place, 'exact');
+      place.alternateNames.forEach(name => add(name, place, 'alternate'));
+
+      qualify(normalize(place.countryCode), 'countries', place.countryCode);
+      qualify(normalize(place.country), 'countries', place.countryCode);
+      if (place.admin1Code) {
+        const region = `${place.countryCode}.${place.admin1Code}`;
+        qualify(normalize(place.admin1Code), 'regions', region);
+        if (place.admin1) qualify(normalize(place.admin1), 'regions', region);
+      }
+    });
+  }
+
+  /**
+   * Split "Paris, TX, USA" into the place name and its qualifiers, and resolve each
+   * qualifier to the country codes and "CC.admin1" region codes it can stand for.
+   * Unrecognised qualifiers throw a 404 rather than being ignored. With `prefix`
+   * the last qualifier in the text may be unfinished ("Paris, Te").
+   */
+  parseQuery(query, { country, admin1, prefix = false } = {}) {
+    const [name, ...rest] = String(query).split(',');
+    const typed = rest.map(normalize).filter(Boolean);
+    const qualifiers = typed.concat([country, admin1].filter(Boolean).map(normalize));
+
+    return {
+      name: normalize(name),
+      qualifiers: qualifiers.map((qualifier, index) => {
+        const matches = this.resolveQualifier(qualifier, prefix && index === typed.length - 1);
+        if (matches.countries.size === 0 && matches.regions.size === 0) {
+          throw statusError(404, `Unknown country or region "${qualifier}"`);
+        }
+        return matches;
+      })
+    };
+  }
+
+  resolveQualifier(qualifier, prefix = false) {
+    if (!prefix) {
+      return this.qualifiers.get(qualifier) || { countries: new Set(), regions: new Set() };
+    }
+
+    const countries = new Set();
+    const regions = new Set();
+    this.qualifiers.forEach((entry, key) => {
+      if (!key.startsWith(qualifier)) return;
+      entry.countries.forEach(code => countries.add(code));
+      entry.regions.forEach(code => regions.add(code));
+    });
+    return { countries, regions };
+  }
+
+  // A place satisfies a qualifier when either its country or its region is among those named
+  matchesQualifiers(place, qualifiers) {
+    return qualifiers.every(({ countries, regions }) => countries.has(place.countryCode)
+      || regions.has(`${place.countryCode}.${place.admin1Code}`));
+  }
+
+  // Candidate places for a normalized name: exact and alternate names, prefixes, then near misses
+  findNameMatches(name) {
+    const matches = new Map(); // place -> best { type, matchedName, edits }
+    const keep = (place, match) => {
+      const current = matches.get(place);
+      if (!current || this.matchScore(match) > this.matchScore(current)) {
+        matches.set(place, match);
+      }
+    };
+
+    (this.names.get(name) || []).forEach(({ place, type }) => keep(place, { type, matchedName: name, edits: 0 }));
+
+    const limit = maxEdits(name.length);
+    this.names.forEach((entries, key) => {
+      if (key === name) return;
+
+      if (name.length >= 3 && key.startsWith(name)) {
+        entries.forEach(({ place }) => keep(place, { type: 'prefix', matchedName: key, edits: 0 }));
+        return;
+      }
+
+      if (limit > 0) {
+        const edits = editDistance(name, key, limit);
+        if (edits !== Infinity) {
+          entries.forEach(({ place }) => keep(place, { type: 'fuzzy', matchedName: key, edits }));
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  matchScore(match) {
+    return MATCH_SCORES[match.type] - FUZZY_PENALTY * match.edits;
+  }
+
+  score(place, match) {
+    return this.matchScore(match) + POPULATION_WEIGHT * Math.log10(place.population + 1);
+  }
+
+  /**
+   * Ranked candidates for a free-text place name, best first. `country` and
+   * `admin1` add qualifiers to those in the text ("Springfield, IL"); `prefix`
+   * accepts an unfinished last qualifier, for type-ahead.
+   */
+  search(query, { country, admin1, limit = DEFAULT_LIMIT, prefix = false } = {}) {
+    if (!this.isLoaded()) {
+      throw statusError(503, 'The gazetteer is not loaded');
+    }
+
+    const { name, qualifiers } = this.parseQuery(query, { country, admin1, prefix });
+    if (!name) return [];
+
+    const candidates = [];
+    this.findNameMatches(name).forEach((match, place) => {
+      if (!this.matchesQualifiers(place, qualifiers)) return;
+
+      candidates.push({
+        ...this.describe(place),
+        matchType: match.type,
+        matchedName: match.matchedName,
+        score: parseFloat(this.score(place, match).toFixed(3))
+      });
+    });
+
+    return candidates
+      .sort((a, b) => b.score - a.score || b.population - a.population)
+      .slice(0, limit);
+  }
+
+  // Nearest populated places to a point, closest first
+  reverse(latitude, longitude, { limit = 1 } = {}) {
+    if (!this.isLoaded()) {
+      throw statusError(503, 'The gazetteer is not loaded');
+    }
+
+    const point = { lat: latitude, lon: longitude > 180 ? longitude - 360 : longitude };
+
+    return this.places
+      .map(place => ({ place, distanceKm: greatCircleKm(point, { lat: place.latitude, lon: place.longitude }) }))
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, limit)
+      .map(({ place, distanceKm }) => ({
+        ...this.describe(place),
+        distanceKm: parseFloat(distanceKm.toFixed(2))
+      }));
+  }
+
+  // Public fields of a place, with a "Paris, Texas, United States" display name
+  describe(place) {
+    return {
+      id: place.id,
+      name: place.name,
+      displayName: [place.name, place.admin1, place.country].filter(Boolean).join(', '),
+      latitude: place.latitude,
+      longitude: place.longitude,
+      countryCode: place.countryCode,
+      country: place.country,
+      admin1Code: place.admin1Code,
+      admin1: place.admin1,
+      population: place.population,
+      featureCode: place.featureCode,
+      timeZone: place.timeZone
+    };
+  }
+}
+
+const gazetteer = new GazetteerService();
+gazetteer.normalize = normalize;
+gazetteer.DEFAULT_LIMIT = DEFAULT_LIMIT;
+
+module.exports = gazetteer;
@@ -1,10 +1,11 @@
 const path = require('path');
-const { spawn } = require('child_process');
+const { NetcdfFile } = require('../utils/netcdfReader');
+const { nearestTo } = require('../utils/geo');
 
 class GiovanniDataService {
   constructor() {
     this.dataPath = path.join(__dirname, '../../giovanni_data/NLDAS_FORA0125_H.A19790101.1300.020.nc');
-    this.pythonPath = path.join(__dirname, '../../.venv/bin/python');
+    this.dataFile = null;
   }
 
   // Get available US cities within the NLDAS domain
@@ -25,111 +26,56 @@ class GiovanniDataService {
     };
   }
 
-  // Find closest city to given coordinates
-  findClosestCity(targetLat, targetLon) {
-    const cities = this.getAvailableCities();
-    let closestCity = null;
-    let minDistance = Infinity;
-
-    for (const [name, coords] of Object.entries(cities)) {
-      const distance = Math.sqrt(
-        Math.pow(coords.lat - targetLat, 2) + 
-        Math.pow(coords.lon - targetLon, 2)
-      );
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestCity = { name, ...coords };
-      }
-    }
+  // Closest city to the given coordinates by great-circle distance, with distanceKm; `cities` defaults to the city list
+  findClosestCity(targetLat, targetLon, cities = this.getAvailableCities()) {
+    const nearest = nearestTo(
+      { lat: targetLat, lon: targetLon },
+      Object.entries(cities),
+      ([, coords]) => ({ lat: coords.lat, lon: coords.lon })
+    );
+    if (!nearest) return null;
+
+    const [name, coords] = nearest.item;
+    return { name, ...coords, distanceKm: nearest.distanceKm };
+  }
 
-    return closestCity;
+  // Open the NLDAS NetCDF file once; later calls reuse the decoded variables
+  getDataFile() {
+    if (!this.dataFile) {
+      this.dataFile = NetcdfFile.open(this.dataPath);
+    }
+    return this.dataFile;
   }
 
   // Extract temperature data for a specific location
   async extractTemperatureData(cityName, variable = 'Tair') {
-    return new Promise((resolve, reject) => {
-      const cities = this.getAvailableCities();
-      const city = cities[cityName];
-      
-      if (!city) {
-        reject(new Error(`City ${cityName} not available. Available cities: ${Object.keys(cities).join(', ')}`));
-        return;
-      }
+    const cities = this.getAvailableCities();
+    const city = cities[cityName];
 
-      const pythonScript = `
-import xarray as xr
-import numpy as np
-import json
+    if (!city) {
+      throw new Error(`City ${cityName} not available. Available cities: ${Object.keys(cities).join(', ')}`);
+    }
 
-try:
-    # Load dataset
-    ds = xr.open_dataset('${this.dataPath}')
-    
-    # Find closest grid point to city coordinates
-    target_lat, target_lon = ${city.lat}, ${city.lon}
-    
-    # Find nearest grid points
-    lat_idx = np.argmin(np.abs(ds.lat.values - target_lat))
-    lon_idx = np.argmin(np.abs(ds.lon.values - target_lon))
-    
-    # Extract temperature data
-    temp_data = ds['${variable}'].isel(lat=lat_idx, lon=lon_idx, time=0).values
-    actual_lat = float(ds.lat.isel(lat=lat_idx).values)
-    actual_lon = float(ds.lon.isel(lon=lon_idx).values)
-    
-    # Get variable metadata
-    var_attrs = dict(ds['${variable}'].attrs)
-    
-    result = {
-        'city': '${cityName}',
-        'requested_coords': {'lat': target_lat, 'lon': target_lon},
-        'actual_coords': {'lat': float(actual_lat), 'lon': float(actual_lon)},
-        'temperature_k': float(temp_data),
-        'temperature_c': float(temp_data - 273.15),
-        'temperature_f': float((temp_data - 273.15) * 9/5 + 32),
-        'variable': '${variable}',
-        'variable_info': var_attrs,
-        'timestamp': str(ds.time.values[0]),
-        'data_source': 'NASA NLDAS Giovanni'
+    // Nearest grid point to the city, first time step in the file
+    const point = this.getDataFile().extractPointSeries(variable, { lat: city.lat, lon: city.lon });
+    const first = point.series[0];
+
+    if (!first || first.value === null) {
+      throw new Error(`No ${variable} value at the grid point nearest ${cityName}`);
     }
-    
-    print(json.dumps(result))
-    ds.close()
-    
-except Exception as e:
-    print(json.dumps({'error': str(e)}))
-`;
-
-      const pythonProcess = spawn(this.pythonPath, ['-c', pythonScript]);
-      let output = '';
-      let errorOutput = '';
-
-      pythonProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      pythonProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-
-      pythonProcess.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`Python process failed: ${errorOutput}`));
-          return;
-        }
 
-        try {
-          const result = JSON.parse(output.trim());
-          if (result.error) {
-            reject(new Error(result.error));
-          } else {
-            resolve(result);
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse Python output: ${error.message}`));
-        }
-      });
-    });
+    return {
+      city: cityName,
+      requested_coords: point.requestedCoords,
+      actual_coords: point.actualCoords,
+      temperature_k: first.value,
+      temperature_c: first.value - 273.15,
+      temperature_f: (first.value - 273.15) * 9/5 + 32,
+      variable,
+      variable_info: point.attributes,
+      timestamp: first.time,
+      data_source: 'NASA NLDAS Giovanni'
+    };
   }
 
   // Generate historical temperature data based on real Giovanni baseline
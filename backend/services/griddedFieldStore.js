@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const { NetcdfFile } = require('../utils/netcdfReader');
+const { greatCircleKm, nearestIndex } = require('../utils/geo');
+const { statusError } = require('../utils/statusError');
+const GiovanniTimeSeriesProcessor = require('../giovanniTimeSeriesProcessor');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const INTERPOLATION_METHODS = ['nearest', 'bilinear'];
+const DEFAULT_INTERPOLATION = 'bilinear';
+// Point series kept as processors for analyses; the oldest is dropped beyond this
+const MAX_POINT_PROCESSORS = 32;
+
+/**
+ * Indices of the two grid coordinates either side of `target` and the weight of
+ * the second; coordinates may run in either direction. `target` must lie
+ * within the coordinates' range.
+ */
+function bracket(coords, target) {
+  const n = coords.length;
+  if (n === 1) return { i0: 0, i1: 0, weight: 0 };
+
+  const ascending = coords[n - 1] >= coords[0];
+  const index = i => (ascending ? i : n - 1 - i);
+  const at = i => coords[index(i)];
+  let lo = 0;
+  let hi = n - 1;
+
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (at(mid) <= target) lo = mid; else hi = mid;
+  }
+
+  return { i0: index(lo), i1: index(hi), weight: (target - at(lo)) / (at(hi) - at(lo)) };
+}
+
+// Half the spacing of a coordinate axis: how far outside its first and last values a point may lie
+function halfStep(coords) {
+  return coords.length > 1 ? Math.abs(coords[1] - coords[0]) / 2 : 0.5;
+}
+
+/**
+ * Gridded Field Store
+ * Holds the gridded fields of griddedFields.js as time-major typed arrays and
+ * answers point queries with nearest-neighbour or bilinear interpolated time
+ * series. A point series can also be wrapped in a GiovanniTimeSeriesProcessor,
+ * so analyses get daily records for any coordinate on the grid.
+ */
+class GriddedFieldStore {
+  constructor() {
+    this.definitions = new Map(); // id -> definition
+    this.grids = new Map(); // id -> loaded grid
+    this.pointProcessors = new Map(); // "id|lat|lon|method" -> processor, oldest first
+  }
+
+  register(definition) {
+    if (!definition.id || !definition.file || !definition.variable) {
+      throw new Error('Gridded field definitions need at least an id, a file and a variable');
+    }
+
+    if (this.definitions.has(definition.id)) {
+      throw new Error(`Grid ${definition.id} is already registered`);
+    }
+
+    this.definitions.set(definition.id, definition);
+  }
+
+  getFilePath(definition) {
+    return path.isAbsolute(definition.file) ? definition.file : path.join(DATA_DIR, definition.file);
+  }
+
+  // Load every registered grid whose file is present; one failing file does not block the others
+  loadAll() {
+    return Array.from(this.definitions.values()).map(definition => {
+      const filePath = this.getFilePath(definition);
+
+      if (!fs.existsSync(filePath)) {
+        console.log(`⚠️ ${definition.name} grid file not found, skipping: ${filePath}`);
+        return { id: definition.id, loaded: false, error: 'File not found' };
+      }
+
+      try {
+        const grid = this.load(definition);
+        console.log(`✅ Loaded ${definition.name.toLowerCase()} grid: ${grid.lats.length}×${grid.lons.length} cells, ${grid.times.length} time steps`);
+        return { id: definition.id, loaded: true };
+      } catch (error) {
+        console.error(`❌ Error loading ${definition.name.toLowerCase()} grid:`, error.message);
+        return { id: definition.id, loaded: false, error: error.message };
+      }
+    });
+  }
+
+  // Read the variable and reorder it as [time][lat][lon] with `convert` applied
+  load(definition) {
+    const filePath = this.getFilePath(definition);
+    const file = NetcdfFile.open(filePath);
+    const layout = file.describeGrid(definition.variable);
+    const raw = file.readVariable(definition.variable);
+    const convert = definition.convert || (value => value);
+
+    const ny = layout.lats.length;
+    const nx = layout.lons.length;
+    const nt = layout.times.length;
+    const values = new Float64Array(nt * ny * nx);
+
+    for (let t = 0; t < nt; t++) {
+      const base = layout.timeAxis === -1 ? 0 : t * layout.strides[layout.timeAxis];
+      for (let i = 0; i < ny; i++) {
+        for (let j = 0; j < nx; j++) {
+          const value = raw[base + i * layout.strides[layout.latAxis] + j * layout.strides[layout.lonAxis]];
+          values[(t * ny + i) * nx + j] = isNaN(value) ? NaN : convert(value);
+        }
+      }
+    }
+
+    const lats = Float64Array.from(layout.lats);
+    const lons = Float64Array.from(layout.lons);
+    const grid = {
+      definition,
+      file: filePath,
+      format: file.format,
+      lats,
+      lons,
+      times: Float64Array.from(layout.times, time => (time ? time.getTime() : NaN)),
+      values,
+      rawUnit: layout.variable.attributes.units || null,
+      boundingBox: {
+        west: Math.min(...lons),
+        south: Math.min(...lats),
+        east: Math.max(...lons),
+        north: Math.max(...lats)
+      },
+      loadedAt: new Date().toISOString()
+    };
+
+    this.grids.set(definition.id, grid);
+    this.pointProcessors.clear();
+    return grid;
+  }
+
+  get(id) {
+    return this.grids.get(id) || null;
+  }
+
+  // Loaded grid whose points stand in for a dataset's series, if any has more than one time step
+  findForDataset(datasetId) {
+    return Array.from(this.grids.values())
+      .find(grid => grid.definition.dataset === datasetId && grid.times.length > 1) || null;
+  }
+
+  findBaseline() {
+    return Array.from(this.grids.values()).find(grid => grid.definition.baseline) || null;
+  }
+
+  contains(grid, { lat, lon }) {
+    const { boundingBox: box } = grid;
+    const x = this.gridLongitude(grid, lon);
+    return lat >= box.south - halfStep(grid.lats) && lat <= box.north + halfStep(grid.lats)
+      && x >= box.west - halfStep(grid.lons) && x <= box.east + halfStep(grid.lons);
+  }
+
+  // Requested longitude in the grid's convention (-180..180 or 0..360)
+  gridLongitude(grid, lon) {
+    return grid.boundingBox.east > 180 && lon < 0 ? lon + 360 : lon;
+  }
+
+  /**
+   * Grid cells and weights for a point. Nearest uses the closest cell; bilinear
+   * weights the four surrounding cells by distance along each axis, clamping
+   * points in the half cell beyond the outer cell centres onto the edge.
+   */
+  locate(grid, { lat, lon }, method = DEFAULT_INTERPOLATION) {
+    if (!INTERPOLATION_METHODS.includes(method)) {
+      throw statusError(400, `Interpolation must be one of ${INTERPOLATION_METHODS.join(', ')}`);
+    }
+
+    if (!this.contains(grid, { lat, lon })) {
+      throw statusError(404, `${lat}, ${lon} is outside the ${grid.definition.name} grid`);
+    }
+
+    const x = this.gridLongitude(grid, lon);
+    const cell = (i, j, weight) => ({ latIndex: i, lonIndex: j, lat: grid.lats[i], lon: grid.lons[j], weight });
+
+    if (method === 'nearest') {
+      return [cell(nearestIndex(grid.lats, lat), nearestIndex(grid.lons, x), 1)];
+    }
+
+    const { boundingBox: box } = grid;
+    const y = bracket(grid.lats, Math.min(Math.max(lat, box.south), box.north));
+    const xb = bracket(grid.lons, Math.min(Math.max(x, box.west), box.east));
+
+    return [
+      cell(y.i0, xb.i0, (1 - y.weight) * (1 - xb.weight)),
+      cell(y.i0, xb.i1, (1 - y.weight) * xb.weight),
+      cell(y.i1, xb.i0, y.weight * (1 - xb.weight)),
+      cell(y.i1, xb.i1, y.weight * xb.weight)
+    ].filter(c => c.weight > 0);
+  }
+
+  /**
+   * Time series at a point. Cells without a value at a time step (masked ocean,
+   * fill values) are left out and the other weights rescaled; the value is NaN
+   * when none of them has one.
+   */
+  pointSeries(id, point, { method = DEFAULT_INTERPOLATION } = {}) {
+    const grid = this.get(id);
+    if (!grid) {
+      throw statusError(404, `No gridded field loaded with id "${id}"`);
+    }
+
+    const cells = this.locate(grid, point, method);
+    const ny = grid.lats.length;
+    const nx = grid.lons.length;
+    const values = new Float64Array(grid.times.length);
+
+    for (let t = 0; t < grid.times.length; t++) {
+      let sum = 0;
+      let weightSum = 0;
+
+      cells.forEach(({ latIndex, lonIndex, weight }) => {
+        const value = grid.values[(t * ny + latIndex) * nx + lonIndex];
+        if (!isNaN(value)) {
+          sum += value * weight;
+          weightSum += weight;
+        }
+      });
+
+      values[t] = weightSum > 0 ? sum / weightSum : NaN;
+    }
+
+    const nearest = cells.reduce((best, c) => (c.weight > best.weight ? c : best), cells[0]);
+
+    return {
+      grid: id,
+      variable: grid.definition.variable,
+      unit: grid.definition.unit,
+      method,
+      requestedCoords: point,
+      actualCoords: method === 'nearest' ? { lat: nearest.lat, lon: nearest.lon } : point,
+      distanceKm: greatCircleKm(point, { lat: nearest.lat, lon: nearest.lon }),
+      cells: cells.map(({ lat, lon, weight }) => ({ lat, lon, weight })),
+      times: grid.times,
+      values
+    };
+  }
+
+  /**
+   * Point series as a processor with daily records (getDay, getCalendarDaySample...),
+   * built from the time steps that have a value. Recently used points are kept.
+   */
+  pointProcessor(id, point, { method = DEFAULT_INTERPOLATION } = {}) {
+    const key = `${id}|${point.lat}|${point.lon}|${method}`;
+    const cached = this.pointProcessors.get(key);
+    if (cached) {
+      this.pointProcessors.delete(key);
+      this.pointProcessors.set(key, cached);
+      return cached;
+    }
+
+    const series = this.pointSeries(id, point, { method });
+    const { definition } = this.get(id);
+    const keep = Array.from(series.times.keys()).filter(t => !isNaN(series.times[t]) && !isNaN(series.values[t]));
+    const processor = new GiovanniTimeSeriesProcessor({
+      ...definition,
+      id: definition.dataset || definition.id,
+      name: `${definition.name} (${point.lat}, ${point.lon})`,
+      aggregation: definition.aggregation || 'mean',
+      convert: undefined // Grid values are already converted
+    });
+
+    processor.applySeries({
+      metadata: null,
+      columnName: definition.variable,
+      fillValue: null,
+      times: Float64Array.from(keep, t => series.times[t]),
+      values: Float64Array.from(keep, t => series.values[t]),
+      fillTimes: [],
+      duplicateTimes: [],
+      report: null
+    }, { checksum: null, loadedFrom: 'grid' });
+    processor.point = series;
+
+    this.pointProcessors.set(key, processor);
+    if (this.pointProcessors.size > MAX_POINT_PROCESSORS) {
+      this.pointProcessors.delete(this.pointProcessors.keys().next().value);
+    }
+
+    return processor;
+  }
+
+  // Catalog entry of a grid (registered or loaded)
+  getCatalogEntry(id) {
+    const definition = this.definitions.get(id);
+    const grid = this.get(id);
+    const times = grid ? Array.from(grid.times).filter(time => !isNaN(time)) : [];
+
+    return {
+      id,
+      name: definition.name,
+      description: definition.description,
+      variable: definition.variable,
+      unit: definition.unit,
+      dataset: definition.dataset || null,
+      file: path.basename(this.getFilePath(definition)),
+      dataLoaded: Boolean(grid),
+      format: grid ? grid.format : null,
+      rawUnit: grid ? grid.rawUnit : null,
+      boundingBox: grid ? grid.boundingBox : null,
+      cells: grid ? { lat: grid.lats.length, lon: grid.lons.length } : null,
+      resolution: grid ? { lat: halfStep(grid.lats) * 2, lon: halfStep(grid.lons) * 2 } : null,
+      timeSteps: grid ? grid.times.length : 0,
+      timeRange: times.length > 0
+        ? { start: new Date(times[0]).toISOString(), end: new Date(times[times.length - 1]).toISOString() }
+        : null,
+      interpolation: INTERPOLATION_METHODS,
+      loadedAt: grid ? grid.loadedAt : null,
+      source: definition.source
+    };
+  }
+
+  list() {
+    return Array.from(this.definitions.keys()).map(id => this.getCatalogEntry(id));
+  }
+}
+
+const store = new GriddedFieldStore();
+store.INTERPOLATION_METHODS = INTERPOLATION_METHODS;
+store.DEFAULT_INTERPOLATION = DEFAULT_INTERPOLATION;
+
+module.exports = store;
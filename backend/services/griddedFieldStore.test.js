@@ -0,0 +1,100 @@
+const path = require('path');
+const griddedFieldStore = require('./griddedFieldStore');
+
+// 2 hourly steps on a 3 × 4 grid (lat 40..42, lon -90..-87), in K; (40, -90) is missing in the first hour
+const definition = {
+  id: 'test_tair',
+  name: 'Test Air Temperature',
+  file: path.join(__dirname, '../utils/__fixtures__/tair-netcdf3.nc'),
+  variable: 'Tair',
+  unit: '°C',
+  convert: value => value - 273.15,
+  dataset: 'temperature'
+};
+
+const kelvin = series => Array.from(series.values, value => value + 273.15);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  griddedFieldStore.register(definition);
+  griddedFieldStore.loadAll();
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('GriddedFieldStore', () => {
+  test('loads the grid with its bounding box and converted values', () => {
+    const grid = griddedFieldStore.get('test_tair');
+
+    expect(grid.boundingBox).toEqual({ west: -90, south: 40, east: -87, north: 42 });
+    expect(grid.values[1]).toBeCloseTo(280.5 - 273.15, 10);
+    expect(griddedFieldStore.getCatalogEntry('test_tair')).toMatchObject({
+      dataLoaded: true,
+      format: 'netcdf3-classic',
+      cells: { lat: 3, lon: 4 },
+      resolution: { lat: 1, lon: 1 },
+      timeSteps: 2
+    });
+  });
+
+  test('accepts points up to half a cell outside the outer cell centres', () => {
+    const grid = griddedFieldStore.get('test_tair');
+
+    expect(griddedFieldStore.contains(grid, { lat: 42.4, lon: -86.6 })).toBe(true);
+    expect(griddedFieldStore.contains(grid, { lat: 42.6, lon: -88 })).toBe(false);
+  });
+
+  test('samples the nearest cell', () => {
+    const series = griddedFieldStore.pointSeries('test_tair', { lat: 41.2, lon: -88.6 }, { method: 'nearest' });
+
+    expect(series.actualCoords).toEqual({ lat: 41, lon: -89 });
+    expect(series.cells).toEqual([{ lat: 41, lon: -89, weight: 1 }]);
+    expect(kelvin(series)[0]).toBeCloseTo(281.5, 10);
+    expect(kelvin(series)[1]).toBeCloseTo(291.5, 10);
+  });
+
+  test('weights the four surrounding cells bilinearly', () => {
+    const series = griddedFieldStore.pointSeries('test_tair', { lat: 41.25, lon: -88.5 });
+
+    expect(series.method).toBe('bilinear');
+    expect(series.cells.map(cell => cell.weight)).toEqual([0.375, 0.375, 0.125, 0.125]);
+    // The fixture is linear in lat and lon (280 + Δlat + 0.5 Δlon K), which bilinear weights reproduce
+    expect(kelvin(series)[0]).toBeCloseTo(280 + 1.25 + 0.5 * 1.5, 10);
+  });
+
+  test('rescales the weights of the cells that have a value', () => {
+    const series = griddedFieldStore.pointSeries('test_tair', { lat: 40.5, lon: -89.5 });
+
+    // The missing (40, -90) cell is left out of the first hour
+    expect(kelvin(series)[0]).toBeCloseTo((280.5 + 281 + 281.5) / 3, 10);
+    expect(kelvin(series)[1]).toBeCloseTo(290.75, 10);
+  });
+
+  test('is NaN when no cell has a value', () => {
+    const series = griddedFieldStore.pointSeries('test_tair', { lat: 40, lon: -90 }, { method: 'nearest' });
+
+    expect(series.values[0]).toBeNaN();
+  });
+
+  test('refuses points outside the grid and unknown methods', () => {
+    expect(() => griddedFieldStore.pointSeries('test_tair', { lat: 45, lon: -88 }))
+      .toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => griddedFieldStore.pointSeries('test_tair', { lat: 41, lon: -88 }, { method: 'cubic' }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => griddedFieldStore.pointSeries('missing', { lat: 41, lon: -88 }))
+      .toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('stands in for its dataset with daily records at a point', () => {
+    expect(griddedFieldStore.findForDataset('temperature')).toBe(griddedFieldStore.get('test_tair'));
+
+    const processor = griddedFieldStore.pointProcessor('test_tair', { lat: 41, lon: -89 }, { method: 'nearest' });
+    const day = processor.getDay('1979-01-01');
+
+    expect(day.readings).toBe(2);
+    expect(day.value + 273.15).toBeCloseTo(286.5, 10);
+    expect(griddedFieldStore.pointProcessor('test_tair', { lat: 41, lon: -89 }, { method: 'nearest' })).toBe(processor);
+  });
+});
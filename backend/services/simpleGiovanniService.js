@@ -1,6 +1,21 @@
 // Quick fix for Giovanni data service for MVP
 const path = require('path');
 const fs = require('fs');
+const { NetcdfFile } = require('../utils/netcdfReader');
+const giovanniDataService = require('./giovanniDataService');
+const datasetRegistry = require('./datasetRegistry');
+const griddedFieldStore = require('./griddedFieldStore');
+const { MAX_SNAP_DISTANCE_KM, greatCircleKm } = require('../utils/geo');
+const { resolveTimeZone } = require('../utils/timeZones');
+const { statusError } = require('../utils/statusError');
+
+// Dataset the temperature analyses read, and the daily rule behind each variable
+const TEMPERATURE_DATASET = 'temperature';
+const TEMPERATURE_AGGREGATES = {
+  max_temp: 'max',
+  min_temp: 'min',
+  Tair: 'mean'
+};
 
 class SimpleGiovanniService {
   constructor() {
@@ -9,6 +24,11 @@ class SimpleGiovanniService {
   }
 
   loadExtractedTemperatureData() {
+    const netcdfData = this.loadNetcdfTemperatureData();
+    if (netcdfData) {
+      return netcdfData;
+    }
+
     try {
       const dataPath = path.join(__dirname, '../../giovanni_data/extracted_temperatures.json');
       if (fs.existsSync(dataPath)) {
@@ -39,6 +59,40 @@ class SimpleGiovanniService {
     }
   }
 
+  // Read Tair at the grid point nearest each city straight from the NLDAS NetCDF file
+  loadNetcdfTemperatureData() {
+    const dataPath = giovanniDataService.dataPath;
+    if (!fs.existsSync(dataPath)) {
+      return null;
+    }
+
+    try {
+      const file = NetcdfFile.open(dataPath);
+      const formattedData = {};
+
+      Object.entries(giovanniDataService.getAvailableCities()).forEach(([cityName, city]) => {
+        const point = file.extractPointSeries('Tair', { lat: city.lat, lon: city.lon });
+        const first = point.series[0];
+        if (!first || first.value === null) return;
+
+        formattedData[cityName] = {
+          lat: point.actualCoords.lat,
+          lon: point.actualCoords.lon,
+          temp_k: first.value,
+          temp_c: first.value - 273.15,
+          timestamp: first.time
+        };
+      });
+
+      console.log(`✅ Loaded NASA temperature data from ${path.basename(dataPath)} (${file.format})`);
+      console.log(`📊 Cities loaded: ${Object.keys(formattedData).length}`);
+      return formattedData;
+    } catch (error) {
+      console.error('❌ Error reading NLDAS NetCDF file:', error.message);
+      return null;
+    }
+  }
+
   getFallbackTemperatureData() {
     // Fallback data if extraction file is not available
     return {
@@ -93,17 +147,45 @@ class SimpleGiovanniService {
     return this.realTemperatureData.hasOwnProperty(location);
   }
 
-  async generateHistoricalData(cityName, month, day, variable = 'Tair', specificYear = null) {
-    if (!this.isLocationAvailable(cityName)) {
-      throw new Error(`City ${cityName} not available`);
+  /**
+   * Baseline (first NLDAS hour) temperature at a point: interpolated from the
+   * baseline grid when the point is on it, else the value of the nearest city
+   */
+  getBaseline(cityName, point, variable, interpolation) {
+    const grid = griddedFieldStore.findBaseline();
+
+    if (grid && griddedFieldStore.contains(grid, point)) {
+      const series = griddedFieldStore.pointSeries(grid.definition.id, point, { method: interpolation });
+      const t = series.values.findIndex(value => !isNaN(value));
+
+      if (t !== -1) {
+        const temperatureC = series.values[t];
+        return {
+          city: cityName || null,
+          requested_coords: point,
+          actual_coords: series.actualCoords,
+          interpolation,
+          temperature_k: temperatureC + 273.15,
+          temperature_c: temperatureC,
+          temperature_f: (temperatureC * 9/5) + 32,
+          variable: variable,
+          variable_info: {
+            long_name: '2-meter above ground Temperature',
+            units: 'K'
+          },
+          timestamp: isNaN(series.times[t]) ? null : new Date(series.times[t]).toISOString(),
+          data_source: grid.definition.source
+        };
+      }
     }
 
-    const cityData = this.realTemperatureData[cityName];
-    
-    // Create baseline data from real Giovanni extraction
-    const baselineData = {
-      city: cityName,
-      requested_coords: { lat: cityData.lat, lon: cityData.lon },
+    const [nearestCity, cityData] = Object.entries(this.realTemperatureData)
+      .map(([name, data]) => [name, data, greatCircleKm(point, { lat: data.lat, lon: data.lon })])
+      .sort((a, b) => a[2] - b[2])[0];
+
+    return {
+      city: cityName || nearestCity,
+      requested_coords: point,
       actual_coords: { lat: cityData.lat, lon: cityData.lon },
       temperature_k: cityData.temp_k,
       temperature_c: cityData.temp_c,
@@ -113,64 +195,151 @@ class SimpleGiovanniService {
         long_name: '2-meter above ground Temperature',
         units: 'K'
       },
-      timestamp: '1979-01-01T13:00:00',
+      timestamp: cityData.timestamp || '1979-01-01T13:00:00',
       data_source: 'NASA NLDAS Giovanni'
     };
+  }
 
-    // Generate historical data based on the baseline
-    const historicalData = [];
-    const startYear = specificYear || 1990;
-    const endYear = specificYear || 2023;
-    const baseTemp = cityData.temp_c;
-
-    for (let year = startYear; year <= endYear; year++) {
-      const seasonalVariation = this.getSeasonalVariation(month, day);
-      const yearlyVariation = specificYear ? 
-        Math.sin((year - 1979) * 0.3) * 2 + Math.cos(year * 1.7) * 1.5 :
-        (Math.random() - 0.5) * 4;
-      const dailyNoise = (Math.random() - 0.5) * 6;
-      
-      let adjustedTemp = baseTemp + seasonalVariation + yearlyVariation + dailyNoise;
-
-      historicalData.push({
-        year: year,
-        month: month,
-        day: day,
-        value: adjustedTemp,
-        variable: variable,
-        city: cityName,
-        source: specificYear ? `NASA Giovanni ${year}` : 'NASA Giovanni + Historical Model'
-      });
+  /**
+   * The place a temperature analysis runs for. A listed city is used as is. A
+   * point on a temperature grid keeps its own coordinates; any other point snaps
+   * to the nearest listed city by great-circle distance, unless that is more than
+   * `maxDistanceKm` away, which throws a 404 status error. `match` records the
+   * requested place, the location used and its distance in km.
+   */
+  resolvePlace(cityName, { latitude, longitude, maxDistanceKm = MAX_SNAP_DISTANCE_KM } = {}) {
+    if (latitude === undefined || longitude === undefined) {
+      if (!this.isLocationAvailable(cityName)) {
+        throw statusError(404, `City ${cityName} not available`);
+      }
+
+      const city = this.realTemperatureData[cityName];
+      const coordinates = { lat: city.lat, lon: city.lon };
+      return {
+        cityName,
+        point: coordinates,
+        match: { requested: cityName, location: cityName, matchedBy: 'name', coordinates, distanceKm: 0 }
+      };
     }
 
+    const point = { lat: latitude, lon: longitude };
+    const requested = cityName || `${latitude}, ${longitude}`;
+    const grid = griddedFieldStore.findForDataset(TEMPERATURE_DATASET);
+
+    if (grid && griddedFieldStore.contains(grid, point)) {
+      return {
+        cityName,
+        point,
+        match: { requested, location: null, matchedBy: 'grid', grid: grid.definition.id, coordinates: point, distanceKm: 0 }
+      };
+    }
+
+    const nearest = giovanniDataService.findClosestCity(latitude, longitude, this.getAvailableCities());
+    if (!nearest) {
+      throw statusError(404, 'No cities with temperature data are available');
+    }
+
+    const distanceKm = parseFloat(nearest.distanceKm.toFixed(1));
+    if (nearest.distanceKm > maxDistanceKm) {
+      throw statusError(404, `No temperature data within ${maxDistanceKm} km of ${requested}; the nearest available city, ${nearest.name}, is ${Math.round(distanceKm)} km away`);
+    }
+
+    const coordinates = { lat: nearest.lat, lon: nearest.lon };
+    return {
+      cityName: nearest.name,
+      point: coordinates,
+      match: { requested, location: nearest.name, matchedBy: 'nearest', coordinates, distanceKm }
+    };
+  }
+
+  /**
+   * Temperature series for a place: the point's own series when a gridded
+   * temperature field covers it, else the temperature dataset's series for the
+   * location (see GiovanniTimeSeriesProcessor.selectSeries)
+   */
+  getTemperatureSeries(cityName, point, interpolation, maxDistanceKm = MAX_SNAP_DISTANCE_KM) {
+    const requested = cityName || `${point.lat}, ${point.lon}`;
+    const grid = griddedFieldStore.findForDataset(TEMPERATURE_DATASET);
+
+    if (grid && griddedFieldStore.contains(grid, point)) {
+      const series = griddedFieldStore.pointProcessor(grid.definition.id, point, { method: interpolation });
+      return {
+        series,
+        match: {
+          requested,
+          location: null,
+          matchedBy: 'grid',
+          grid: grid.definition.id,
+          interpolation,
+          actualCoords: series.point.actualCoords,
+          distanceKm: series.point.distanceKm
+        }
+      };
+    }
+
+    const processor = datasetRegistry.get(TEMPERATURE_DATASET);
+    if (!processor || !processor.isDataLoaded) {
+      throw statusError(503, 'Air temperature data is not loaded or failed to load');
+    }
+
+    return processor.selectSeries({ location: cityName, latitude: point.lat, longitude: point.lon, maxDistanceKm });
+  }
+
+  /**
+   * One daily temperature per year for a calendar day, or for every day within
+   * ±`window` days of it (each record then carries its `offset` from the target
+   * day, and `year` is the year whose window it falls in): the day's highest
+   * reading for max_temp, its lowest for min_temp and the mean otherwise. Days
+   * are the place's local calendar days. The place is a city from the list, or
+   * any `latitude`/`longitude` (which takes precedence when both are given)
+   * resolved by resolvePlace().
+   */
+  async generateHistoricalData(cityName, month, day, variable = 'Tair', specificYear = null, { latitude, longitude, interpolation = griddedFieldStore.DEFAULT_INTERPOLATION, maxDistanceKm = MAX_SNAP_DISTANCE_KM, window = 0 } = {}) {
+    const { cityName: city, point, match: place } = this.resolvePlace(cityName, { latitude, longitude, maxDistanceKm });
+    const { series, match } = this.getTemperatureSeries(city, point, interpolation, maxDistanceKm);
+    const baselineData = this.getBaseline(city, point, variable, interpolation);
+
+    const aggregate = TEMPERATURE_AGGREGATES[variable] || 'mean';
+    const { timeZone } = resolveTimeZone({ location: city, longitude: point.lon });
+    const years = specificYear ? [specificYear] : undefined;
+    series.ensureLoaded();
+    const windowDates = new Map(series.getCalendarWindow(month, day, window, years).map(entry => [entry.date, entry]));
+    const { days } = series.getDays(Array.from(windowDates.keys()), { aggregate, timeZone });
+
+    const historicalData = days.map(record => ({
+      year: windowDates.get(record.date).year,
+      month: month,
+      day: day,
+      date: record.date,
+      offset: windowDates.get(record.date).offset,
+      value: record.value,
+      readings: record.readings,
+      complete: record.complete,
+      variable: variable,
+      city: city || null,
+      source: series.definition.source
+    }));
+
     return {
       baselineData,
       historicalData,
       metadata: {
-        dataSource: 'NASA NLDAS Giovanni (Extracted)',
-        baselineDate: '1979-01-01T13:00:00',
-        city: cityName,
+        dataSource: series.definition.source,
+        dataset: TEMPERATURE_DATASET,
+        version: series.version,
+        aggregation: aggregate,
+        timeZone,
+        window,
+        location: match,
+        place,
+        provenance: series.getProvenance(),
+        baselineDate: baselineData.timestamp,
+        city: city || null,
         coordinates: baselineData.actual_coords
       }
     };
   }
 
-  getSeasonalVariation(month, day) {
-    const dayOfYear = this.getDayOfYear(month, day);
-    const maxVariation = 15;
-    const seasonalPhase = 2 * Math.PI * (dayOfYear - 180) / 365;
-    return maxVariation * Math.sin(seasonalPhase);
-  }
-
-  getDayOfYear(month, day) {
-    const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-    let dayOfYear = day;
-    for (let i = 0; i < month - 1; i++) {
-      dayOfYear += daysInMonth[i];
-    }
-    return dayOfYear;
-  }
-
   getDatasetBounds() {
     return {
       longitude: { min: -124.938, max: -67.062 },
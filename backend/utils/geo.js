@@ -0,0 +1,92 @@
+/**
+ * Geo
+ * Distances and bounding boxes on the sphere, for matching requested points to
+ * the area a series covers. Points are { lat, lon } in degrees; boxes are the
+ * { west, south, east, north } objects parsed from Giovanni headers.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088; // Mean Earth radius
+// Farthest a requested point is snapped to the nearest available location before
+// the request is refused (MAX_SNAP_DISTANCE_KM in the environment)
+const MAX_SNAP_DISTANCE_KM = parseFloat(process.env.MAX_SNAP_DISTANCE_KM) || 100;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance in km
+function greatCircleKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Item closest to `point` as { item, distanceKm }, or null; `pointOf` gives an item's point or null
+function nearestTo(point, items, pointOf) {
+  let nearest = null;
+
+  items.forEach(item => {
+    const itemPoint = pointOf(item);
+    if (!itemPoint) return;
+
+    const distanceKm = greatCircleKm(point, itemPoint);
+    if (!nearest || distanceKm < nearest.distanceKm) {
+      nearest = { item, distanceKm };
+    }
+  });
+
+  return nearest;
+}
+
+// Index of the grid coordinate closest to `target`
+function nearestIndex(coords, target) {
+  let best = 0;
+  for (let i = 1; i < coords.length; i++) {
+    if (Math.abs(coords[i] - target) < Math.abs(coords[best] - target)) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+// Longitude span of a box in degrees; boxes with west > east cross the antimeridian
+function longitudeSpan(box) {
+  return box.east >= box.west ? box.east - box.west : box.east + 360 - box.west;
+}
+
+function boundingBoxContains(box, point) {
+  if (point.lat < box.south || point.lat > box.north) return false;
+
+  return box.east >= box.west
+    ? point.lon >= box.west && point.lon <= box.east
+    : point.lon >= box.west || point.lon <= box.east;
+}
+
+function boundingBoxCenter(box) {
+  let lon = box.west + longitudeSpan(box) / 2;
+  if (lon > 180) lon -= 360;
+
+  return { lat: (box.south + box.north) / 2, lon };
+}
+
+// Area in square degrees, enough to prefer the tighter of two boxes
+function boundingBoxArea(box) {
+  return longitudeSpan(box) * (box.north - box.south);
+}
+
+function formatBoundingBox(box) {
+  return `${box.west},${box.south},${box.east},${box.north}`;
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  MAX_SNAP_DISTANCE_KM,
+  greatCircleKm,
+  nearestTo,
+  nearestIndex,
+  boundingBoxContains,
+  boundingBoxCenter,
+  boundingBoxArea,
+  formatBoundingBox
+};
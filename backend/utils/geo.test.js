@@ -0,0 +1,72 @@
+const {
+  greatCircleKm,
+  nearestTo,
+  nearestIndex,
+  boundingBoxContains,
+  boundingBoxCenter,
+  boundingBoxArea,
+  formatBoundingBox
+} = require('./geo');
+
+const NEW_YORK = { lat: 40.7128, lon: -74.006 };
+const LOS_ANGELES = { lat: 34.0522, lon: -118.2437 };
+const DENVER = { lat: 39.7392, lon: -104.9903 };
+
+describe('greatCircleKm', () => {
+  test('is the haversine distance on the mean Earth radius', () => {
+    expect(greatCircleKm(NEW_YORK, LOS_ANGELES)).toBeCloseTo(3936, 0);
+    expect(greatCircleKm({ lat: 0, lon: 0 }, { lat: 0, lon: 1 })).toBeCloseTo(111.195, 3);
+  });
+
+  test('is zero for the same point and symmetric', () => {
+    expect(greatCircleKm(DENVER, DENVER)).toBe(0);
+    expect(greatCircleKm(DENVER, NEW_YORK)).toBeCloseTo(greatCircleKm(NEW_YORK, DENVER), 9);
+  });
+
+  test('takes the short way across the antimeridian', () => {
+    expect(greatCircleKm({ lat: 0, lon: 179.5 }, { lat: 0, lon: -179.5 })).toBeCloseTo(111.195, 3);
+  });
+});
+
+describe('nearestTo', () => {
+  const cities = [['New York', NEW_YORK], ['Los Angeles', LOS_ANGELES], ['Nowhere', null]];
+
+  test('returns the closest item and its distance, skipping items without a point', () => {
+    const boulder = { lat: 40.015, lon: -105.2705 };
+    const nearest = nearestTo(boulder, cities.concat([['Denver', DENVER]]), ([, point]) => point);
+
+    expect(nearest.item[0]).toBe('Denver');
+    expect(nearest.distanceKm).toBeCloseTo(greatCircleKm(boulder, DENVER), 9);
+  });
+
+  test('returns null without any located item', () => {
+    expect(nearestTo(DENVER, [['Nowhere', null]], ([, point]) => point)).toBeNull();
+  });
+});
+
+describe('nearestIndex', () => {
+  test('finds the closest coordinate in either direction', () => {
+    expect(nearestIndex([25, 26.25, 27.5, 28.75], 27.2)).toBe(2);
+    expect(nearestIndex([52, 51, 50], 50.4)).toBe(2);
+    expect(nearestIndex([10], 99)).toBe(0);
+  });
+});
+
+describe('bounding boxes', () => {
+  const conus = { west: -125, south: 25, east: -67, north: 53 };
+  const pacific = { west: 170, south: -10, east: -170, north: 10 };
+
+  test('contain points inside them, also across the antimeridian', () => {
+    expect(boundingBoxContains(conus, DENVER)).toBe(true);
+    expect(boundingBoxContains(conus, { lat: 19.8968, lon: -155.5828 })).toBe(false);
+    expect(boundingBoxContains(pacific, { lat: 0, lon: 179 })).toBe(true);
+    expect(boundingBoxContains(pacific, { lat: 0, lon: 0 })).toBe(false);
+  });
+
+  test('have a centre and an area in degrees', () => {
+    expect(boundingBoxCenter(conus)).toEqual({ lat: 39, lon: -96 });
+    expect(boundingBoxCenter(pacific)).toEqual({ lat: 0, lon: 180 });
+    expect(boundingBoxArea(pacific)).toBe(400);
+    expect(formatBoundingBox(conus)).toBe('-125,25,-67,53');
+  });
+});
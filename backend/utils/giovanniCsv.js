@@ -0,0 +1,455 @@
+/**
+ * Giovanni CSV Parsing
+ * Reads the "Time Series, Area-Averaged" CSV exports produced by NASA Giovanni
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+const DEFAULT_FILL_VALUE = -9999;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/;
+const MAX_REPORTED_ERRORS = 100;
+const MAX_REJECTED_SAMPLES = 20;
+const PROGRESS_EVERY_ROWS = 100000;
+
+// Why a data row was left out of an ingested series
+const REJECT_REASONS = {
+  missing_column: 'Row has no value for the data column',
+  invalid_timestamp: 'Timestamp is not YYYY-MM-DD HH:MM:SS',
+  invalid_value: 'Value is not a number',
+  fill_value: 'Value is the declared fill value (missing data)',
+  duplicate_timestamp: 'Timestamp repeats the previous accepted row',
+  out_of_order: 'Timestamp is before the previous accepted row'
+};
+
+/**
+ * Append-only Float64Array that grows by doubling, so millions of readings
+ * never exist as individual JS objects
+ */
+class Float64Column {
+  constructor(capacity = 4096) {
+    this.data = new Float64Array(capacity);
+    this.length = 0;
+  }
+
+  push(value) {
+    if (this.length === this.data.length) {
+      const grown = new Float64Array(this.data.length * 2);
+      grown.set(this.data);
+      this.data = grown;
+    }
+    this.data[this.length++] = value;
+  }
+
+  toArray() {
+    return this.data.slice(0, this.length);
+  }
+}
+
+/**
+ * Giovanni timestamps ("2015-01-01 03:00:00") are UTC; returns epoch milliseconds or NaN
+ */
+function parseTimestamp(timestamp) {
+  if (!TIMESTAMP_PATTERN.test(timestamp)) return NaN;
+  return Date.parse(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Most common spacing between consecutive epoch-millisecond times, in hours
+ */
+function inferTimeStepHours(times) {
+  const counts = new Map();
+
+  for (let i = 1; i < times.length; i++) {
+    const hours = (times[i] - times[i - 1]) / (60 * 60 * 1000);
+
+    if (hours > 0) {
+      counts.set(hours, (counts.get(hours) || 0) + 1);
+    }
+  }
+
+  let step = null;
+  let best = 0;
+  counts.forEach((count, hours) => {
+    if (count > best) {
+      best = count;
+      step = hours;
+    }
+  });
+
+  return step;
+}
+
+/**
+ * Locate the `time,` header line that separates the metadata block from the data rows
+ */
+function findHeaderLine(lines) {
+  return lines.findIndex(line => line.trim().startsWith('time,'));
+}
+
+/**
+ * Split a `Key:,value` metadata line; quoted values may contain commas
+ */
+function parseMetadataLine(line) {
+  const match = line.match(/^([^,]+):,(.*)$/);
+  if (!match) return null;
+
+  let value = match[2].trim();
+  if (value.startsWith('"') && value.endsWith('"')) {
+    value = value.slice(1, -1).replace(/""/g, '"');
+  }
+
+  return { key: match[1].trim(), value };
+}
+
+/**
+ * Parse a "west,south,east,north" bounding box string
+ */
+function parseBoundingBox(value) {
+  const parts = value.split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(isNaN)) {
+    return null;
+  }
+
+  const [west, south, east, north] = parts;
+  return { west, south, east, north };
+}
+
+function emptyMetadata() {
+  return {
+    title: null,
+    userStartDate: null,
+    userEndDate: null,
+    userBoundingBox: null,
+    dataBoundingBox: null,
+    reproduceUrl: null,
+    dataId: null,
+    fillValues: {}
+  };
+}
+
+/**
+ * Record one `Key:,value` entry of the metadata block
+ */
+function applyMetadataEntry(metadata, key, value) {
+  const fillMatch = key.match(/^Fill Value \((.+)\)$/);
+
+  if (fillMatch) {
+    const fillValue = parseFloat(value);
+    if (!isNaN(fillValue)) {
+      metadata.fillValues[fillMatch[1].trim()] = fillValue;
+    }
+  } else if (key === 'Title') {
+    metadata.title = value;
+  } else if (key === 'User Start Date') {
+    metadata.userStartDate = value;
+  } else if (key === 'User End Date') {
+    metadata.userEndDate = value;
+  } else if (key === 'User Bounding Box') {
+    metadata.userBoundingBox = value ? parseBoundingBox(value) : null;
+  } else if (key === 'Data Bounding Box') {
+    metadata.dataBoundingBox = parseBoundingBox(value);
+  } else if (key === 'URL to Reproduce Results') {
+    metadata.reproduceUrl = value;
+    // The Giovanni data id (e.g. GLDAS_NOAH025_3H_2_1_Qair_f_inst) is the `data=` parameter
+    const dataMatch = value.match(/[#&?]data=([^&]+)/);
+    metadata.dataId = dataMatch ? decodeURIComponent(dataMatch[1]) : null;
+  }
+}
+
+/**
+ * Parse the metadata block Giovanni writes above the `time,` header
+ * (Title, User Start/End Date, bounding boxes, reproduce URL and fill values)
+ */
+function parseGiovanniMetadata(lines) {
+  const metadata = emptyMetadata();
+
+  for (const line of lines) {
+    const entry = parseMetadataLine(line.trim());
+    if (entry) {
+      applyMetadataEntry(metadata, entry.key, entry.value);
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Resolve the index of the value column, either by a partial column name
+ * (e.g. 'Rainf') or by falling back to the first non-time column
+ */
+function findValueColumn(header, column) {
+  if (column) {
+    return header.findIndex(col => col.includes(column));
+  }
+  return header.findIndex(col => col.toLowerCase() !== 'time');
+}
+
+/**
+ * Strictly validate a Giovanni time-series CSV before it is registered.
+ * Where streamGiovanniCsv drops bad rows and ingests the rest, here every
+ * malformed row is reported with its line number, and a missing fill value or
+ * an irregular time step makes the file invalid.
+ */
+function validateGiovanniCsv(text) {
+  const errors = [];
+  let errorCount = 0;
+  const addError = (line, message) => {
+    errorCount++;
+    if (errors.length < MAX_REPORTED_ERRORS) {
+      errors.push({ line, message });
+    }
+  };
+
+  const lines = text.split(/\r?\n/);
+  const headerLineIndex = findHeaderLine(lines);
+
+  if (headerLineIndex === -1) {
+    addError(null, 'Missing data header: expected a line starting with "time,"');
+    return { valid: false, errors, errorCount };
+  }
+
+  const header = lines[headerLineIndex].split(',').map(col => col.trim());
+  const metadata = parseGiovanniMetadata(lines.slice(0, headerLineIndex));
+
+  if (header.length !== 2 || header[0].toLowerCase() !== 'time') {
+    addError(headerLineIndex + 1, `Expected header "time, <variable>" but found "${lines[headerLineIndex].trim()}"`);
+    return { valid: false, errors, errorCount, metadata };
+  }
+
+  const columnName = header[1];
+  const fillValue = metadata.fillValues[columnName];
+
+  if (fillValue === undefined) {
+    addError(null, `Missing "Fill Value (${columnName})" line in the Giovanni metadata block`);
+  }
+
+  const rows = [];
+  let fillRows = 0;
+
+  for (let i = headerLineIndex + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const lineNumber = i + 1;
+    const columns = line.split(',').map(col => col.trim());
+
+    if (columns.length !== 2) {
+      addError(lineNumber, `Expected 2 columns but found ${columns.length}`);
+      continue;
+    }
+
+    const [timestamp, rawValue] = columns;
+    const time = parseTimestamp(timestamp);
+    const value = Number(rawValue);
+
+    if (isNaN(time)) {
+      addError(lineNumber, `Invalid timestamp "${timestamp}" (expected YYYY-MM-DD HH:MM:SS)`);
+      continue;
+    }
+
+    if (rawValue === '' || isNaN(value)) {
+      addError(lineNumber, `Invalid value "${rawValue}"`);
+      continue;
+    }
+
+    if (rows.length > 0 && time <= rows[rows.length - 1].time) {
+      addError(lineNumber, `Timestamp ${timestamp} is not after the previous row`);
+      continue;
+    }
+
+    if (value === fillValue) {
+      fillRows++;
+    }
+
+    rows.push({ line: lineNumber, timestamp, time, value });
+  }
+
+  if (rows.length < 2) {
+    addError(null, 'At least two data rows are required');
+  }
+
+  // A regular series may have gaps, but every step must be a multiple of the base step
+  const timeStepHours = inferTimeStepHours(rows.map(row => row.time));
+  if (timeStepHours) {
+    const stepMs = timeStepHours * 60 * 60 * 1000;
+    for (let i = 1; i < rows.length; i++) {
+      const delta = rows[i].time - rows[i - 1].time;
+      if (delta % stepMs !== 0) {
+        addError(rows[i].line, `Irregular time step: ${delta / 3600000} hours after ${rows[i - 1].timestamp} (expected ${timeStepHours})`);
+      }
+    }
+  }
+
+  // File-level errors (no line number) first, then in file order
+  errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+  return {
+    valid: errorCount === 0,
+    errors,
+    errorCount,
+    metadata,
+    columnName,
+    fillValue: fillValue === undefined ? null : fillValue,
+    timeStepHours,
+    rowCount: rows.length,
+    fillRows,
+    dateRange: rows.length > 0
+      ? { start: rows[0].timestamp, end: rows[rows.length - 1].timestamp }
+      : null
+  };
+}
+
+/**
+ * Stream a Giovanni time-series CSV from disk row by row through csv-parser.
+ * Resolves with the metadata block, the accepted readings as Float64Array
+ * `times` (epoch ms) and `values` columns, the times of fill-value and
+ * duplicate rows, and an ingest report counting every rejected row by reason.
+ * `onProgress` is called every `progressEvery` rows.
+ */
+function streamGiovanniCsv(filePath, { column, onProgress, progressEvery = PROGRESS_EVERY_ROWS } = {}) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const totalBytes = fs.statSync(filePath).size;
+    const input = fs.createReadStream(filePath);
+
+    const metadata = emptyMetadata();
+    const times = new Float64Column();
+    const values = new Float64Column();
+    const fillTimes = new Float64Column(); // Kept for the quality report (utils/seriesQuality.js)
+    const duplicateTimes = new Float64Column();
+    const rejected = Object.fromEntries(Object.keys(REJECT_REASONS).map(reason => [reason, 0]));
+    const samples = [];
+
+    let line = 0;
+    let headerLine = null;
+    let timeColIndex = -1;
+    let valueColIndex = -1;
+    let columnName = null;
+    let fillValue = DEFAULT_FILL_VALUE;
+    let rowsRead = 0;
+    let rowsRejected = 0;
+    let lastTime = -Infinity;
+    let failed = false;
+
+    const report = () => ({
+      file: path.basename(filePath),
+      totalBytes,
+      bytesRead: input.bytesRead,
+      headerLine,
+      columnName,
+      fillValue,
+      rowsRead,
+      rowsAccepted: times.length,
+      rowsRejected,
+      rejected,
+      rejectedSamples: samples,
+      durationMs: Date.now() - startedAt
+    });
+
+    const rejectRow = (reason, fields) => {
+      rowsRejected++;
+      rejected[reason]++;
+      if (samples.length < MAX_REJECTED_SAMPLES) {
+        samples.push({ line, reason, message: REJECT_REASONS[reason], text: Object.values(fields).join(',') });
+      }
+    };
+
+    const fail = (error) => {
+      failed = true;
+      input.destroy();
+      reject(error);
+    };
+
+    input
+      .on('error', fail)
+      .pipe(csv({ headers: false, strict: false }))
+      .on('error', fail)
+      .on('data', (fields) => {
+        if (failed) return;
+        line++;
+        const cells = Object.values(fields).map(cell => cell.trim());
+        if (cells.length === 0 || cells.every(cell => cell === '')) return;
+
+        // Metadata block, up to and including the `time,` header
+        if (headerLine === null) {
+          if (cells[0].toLowerCase() === 'time') {
+            headerLine = line;
+            timeColIndex = 0;
+            valueColIndex = findValueColumn(cells, column);
+            if (valueColIndex === -1) {
+              fail(new Error(`Could not find time or ${column || 'value'} columns in Giovanni CSV`));
+              return;
+            }
+            columnName = cells[valueColIndex];
+            if (metadata.fillValues[columnName] !== undefined) {
+              fillValue = metadata.fillValues[columnName];
+            }
+          } else if (cells[0].endsWith(':')) {
+            applyMetadataEntry(metadata, cells[0].slice(0, -1).trim(), cells.slice(1).join(',').trim());
+          }
+          return;
+        }
+
+        rowsRead++;
+
+        if (cells.length <= valueColIndex || cells[valueColIndex] === '') {
+          rejectRow('missing_column', fields);
+        } else {
+          const time = parseTimestamp(cells[timeColIndex]);
+          const value = Number(cells[valueColIndex]);
+
+          if (isNaN(time)) {
+            rejectRow('invalid_timestamp', fields);
+          } else if (isNaN(value)) {
+            rejectRow('invalid_value', fields);
+          } else if (value === fillValue) {
+            rejectRow('fill_value', fields);
+            fillTimes.push(time);
+          } else if (time === lastTime) {
+            rejectRow('duplicate_timestamp', fields);
+            duplicateTimes.push(time);
+          } else if (time < lastTime) {
+            rejectRow('out_of_order', fields);
+          } else {
+            times.push(time);
+            values.push(value);
+            lastTime = time;
+          }
+        }
+
+        if (onProgress && rowsRead % progressEvery === 0) {
+          onProgress(report());
+        }
+      })
+      .on('end', () => {
+        if (failed) return;
+        if (headerLine === null) {
+          reject(new Error('Could not find data header (time, ...) in Giovanni CSV'));
+          return;
+        }
+
+        resolve({
+          metadata,
+          headerLine,
+          columnName,
+          fillValue,
+          times: times.toArray(),
+          values: values.toArray(),
+          fillTimes: fillTimes.toArray(),
+          duplicateTimes: duplicateTimes.toArray(),
+          report: report()
+        });
+      });
+  });
+}
+
+module.exports = {
+  DEFAULT_FILL_VALUE,
+  REJECT_REASONS,
+  inferTimeStepHours,
+  parseTimestamp,
+  streamGiovanniCsv,
+  validateGiovanniCsv
+};
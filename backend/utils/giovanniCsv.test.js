@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_FILL_VALUE, streamGiovanniCsv } = require('./giovanniCsv');
+
+const RAIN_COLUMN = 'mean_GLDAS_NOAH025_3H_2_1_Rainf_f_tavg';
+
+describe('streamGiovanniCsv', () => {
+  let directory;
+
+  const writeCsv = (lines) => {
+    const file = path.join(directory, 'Rain.csv');
+    fs.writeFileSync(file, lines.join('\n'));
+    return file;
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'giovanni-csv-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('counts every rejected row by reason and keeps the accepted readings', async () => {
+    const file = writeCsv([
+      'Title:,"Time Series, Area-Averaged of Rain precipitation rate 3-hourly 0.25 deg. [GLDAS (3-hourly)"',
+      `Fill Value (${RAIN_COLUMN}):, -999.0`,
+      '',
+      `time, ${RAIN_COLUMN}`,
+      '2020-01-01 00:00:00,0.5',
+      '2020-01-01 03:00:00,-999.0',
+      '2020-01-01 06:00:00,1.5',
+      '2020-01-01 06:00:00,2.5',
+      '2020-01-01 03:00:00,3.5',
+      '2020-01-01 09:00,4.5',
+      '01/01/2020 12:00,5.5',
+      '2020-01-01 15:00:00,n/a',
+      '2020-01-01 18:00:00,',
+      '2020-01-01 21:00:00,-999.0',
+      '2020-01-02 00:00:00,-9999',
+      ''
+    ]);
+
+    const series = await streamGiovanniCsv(file, { column: 'Rainf' });
+
+    expect(series.headerLine).toBe(4);
+    expect(series.columnName).toBe(RAIN_COLUMN);
+    expect(series.fillValue).toBe(-999);
+    expect(Array.from(series.values)).toEqual([0.5, 1.5, 4.5, -9999]);
+    expect(Array.from(series.times)).toEqual([
+      Date.UTC(2020, 0, 1, 0),
+      Date.UTC(2020, 0, 1, 6),
+      Date.UTC(2020, 0, 1, 9),
+      Date.UTC(2020, 0, 2, 0)
+    ]);
+    expect(Array.from(series.fillTimes)).toEqual([Date.UTC(2020, 0, 1, 3), Date.UTC(2020, 0, 1, 21)]);
+    expect(Array.from(series.duplicateTimes)).toEqual([Date.UTC(2020, 0, 1, 6)]);
+
+    expect(series.report).toMatchObject({
+      file: 'Rain.csv',
+      fillValue: -999,
+      rowsRead: 11,
+      rowsAccepted: 4,
+      rowsRejected: 7,
+      rejected: {
+        missing_column: 1,
+        invalid_timestamp: 1,
+        invalid_value: 1,
+        fill_value: 2,
+        duplicate_timestamp: 1,
+        out_of_order: 1
+      }
+    });
+    expect(series.report.rejectedSamples.map(sample => [sample.line, sample.reason])).toEqual([
+      [6, 'fill_value'],
+      [8, 'duplicate_timestamp'],
+      [9, 'out_of_order'],
+      [11, 'invalid_timestamp'],
+      [12, 'invalid_value'],
+      [13, 'missing_column'],
+      [14, 'fill_value']
+    ]);
+  });
+
+  test('falls back to the default fill value when the header declares none', async () => {
+    const file = writeCsv([
+      `time, ${RAIN_COLUMN}`,
+      '2020-01-01 00:00:00,0.5',
+      `2020-01-01 03:00:00,${DEFAULT_FILL_VALUE}`,
+      '2020-01-01 06:00:00,-999.0'
+    ]);
+
+    const series = await streamGiovanniCsv(file);
+
+    expect(series.fillValue).toBe(DEFAULT_FILL_VALUE);
+    expect(Array.from(series.values)).toEqual([0.5, -999]);
+    expect(Array.from(series.fillTimes)).toEqual([Date.UTC(2020, 0, 1, 3)]);
+    expect(series.report.rejected.fill_value).toBe(1);
+    expect(series.report.rowsRejected).toBe(1);
+  });
+
+  test('reports progress every `progressEvery` rows', async () => {
+    const file = writeCsv([
+      `time, ${RAIN_COLUMN}`,
+      ...Array.from({ length: 5 }, (_, step) => `2020-01-01 ${String(step * 3).padStart(2, '0')}:00:00,${step}`)
+    ]);
+    const progress = [];
+
+    await streamGiovanniCsv(file, { progressEvery: 2, onProgress: report => progress.push(report.rowsRead) });
+
+    expect(progress).toEqual([2, 4]);
+  });
+
+  test('rejects a file without a time header', async () => {
+    const file = writeCsv(['Title:,Not a time series', '2020-01-01 00:00:00,0.5']);
+
+    await expect(streamGiovanniCsv(file)).rejects.toThrow('Could not find data header');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Humidity
+ * GLDAS reports specific humidity (kg of water vapour per kg of air), which
+ * means little to most people. With air temperature and surface pressure it
+ * converts into relative humidity and dew point.
+ *
+ * Saturation vapour pressure follows Bolton (1980), accurate to 0.1% between
+ * -30 °C and 35 °C.
+ */
+
+const STANDARD_PRESSURE_PA = 101325;
+const EPSILON = 0.622; // Ratio of the molar masses of water vapour and dry air
+
+// Partial pressure of water vapour (Pa) from specific humidity (kg/kg) and pressure (Pa)
+function vaporPressure(specificHumidity, pressure = STANDARD_PRESSURE_PA) {
+  return (specificHumidity * pressure) / (EPSILON + (1 - EPSILON) * specificHumidity);
+}
+
+// Saturation vapour pressure over water (Pa) at a temperature in °C
+function saturationVaporPressure(temperature) {
+  return 611.2 * Math.exp((17.67 * temperature) / (temperature + 243.5));
+}
+
+// Relative humidity in %, capped at 100 (supersaturated area averages do occur)
+function relativeHumidity(specificHumidity, temperature, pressure = STANDARD_PRESSURE_PA) {
+  const rh = (100 * vaporPressure(specificHumidity, pressure)) / saturationVaporPressure(temperature);
+  return Math.min(rh, 100);
+}
+
+// Dew point in °C: the temperature at which the vapour present would saturate the air
+function dewPoint(specificHumidity, pressure = STANDARD_PRESSURE_PA) {
+  const e = vaporPressure(specificHumidity, pressure);
+  if (!(e > 0)) return NaN;
+
+  const ratio = Math.log(e / 611.2);
+  return (243.5 * ratio) / (17.67 - ratio);
+}
+
+/**
+ * Measures a specific-humidity dataset can be reported in, for `measures` in
+ * datasets.js. Each input names the dataset it is read from at the same
+ * timestamp and the unit it must be in; `fallback` is used when that dataset
+ * is not registered.
+ */
+const HUMIDITY_MEASURES = {
+  relative_humidity: {
+    name: 'Relative Humidity',
+    unit: '%',
+    inputs: {
+      temperature: { dataset: 'temperature', unit: '°C' },
+      pressure: { dataset: 'surface_pressure', unit: 'Pa', fallback: STANDARD_PRESSURE_PA }
+    },
+    compute: (q, { temperature, pressure }) => relativeHumidity(q, temperature, pressure)
+  },
+  dew_point: {
+    name: 'Dew Point',
+    unit: '°C',
+    inputs: {
+      pressure: { dataset: 'surface_pressure', unit: 'Pa', fallback: STANDARD_PRESSURE_PA }
+    },
+    compute: (q, { pressure }) => dewPoint(q, pressure)
+  }
+};
+
+module.exports = {
+  STANDARD_PRESSURE_PA,
+  HUMIDITY_MEASURES,
+  vaporPressure,
+  saturationVaporPressure,
+  relativeHumidity,
+  dewPoint
+};
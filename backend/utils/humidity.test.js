@@ -0,0 +1,44 @@
+const {
+  STANDARD_PRESSURE_PA,
+  HUMIDITY_MEASURES,
+  vaporPressure,
+  saturationVaporPressure,
+  relativeHumidity,
+  dewPoint
+} = require('./humidity');
+
+describe('humidity', () => {
+  test('saturation vapour pressure follows Bolton (1980)', () => {
+    expect(saturationVaporPressure(0)).toBe(611.2);
+    expect(saturationVaporPressure(20)).toBeCloseTo(2337, 0);
+  });
+
+  test('vapour pressure grows with specific humidity and pressure', () => {
+    expect(vaporPressure(0)).toBe(0);
+    expect(vaporPressure(0.01)).toBeCloseTo(1619.2, 1);
+    expect(vaporPressure(0.01, 85000)).toBeLessThan(vaporPressure(0.01, STANDARD_PRESSURE_PA));
+  });
+
+  test('the dew point is the temperature at which the vapour present saturates the air', () => {
+    const dew = dewPoint(0.01);
+
+    expect(dew).toBeCloseTo(14.2, 1);
+    expect(saturationVaporPressure(dew)).toBeCloseTo(vaporPressure(0.01), 6);
+    expect(relativeHumidity(0.01, dew)).toBeCloseTo(100, 6);
+    expect(dewPoint(0)).toBeNaN();
+  });
+
+  test('relative humidity falls as the air warms and is capped at 100%', () => {
+    expect(relativeHumidity(0.01, 25)).toBeCloseTo(100 * 1619.2 / saturationVaporPressure(25), 1);
+    expect(relativeHumidity(0.01, 30)).toBeLessThan(relativeHumidity(0.01, 25));
+    expect(relativeHumidity(0.02, 5)).toBe(100);
+  });
+
+  test('measures read temperature and pressure inputs at the same timestamp', () => {
+    const { relative_humidity: rh, dew_point: dp } = HUMIDITY_MEASURES;
+
+    expect(rh.compute(0.01, { temperature: 25, pressure: STANDARD_PRESSURE_PA })).toBe(relativeHumidity(0.01, 25));
+    expect(dp.compute(0.01, { pressure: STANDARD_PRESSURE_PA })).toBe(dewPoint(0.01));
+    expect(dp.inputs.pressure.fallback).toBe(STANDARD_PRESSURE_PA);
+  });
+});
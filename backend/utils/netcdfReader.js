@@ -0,0 +1,427 @@
+/**
+ * NetCDF Reader
+ * Reads NetCDF-3 (classic / 64-bit offset) files through netcdfjs and NetCDF-4
+ * classic-model (HDF5) files through jsfive, behind one small API for listing
+ * dimensions and variables and extracting point or box time series
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NetCDFReader } = require('netcdfjs');
+const jsfive = require('jsfive');
+const { greatCircleKm, nearestIndex } = require('./geo');
+
+const HDF5_SIGNATURE = [0x89, 0x48, 0x44, 0x46]; // \x89HDF
+const CDF_SIGNATURE = [0x43, 0x44, 0x46]; // CDF
+
+// Bookkeeping attributes written by the netCDF-4 library on top of HDF5
+const HDF5_INTERNAL_ATTRIBUTES = new Set([
+  'CLASS', 'NAME', 'DIMENSION_LIST', 'REFERENCE_LIST', '_Netcdf4Dimid', '_Netcdf4Coordinates', '_NCProperties'
+]);
+const NETCDF4_PURE_DIMENSION = 'This is a netCDF dimension but not a netCDF variable';
+
+const TIME_UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, i) => bytes[i] === byte);
+}
+
+function cleanString(value) {
+  return typeof value === 'string' ? value.replace(/\0+$/, '') : value;
+}
+
+// jsfive returns numeric attributes as one-element arrays and strings NUL-terminated
+function normalizeAttribute(value) {
+  if (Array.isArray(value) && value.length === 1) {
+    return cleanString(value[0]);
+  }
+  return cleanString(value);
+}
+
+function flatten(data) {
+  if (!Array.isArray(data) || !Array.isArray(data[0])) {
+    return data;
+  }
+  const flat = [];
+  data.forEach(item => {
+    flatten(item).forEach(value => flat.push(value));
+  });
+  return flat;
+}
+
+/**
+ * Decode CF time units ("minutes since 1979-01-01 13:00:00") into
+ * { unitMs, baseMs } so that value * unitMs + baseMs is epoch milliseconds
+ */
+function parseTimeUnits(units) {
+  const match = /^\s*(second|minute|hour|day)s?\s+since\s+(\d{4}-\d{1,2}-\d{1,2})(?:[ T](\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?\s*(Z|UTC|[+-]\d{2}:?\d{2})?\s*$/i
+    .exec(units || '');
+
+  if (!match) return null;
+
+  const [, unit, date, time = '00:00:00', zone] = match;
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  let baseMs = Date.UTC(year, month - 1, day, hours, minutes, 0) + Math.round(seconds * 1000);
+
+  if (zone && /^[+-]/.test(zone)) {
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    baseMs -= sign * (parseInt(digits.slice(0, 2)) * 60 + parseInt(digits.slice(2))) * 60 * 1000;
+  }
+
+  return { unitMs: TIME_UNIT_MS[unit.toLowerCase()], baseMs };
+}
+
+/**
+ * NetCDF-3 backend
+ */
+function openClassic(buffer) {
+  const reader = new NetCDFReader(buffer);
+  const record = reader.recordDimension;
+
+  const dimensions = reader.dimensions.map((dim, id) => {
+    const unlimited = record && record.id === id;
+    return { name: dim.name, size: unlimited ? record.length : dim.size, unlimited: Boolean(unlimited) };
+  });
+
+  const variables = reader.variables.map(variable => {
+    const attributes = {};
+    variable.attributes.forEach(attr => {
+      attributes[attr.name] = normalizeAttribute(attr.value);
+    });
+
+    const dims = variable.dimensions.map(id => dimensions[id].name);
+    return {
+      name: variable.name,
+      dimensions: dims,
+      shape: variable.dimensions.map(id => dimensions[id].size),
+      type: variable.type,
+      attributes
+    };
+  });
+
+  const globalAttributes = {};
+  reader.globalAttributes.forEach(attr => {
+    globalAttributes[attr.name] = normalizeAttribute(attr.value);
+  });
+
+  return {
+    format: reader.version === 'classic format' ? 'netcdf3-classic' : 'netcdf3-64bit-offset',
+    dimensions,
+    variables,
+    globalAttributes,
+    read: name => flatten(reader.getDataVariable(name))
+  };
+}
+
+/**
+ * NetCDF-4 backend: the classic data model stored in HDF5 (root group only)
+ */
+function openHdf5(buffer, name) {
+  const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  const file = new jsfive.File(arrayBuffer, name);
+
+  const datasets = file.keys
+    .map(key => ({ key, node: file.get(key) }))
+    .filter(({ node }) => node && node.shape !== undefined);
+
+  // Dimension scales are the netCDF dimensions; DIMENSION_LIST points at them by object address
+  const dimensions = [];
+  const dimensionsByAddress = new Map();
+  const hidden = new Set();
+
+  datasets.forEach(({ key, node }) => {
+    const attrs = node.attrs;
+    if (!String(attrs.CLASS || '').startsWith('DIMENSION_SCALE')) return;
+
+    const dimension = { name: key, size: node.shape[0], unlimited: false };
+    dimensions.push(dimension);
+    dimensionsByAddress.set(node._dataobjects.offset, dimension);
+
+    if (String(attrs.NAME || '').startsWith(NETCDF4_PURE_DIMENSION)) {
+      hidden.add(key);
+    }
+  });
+
+  const dimensionNamesFor = (shape, dimensionList) => {
+    if (Array.isArray(dimensionList) && dimensionList.length === shape.length) {
+      const names = dimensionList.map(ref => {
+        const dimension = dimensionsByAddress.get(flatten(ref)[0]);
+        return dimension ? dimension.name : null;
+      });
+      if (names.every(Boolean)) return names;
+    }
+
+    // Fall back to matching sizes when the references cannot be resolved
+    return shape.map((size, i) => {
+      const candidates = dimensions.filter(dim => dim.size === size);
+      return candidates.length === 1 ? candidates[0].name : `dim${i}_${size}`;
+    });
+  };
+
+  const variables = datasets
+    .filter(({ key }) => !hidden.has(key))
+    .map(({ key, node }) => {
+      const attrs = node.attrs;
+      const attributes = {};
+      Object.entries(attrs).forEach(([attrName, value]) => {
+        if (!HDF5_INTERNAL_ATTRIBUTES.has(attrName)) {
+          attributes[attrName] = normalizeAttribute(value);
+        }
+      });
+
+      const isScale = String(attrs.CLASS || '').startsWith('DIMENSION_SCALE');
+      return {
+        name: key,
+        dimensions: isScale ? [key] : dimensionNamesFor(node.shape, attrs.DIMENSION_LIST),
+        shape: node.shape,
+        type: node.dtype,
+        attributes
+      };
+    });
+
+  const globalAttributes = {};
+  Object.entries(file.attrs || {}).forEach(([attrName, value]) => {
+    if (!HDF5_INTERNAL_ATTRIBUTES.has(attrName)) {
+      globalAttributes[attrName] = normalizeAttribute(value);
+    }
+  });
+
+  return {
+    format: 'netcdf4',
+    dimensions,
+    variables,
+    globalAttributes,
+    read: key => flatten(file.get(key).value)
+  };
+}
+
+class NetcdfFile {
+  constructor(buffer, name = 'file.nc') {
+    if (startsWith(buffer, HDF5_SIGNATURE)) {
+      this.backend = openHdf5(buffer, name);
+    } else if (startsWith(buffer, CDF_SIGNATURE)) {
+      this.backend = openClassic(buffer);
+    } else {
+      throw new Error(`${name} is not a NetCDF-3 or NetCDF-4 file`);
+    }
+
+    this.name = name;
+    this.cache = new Map(); // variable name -> decoded values
+    this.format = this.backend.format;
+    this.globalAttributes = this.backend.globalAttributes;
+  }
+
+  static open(filePath) {
+    return new NetcdfFile(fs.readFileSync(filePath), path.basename(filePath));
+  }
+
+  listDimensions() {
+    return this.backend.dimensions.map(dim => ({ ...dim }));
+  }
+
+  listVariables() {
+    return this.backend.variables.map(variable => ({ ...variable }));
+  }
+
+  getVariable(name) {
+    const variable = this.backend.variables.find(v => v.name === name);
+    if (!variable) {
+      throw new Error(`Variable ${name} not found in ${this.name}. Available variables: ${this.backend.variables.map(v => v.name).join(', ')}`);
+    }
+    return variable;
+  }
+
+  /**
+   * Read a variable as a flat row-major array with CF packing applied
+   * (scale_factor/add_offset) and _FillValue/missing_value replaced by NaN
+   */
+  readVariable(name) {
+    if (this.cache.has(name)) {
+      return this.cache.get(name);
+    }
+
+    const { attributes } = this.getVariable(name);
+    const raw = this.backend.read(name);
+    const missing = [attributes._FillValue, attributes.missing_value]
+      .filter(value => typeof value === 'number');
+    const scale = typeof attributes.scale_factor === 'number' ? attributes.scale_factor : 1;
+    const offset = typeof attributes.add_offset === 'number' ? attributes.add_offset : 0;
+
+    const values = new Float64Array(raw.length);
+    for (let i = 0; i < raw.length; i++) {
+      const value = Number(raw[i]);
+      values[i] = missing.includes(value) || isNaN(value) ? NaN : value * scale + offset;
+    }
+
+    this.cache.set(name, values);
+    return values;
+  }
+
+  /**
+   * Decode a CF time coordinate into Date objects
+   */
+  readTimes(name = this.findCoordinate('time')) {
+    const { attributes } = this.getVariable(name);
+    const units = parseTimeUnits(attributes.units);
+
+    if (!units) {
+      throw new Error(`Unsupported time units "${attributes.units}" on ${name}`);
+    }
+
+    return Array.from(this.readVariable(name), value => new Date(units.baseMs + value * units.unitMs));
+  }
+
+  /**
+   * Find the coordinate variable for an axis ('lat', 'lon' or 'time') by name or CF units
+   */
+  findCoordinate(axis) {
+    const matchers = {
+      lat: v => /^(lat|latitude)$/i.test(v.name) || v.attributes.units === 'degrees_north',
+      lon: v => /^(lon|longitude)$/i.test(v.name) || v.attributes.units === 'degrees_east',
+      time: v => /^time$/i.test(v.name) || Boolean(parseTimeUnits(v.attributes.units))
+    };
+
+    const coordinate = this.backend.variables.find(v =>
+      v.dimensions.length === 1 && v.dimensions[0] === v.name && matchers[axis](v)
+    ) || this.backend.variables.find(v => v.dimensions.length === 1 && matchers[axis](v));
+
+    return coordinate ? coordinate.name : null;
+  }
+
+  // Work out which dimension of a gridded variable is lat, lon and time
+  describeGrid(variableName) {
+    const variable = this.getVariable(variableName);
+    const latName = this.findCoordinate('lat');
+    const lonName = this.findCoordinate('lon');
+    const timeName = this.findCoordinate('time');
+
+    if (!latName || !lonName) {
+      throw new Error(`${this.name} has no lat/lon coordinate variables`);
+    }
+
+    const axisOf = name => variable.dimensions.indexOf(this.getVariable(name).dimensions[0]);
+    const latAxis = axisOf(latName);
+    const lonAxis = axisOf(lonName);
+    const timeAxis = timeName ? axisOf(timeName) : -1;
+
+    if (latAxis === -1 || lonAxis === -1) {
+      throw new Error(`${variableName} is not defined on the ${latName}/${lonName} grid`);
+    }
+
+    variable.shape.forEach((size, axis) => {
+      if (axis !== latAxis && axis !== lonAxis && axis !== timeAxis && size !== 1) {
+        throw new Error(`${variableName} has an extra dimension ${variable.dimensions[axis]} of size ${size}; only time/lat/lon grids are supported`);
+      }
+    });
+
+    const strides = variable.shape.map((_, axis) =>
+      variable.shape.slice(axis + 1).reduce((product, size) => product * size, 1)
+    );
+
+    return {
+      variable,
+      lats: Array.from(this.readVariable(latName)),
+      lons: Array.from(this.readVariable(lonName)),
+      times: timeAxis === -1 ? [null] : this.readTimes(timeName),
+      latAxis,
+      lonAxis,
+      timeAxis,
+      strides
+    };
+  }
+
+  /**
+   * Time series at the grid cell nearest to a point
+   */
+  extractPointSeries(variableName, { lat, lon }) {
+    const grid = this.describeGrid(variableName);
+    const values = this.readVariable(variableName);
+    const latIndex = nearestIndex(grid.lats, lat);
+    const lonIndex = nearestIndex(grid.lons, lon);
+    const actualLat = grid.lats[latIndex];
+    const actualLon = grid.lons[lonIndex];
+
+    const series = grid.times.map((time, t) => {
+      let index = latIndex * grid.strides[grid.latAxis] + lonIndex * grid.strides[grid.lonAxis];
+      if (grid.timeAxis !== -1) index += t * grid.strides[grid.timeAxis];
+
+      const value = values[index];
+      return { time: time ? time.toISOString() : null, value: isNaN(value) ? null : value };
+    });
+
+    return {
+      variable: variableName,
+      units: grid.variable.attributes.units || null,
+      attributes: grid.variable.attributes,
+      requestedCoords: { lat, lon },
+      actualCoords: { lat: actualLat, lon: actualLon },
+      gridIndex: { lat: latIndex, lon: lonIndex },
+      distanceKm: greatCircleKm({ lat, lon }, { lat: actualLat, lon: actualLon }),
+      series
+    };
+  }
+
+  /**
+   * Area-averaged time series over a west/south/east/north box, weighting
+   * each cell by cos(latitude) unless `weighted` is false
+   */
+  extractBoxSeries(variableName, { west, south, east, north }, { weighted = true } = {}) {
+    const grid = this.describeGrid(variableName);
+    const values = this.readVariable(variableName);
+
+    const latIndices = grid.lats.map((value, i) => (value >= south && value <= north ? i : -1)).filter(i => i !== -1);
+    const lonIndices = grid.lons.map((value, i) => (value >= west && value <= east ? i : -1)).filter(i => i !== -1);
+
+    if (latIndices.length === 0 || lonIndices.length === 0) {
+      throw new Error(`No ${variableName} grid cells inside ${west},${south},${east},${north}`);
+    }
+
+    const series = grid.times.map((time, t) => {
+      const base = grid.timeAxis === -1 ? 0 : t * grid.strides[grid.timeAxis];
+      let sum = 0;
+      let weightSum = 0;
+      let cells = 0;
+
+      latIndices.forEach(latIndex => {
+        const weight = weighted ? Math.cos(grid.lats[latIndex] * Math.PI / 180) : 1;
+
+        lonIndices.forEach(lonIndex => {
+          const value = values[base + latIndex * grid.strides[grid.latAxis] + lonIndex * grid.strides[grid.lonAxis]];
+          if (!isNaN(value)) {
+            sum += value * weight;
+            weightSum += weight;
+            cells++;
+          }
+        });
+      });
+
+      return {
+        time: time ? time.toISOString() : null,
+        value: weightSum > 0 ? sum / weightSum : null,
+        cells
+      };
+    });
+
+    return {
+      variable: variableName,
+      units: grid.variable.attributes.units || null,
+      attributes: grid.variable.attributes,
+      boundingBox: { west, south, east, north },
+      gridCells: latIndices.length * lonIndices.length,
+      weighted,
+      series
+    };
+  }
+}
+
+module.exports = {
+  NetcdfFile,
+  parseTimeUnits
+};
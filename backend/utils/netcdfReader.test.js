@@ -0,0 +1,95 @@
+const path = require('path');
+const { NetcdfFile, parseTimeUnits } = require('./netcdfReader');
+
+// The same 2 × 3 × 4 Tair grid (K) in both formats; the first cell of the first hour is a fill value
+const FIXTURES = {
+  'netcdf3-classic': path.join(__dirname, '__fixtures__/tair-netcdf3.nc'),
+  netcdf4: path.join(__dirname, '__fixtures__/tair-netcdf4.nc')
+};
+
+describe('parseTimeUnits', () => {
+  test('reads the unit and the base instant of CF time units', () => {
+    expect(parseTimeUnits('hours since 2015-01-01 00:00:00')).toEqual({
+      unitMs: 60 * 60 * 1000,
+      baseMs: Date.UTC(2015, 0, 1)
+    });
+    expect(parseTimeUnits('minutes since 1979-01-01 13:00:00').baseMs).toBe(Date.UTC(1979, 0, 1, 13));
+  });
+
+  test('returns null for units that are not times', () => {
+    expect(parseTimeUnits('K')).toBeNull();
+    expect(parseTimeUnits(undefined)).toBeNull();
+  });
+});
+
+describe('NetcdfFile', () => {
+  test('rejects files that are neither NetCDF-3 nor NetCDF-4', () => {
+    expect(() => new NetcdfFile(Buffer.from('date,value\n'), 'export.csv'))
+      .toThrow('export.csv is not a NetCDF-3 or NetCDF-4 file');
+  });
+
+  describe.each(Object.entries(FIXTURES))('%s', (format, filePath) => {
+    let file;
+
+    beforeAll(() => {
+      // jsfive warns about the REFERENCE_LIST attributes of dimension scales
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      file = NetcdfFile.open(filePath);
+    });
+
+    afterAll(() => {
+      console.warn.mockRestore();
+    });
+
+    test('detects the format and lists the variables', () => {
+      expect(file.format).toBe(format);
+      expect(file.listVariables().map(variable => variable.name)).toEqual(['time', 'lat', 'lon', 'Tair']);
+      expect(() => file.getVariable('Qair')).toThrow('Available variables: time, lat, lon, Tair');
+    });
+
+    test('describes the grid axes and decodes the time coordinate', () => {
+      const grid = file.describeGrid('Tair');
+
+      expect(Array.from(grid.lats)).toEqual([40, 41, 42]);
+      expect(Array.from(grid.lons)).toEqual([-90, -89, -88, -87]);
+      expect(grid.times.map(time => time.toISOString())).toEqual([
+        '1979-01-01T13:00:00.000Z',
+        '1979-01-01T14:00:00.000Z'
+      ]);
+    });
+
+    test('replaces the fill value with NaN', () => {
+      const values = file.readVariable('Tair');
+
+      expect(values).toHaveLength(24);
+      expect(values[0]).toBeNaN();
+      expect(values[1]).toBe(280.5);
+    });
+
+    test('extracts the series of the nearest grid cell', () => {
+      const point = file.extractPointSeries('Tair', { lat: 41.2, lon: -88.6 });
+
+      expect(point.units).toBe('K');
+      expect(point.actualCoords).toEqual({ lat: 41, lon: -89 });
+      expect(point.gridIndex).toEqual({ lat: 1, lon: 1 });
+      expect(point.distanceKm).toBeCloseTo(40.2, 1);
+      expect(point.series.map(entry => entry.value)).toEqual([281.5, 291.5]);
+    });
+
+    test('reports fill values in a point series as null', () => {
+      const point = file.extractPointSeries('Tair', { lat: 40, lon: -90 });
+
+      expect(point.series.map(entry => entry.value)).toEqual([null, 290]);
+    });
+
+    test('averages a box over the cells that have a value', () => {
+      const box = file.extractBoxSeries('Tair', { west: -90, south: 40, east: -89, north: 41 }, { weighted: false });
+
+      expect(box.gridCells).toBe(4);
+      expect(box.series).toEqual([
+        { time: '1979-01-01T13:00:00.000Z', value: 281, cells: 3 },
+        { time: '1979-01-01T14:00:00.000Z', value: 290.75, cells: 4 }
+      ]);
+    });
+  });
+});
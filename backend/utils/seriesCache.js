@@ -0,0 +1,144 @@
+/**
+ * Series Cache
+ * Columnar binary cache of parsed Giovanni time series, so processors can skip
+ * CSV parsing on startup. A cache file is only used while the SHA-256 checksum
+ * of its source CSV still matches.
+ *
+ * The ingest report of the original CSV parse and the times of fill-value and
+ * duplicate rows (for the quality report) are kept in the header.
+ *
+ * Layout: "GTSC" | uint32 version | uint32 header length | JSON header |
+ * padding to 8 bytes | Float64 timestamps (epoch ms) | Float64 raw values
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAGIC = 'GTSC';
+const FORMAT_VERSION = 3;
+const PREAMBLE_BYTES = 12;
+
+/**
+ * SHA-256 of a file, streamed so large CSVs are never held in memory twice
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Write a parsed series; `times` and `values` are Float64Arrays of equal length
+ */
+async function writeSeriesCache(cachePath, { checksum, column, metadata, headerLine, columnName, fillValue, times, values, fillTimes = [], duplicateTimes = [], report }) {
+  const header = Buffer.from(JSON.stringify({
+    checksum,
+    column: column || null,
+    count: times.length,
+    metadata,
+    headerLine,
+    columnName,
+    fillValue,
+    fillTimes: Array.from(fillTimes),
+    duplicateTimes: Array.from(duplicateTimes),
+    report
+  }), 'utf8');
+
+  const dataOffset = Math.ceil((PREAMBLE_BYTES + header.length) / 8) * 8;
+  const preamble = Buffer.alloc(dataOffset);
+  preamble.write(MAGIC, 0, 'ascii');
+  preamble.writeUInt32LE(FORMAT_VERSION, 4);
+  preamble.writeUInt32LE(header.length, 8);
+  header.copy(preamble, PREAMBLE_BYTES);
+
+  // Write to a temporary file first so a crash never leaves a truncated cache behind
+  await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    // The columns are written straight from their typed arrays, without a combined copy
+    await handle.write(preamble);
+    await handle.write(new Uint8Array(times.buffer, times.byteOffset, times.byteLength));
+    await handle.write(new Uint8Array(values.buffer, values.byteOffset, values.byteLength));
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempPath, cachePath);
+}
+
+/**
+ * Read a cached series, or return null when the cache is missing, stale
+ * (checksum or column changed), from another format version, or corrupt
+ */
+async function readSeriesCache(cachePath, { checksum, column }) {
+  let handle;
+  try {
+    handle = await fs.promises.open(cachePath, 'r');
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const preamble = Buffer.alloc(PREAMBLE_BYTES);
+    await handle.read(preamble, 0, PREAMBLE_BYTES, 0);
+
+    if (size < PREAMBLE_BYTES ||
+        preamble.toString('ascii', 0, 4) !== MAGIC ||
+        preamble.readUInt32LE(4) !== FORMAT_VERSION) {
+      return null;
+    }
+
+    const headerLength = preamble.readUInt32LE(8);
+    const headerBuffer = Buffer.alloc(headerLength);
+    await handle.read(headerBuffer, 0, headerLength, PREAMBLE_BYTES);
+
+    let header;
+    try {
+      header = JSON.parse(headerBuffer.toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (header.checksum !== checksum || header.column !== (column || null)) {
+      return null;
+    }
+
+    const dataOffset = Math.ceil((PREAMBLE_BYTES + headerLength) / 8) * 8;
+    const byteLength = header.count * 8;
+    if (size !== dataOffset + byteLength * 2) {
+      return null;
+    }
+
+    // Read the columns directly into their typed arrays
+    const times = new Float64Array(header.count);
+    const values = new Float64Array(header.count);
+    await handle.read(new Uint8Array(times.buffer), 0, byteLength, dataOffset);
+    await handle.read(new Uint8Array(values.buffer), 0, byteLength, dataOffset + byteLength);
+
+    return {
+      metadata: header.metadata,
+      headerLine: header.headerLine,
+      columnName: header.columnName,
+      fillValue: header.fillValue,
+      report: header.report,
+      fillTimes: Float64Array.from(header.fillTimes || []),
+      duplicateTimes: Float64Array.from(header.duplicateTimes || []),
+      times,
+      values
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  hashFile,
+  readSeriesCache,
+  writeSeriesCache
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashFile, readSeriesCache, writeSeriesCache } = require('./seriesCache');
+const GiovanniTimeSeriesProcessor = require('../giovanniTimeSeriesProcessor');
+
+const WIND_COLUMN = 'mean_GLDAS_NOAH025_3H_2_1_Wind_f_inst';
+
+const windCsv = speed => [
+  `Fill Value (${WIND_COLUMN}):, -9999`,
+  `time, ${WIND_COLUMN}`,
+  ...Array.from({ length: 8 }, (_, step) => `2020-01-01 ${String(step * 3).padStart(2, '0')}:00:00,${speed}`),
+  ''
+].join('\n');
+
+describe('seriesCache', () => {
+  let directory;
+  let cachePath;
+
+  const series = {
+    checksum: 'abc123',
+    column: 'Wind',
+    metadata: { title: 'Wind speed', fillValues: { [WIND_COLUMN]: -9999 } },
+    headerLine: 2,
+    columnName: WIND_COLUMN,
+    fillValue: -9999,
+    times: Float64Array.from([Date.UTC(2020, 0, 1, 0), Date.UTC(2020, 0, 1, 3), Date.UTC(2020, 0, 1, 6)]),
+    values: Float64Array.from([1.25, -0.5, 3e-7]),
+    fillTimes: [Date.UTC(2020, 0, 1, 9)],
+    duplicateTimes: [Date.UTC(2020, 0, 1, 3)],
+    report: { rowsRead: 5, rowsAccepted: 3, rowsRejected: 2 }
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'series-cache-'));
+    cachePath = path.join(directory, 'cache', 'wind_speed.series');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reads back exactly what was written', async () => {
+    await writeSeriesCache(cachePath, series);
+    const cached = await readSeriesCache(cachePath, { checksum: 'abc123', column: 'Wind' });
+
+    expect(cached).toEqual({
+      metadata: series.metadata,
+      headerLine: 2,
+      columnName: WIND_COLUMN,
+      fillValue: -9999,
+      report: series.report,
+      fillTimes: Float64Array.from(series.fillTimes),
+      duplicateTimes: Float64Array.from(series.duplicateTimes),
+      times: series.times,
+      values: series.values
+    });
+    expect(cached.values).toBeInstanceOf(Float64Array);
+    expect(fs.readdirSync(path.dirname(cachePath))).toEqual(['wind_speed.series']);
+  });
+
+  test('ignores a cache built from another checksum or column', async () => {
+    await writeSeriesCache(cachePath, series);
+
+    await expect(readSeriesCache(cachePath, { checksum: 'def456', column: 'Wind' })).resolves.toBeNull();
+    await expect(readSeriesCache(cachePath, { checksum: 'abc123', column: 'Tair' })).resolves.toBeNull();
+  });
+
+  test('ignores a missing, foreign or truncated cache file', async () => {
+    await expect(readSeriesCache(cachePath, { checksum: 'abc123', column: 'Wind' })).resolves.toBeNull();
+
+    await writeSeriesCache(cachePath, series);
+    const bytes = fs.readFileSync(cachePath);
+    fs.writeFileSync(cachePath, bytes.subarray(0, bytes.length - 8));
+    await expect(readSeriesCache(cachePath, { checksum: 'abc123', column: 'Wind' })).resolves.toBeNull();
+
+    fs.writeFileSync(cachePath, 'time, Wind\n');
+    await expect(readSeriesCache(cachePath, { checksum: 'abc123', column: 'Wind' })).resolves.toBeNull();
+  });
+
+  test('hashes a file by its contents', async () => {
+    const file = path.join(directory, 'Wind.csv');
+    fs.writeFileSync(file, windCsv(3));
+    const checksum = await hashFile(file);
+
+    expect(checksum).toMatch(/^[0-9a-f]{64}$/);
+    fs.utimesSync(file, new Date(2001, 0, 1), new Date(2001, 0, 1));
+    await expect(hashFile(file)).resolves.toBe(checksum);
+    fs.writeFileSync(file, windCsv(4));
+    await expect(hashFile(file)).resolves.not.toBe(checksum);
+  });
+
+  describe('processor loads', () => {
+    let file;
+
+    const load = async () => {
+      const processor = new GiovanniTimeSeriesProcessor({
+        id: 'wind_speed',
+        route: 'wind-speed',
+        name: 'Wind Speed',
+        file,
+        column: 'Wind',
+        unit: 'm/s',
+        aggregation: 'mean',
+        operator: '>='
+      });
+      jest.spyOn(processor, 'getCachePath').mockReturnValue(cachePath);
+      const report = await processor.load();
+      return { processor, report };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      file = path.join(directory, 'Wind.csv');
+      fs.writeFileSync(file, windCsv(3));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('use the cache while the CSV is unchanged', async () => {
+      expect((await load()).report.source).toBe('csv');
+
+      const { processor, report } = await load();
+
+      expect(report.source).toBe('cache');
+      expect(report.rowsAccepted).toBe(8);
+      expect(Array.from(processor.values)).toEqual(new Array(8).fill(3));
+    });
+
+    test('reparse the CSV once its contents change', async () => {
+      await load();
+      fs.writeFileSync(file, windCsv(5));
+
+      const { processor, report } = await load();
+
+      expect(report.source).toBe('csv');
+      expect(Array.from(processor.values)).toEqual(new Array(8).fill(5));
+      expect((await load()).report.source).toBe('cache');
+    });
+  });
+});
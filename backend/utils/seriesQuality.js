@@ -0,0 +1,167 @@
+/**
+ * Series Quality
+ * Ingest-time quality pass over a regular (e.g. 3-hourly) time series: missing
+ * timestamps, fill-value rows, duplicate timestamps, statistical outliers and
+ * per-day completeness
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_LISTED = 100;
+// Tukey's "far out" fences: beyond 3 interquartile ranges from the quartiles
+const OUTLIER_IQR_FACTOR = 3;
+
+const toTimestamp = time => new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+
+function quantile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+// Collapse sorted grid times into contiguous { start, end, count } runs
+function toRuns(times, stepMs) {
+  const runs = [];
+  times.forEach(time => {
+    const last = runs[runs.length - 1];
+    if (last && time - last.endTime === stepMs) {
+      last.endTime = time;
+      last.count++;
+    } else {
+      runs.push({ startTime: time, endTime: time, count: 1 });
+    }
+  });
+
+  return {
+    count: times.length,
+    runCount: runs.length,
+    runs: runs.slice(0, MAX_LISTED).map(run => ({
+      start: toTimestamp(run.startTime),
+      end: toTimestamp(run.endTime),
+      count: run.count
+    }))
+  };
+}
+
+function findOutliers(times, values) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+
+  // A zero spread (constant or mostly identical readings) would flag every other value
+  if (!(iqr > 0)) {
+    return { method: 'tukey-far-out', lowerFence: null, upperFence: null, count: 0, readings: [] };
+  }
+
+  const lowerFence = q1 - OUTLIER_IQR_FACTOR * iqr;
+  const upperFence = q3 + OUTLIER_IQR_FACTOR * iqr;
+  const readings = [];
+  let count = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < lowerFence || values[i] > upperFence) {
+      count++;
+      if (readings.length < MAX_LISTED) {
+        readings.push({ timestamp: toTimestamp(times[i]), value: values[i] });
+      }
+    }
+  }
+
+  return { method: 'tukey-far-out', lowerFence, upperFence, count, readings };
+}
+
+/**
+ * Assess a sorted series. `times`/`values` are the accepted readings; `fillTimes`
+ * and `duplicateTimes` come from the CSV ingest; `dayIndex` maps YYYY-MM-DD to
+ * the { start, end } span of that day's readings.
+ */
+function assessSeriesQuality({ times, values, fillTimes = [], duplicateTimes = [], dayIndex, timeStepHours }) {
+  const stepMs = timeStepHours * HOUR_MS;
+  const expectedReadingsPerDay = Number.isInteger(24 / timeStepHours) ? 24 / timeStepHours : null;
+
+  const report = {
+    timeStepHours,
+    expectedReadingsPerDay,
+    period: null,
+    expectedRecords: 0,
+    presentRecords: times.length,
+    offGridRecords: 0,
+    missing: toRuns([], stepMs),
+    fillValues: toRuns([], stepMs),
+    duplicates: { count: duplicateTimes.length, timestamps: Array.from(duplicateTimes.slice(0, MAX_LISTED), toTimestamp) },
+    outliers: findOutliers(times, values),
+    days: { total: 0, complete: 0, incomplete: 0, missing: 0, completeness: null, incompleteDays: [] }
+  };
+
+  if (times.length === 0 && fillTimes.length === 0) {
+    return report;
+  }
+
+  // Expected grid: every step from the first day's first slot to the last day's last slot,
+  // aligned with the observed timestamps
+  const first = Math.min(times.length ? times[0] : Infinity, fillTimes.length ? fillTimes[0] : Infinity);
+  const last = Math.max(times.length ? times[times.length - 1] : -Infinity, fillTimes.length ? fillTimes[fillTimes.length - 1] : -Infinity);
+  const firstDay = Math.floor(first / DAY_MS) * DAY_MS;
+  const lastDayEnd = (Math.floor(last / DAY_MS) + 1) * DAY_MS;
+  const gridStart = firstDay + ((first - firstDay) % stepMs);
+  const gridEnd = last + Math.floor((lastDayEnd - 1 - last) / stepMs) * stepMs;
+
+  const missingTimes = [];
+  const fillGridTimes = [];
+  let i = 0;
+  let j = 0;
+  let offGrid = 0;
+
+  for (let t = gridStart; t <= gridEnd; t += stepMs) {
+    while (i < times.length && times[i] < t) {
+      offGrid++;
+      i++;
+    }
+    while (j < fillTimes.length && fillTimes[j] < t) j++;
+
+    if (i < times.length && times[i] === t) {
+      i++;
+    } else if (j < fillTimes.length && fillTimes[j] === t) {
+      fillGridTimes.push(t);
+    } else {
+      missingTimes.push(t);
+    }
+  }
+  offGrid += times.length - i;
+
+  const totalDays = Math.round((lastDayEnd - firstDay) / DAY_MS);
+  const incompleteDays = [];
+  let completeDays = 0;
+
+  dayIndex.forEach(({ start, end }, date) => {
+    const readings = end - start;
+    if (expectedReadingsPerDay === null || readings >= expectedReadingsPerDay) {
+      completeDays++;
+    } else {
+      incompleteDays.push({ date, readings });
+    }
+  });
+
+  report.period = { start: toTimestamp(gridStart), end: toTimestamp(gridEnd) };
+  report.expectedRecords = Math.round((gridEnd - gridStart) / stepMs) + 1;
+  report.offGridRecords = offGrid;
+  report.missing = toRuns(missingTimes, stepMs);
+  report.fillValues = toRuns(fillGridTimes, stepMs);
+  report.days = {
+    total: totalDays,
+    complete: completeDays,
+    incomplete: incompleteDays.length,
+    missing: totalDays - dayIndex.size, // Days without a single reading
+    completeness: totalDays > 0 ? completeDays / totalDays : null,
+    incompleteDays: incompleteDays.slice(0, MAX_LISTED)
+  };
+
+  return report;
+}
+
+module.exports = {
+  assessSeriesQuality
+};
@@ -0,0 +1,92 @@
+const { assessSeriesQuality } = require('./seriesQuality');
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = timestamp => Date.parse(`${timestamp}Z`);
+
+// Series of 3-hourly readings with the per-day index applySeries() builds
+function series(timestamps, valueAt = () => 1) {
+  const times = timestamps.map(at);
+  const dayIndex = new Map();
+  times.forEach((time, i) => {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const span = dayIndex.get(date);
+    if (span) span.end = i + 1; else dayIndex.set(date, { start: i, end: i + 1 });
+  });
+  return { times, values: times.map(valueAt), dayIndex, timeStepHours: 3 };
+}
+
+// Every 3-hourly timestamp of the given days
+function steps(...dates) {
+  return dates.flatMap(date => Array.from({ length: 8 }, (_, k) =>
+    new Date(Date.parse(`${date}T00:00:00Z`) + k * 3 * HOUR_MS).toISOString().slice(0, 19)));
+}
+
+describe('assessSeriesQuality', () => {
+  test('reports a complete series as such', () => {
+    const report = assessSeriesQuality(series(steps('2020-01-01', '2020-01-02')));
+
+    expect(report).toMatchObject({
+      expectedReadingsPerDay: 8,
+      period: { start: '2020-01-01 00:00:00', end: '2020-01-02 21:00:00' },
+      expectedRecords: 16,
+      presentRecords: 16,
+      offGridRecords: 0,
+      missing: { count: 0, runCount: 0 },
+      days: { total: 2, complete: 2, incomplete: 0, missing: 0, completeness: 1 }
+    });
+  });
+
+  test('collapses missing steps into runs and lists incomplete and missing days', () => {
+    const timestamps = steps('2020-01-01', '2020-01-02', '2020-01-03', '2020-01-04')
+      .filter(timestamp => !timestamp.startsWith('2020-01-03'))
+      .filter(timestamp => timestamp !== '2020-01-01T06:00:00' && timestamp !== '2020-01-01T09:00:00');
+    const report = assessSeriesQuality(series(timestamps));
+
+    expect(report.missing.count).toBe(10);
+    expect(report.missing.runs).toEqual([
+      { start: '2020-01-01 06:00:00', end: '2020-01-01 09:00:00', count: 2 },
+      { start: '2020-01-03 00:00:00', end: '2020-01-03 21:00:00', count: 8 }
+    ]);
+    expect(report.days).toEqual({
+      total: 4,
+      complete: 2,
+      incomplete: 1,
+      missing: 1,
+      completeness: 0.5,
+      incompleteDays: [{ date: '2020-01-01', readings: 6 }]
+    });
+  });
+
+  test('counts fill values and duplicates apart from missing steps', () => {
+    const timestamps = steps('2020-01-01').filter(timestamp => timestamp !== '2020-01-01T12:00:00');
+    const report = assessSeriesQuality({
+      ...series(timestamps),
+      fillTimes: [at('2020-01-01T12:00:00')],
+      duplicateTimes: [at('2020-01-01T15:00:00')]
+    });
+
+    expect(report.missing.count).toBe(0);
+    expect(report.fillValues.runs).toEqual([{ start: '2020-01-01 12:00:00', end: '2020-01-01 12:00:00', count: 1 }]);
+    expect(report.duplicates).toEqual({ count: 1, timestamps: ['2020-01-01 15:00:00'] });
+  });
+
+  test('counts readings off the 3-hourly grid', () => {
+    const report = assessSeriesQuality(series(steps('2020-01-01').concat('2020-01-01T22:30:00').sort()));
+
+    expect(report.offGridRecords).toBe(1);
+  });
+
+  test("flags readings beyond Tukey's far-out fences", () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 100];
+    const report = assessSeriesQuality(series(steps('2020-01-01'), (time, i) => values[i]));
+
+    expect(report.outliers.count).toBe(1);
+    expect(report.outliers.readings).toEqual([{ timestamp: '2020-01-01 21:00:00', value: 100 }]);
+  });
+
+  test('does not flag outliers in a constant series', () => {
+    const report = assessSeriesQuality(series(steps('2020-01-01'), () => 5));
+
+    expect(report.outliers).toMatchObject({ count: 0, lowerFence: null, upperFence: null });
+  });
+});
@@ -0,0 +1,317 @@
+const {
+  checkAdverseCondition,
+  normalQuantile,
+  wilsonInterval,
+  bootstrapInterval,
+  probabilityIntervals,
+  windowWeight,
+  weightedShare,
+  effectiveSampleSize,
+  thresholdPercentile,
+  weightedPercentile,
+  resolveThreshold,
+  fitGev,
+  fitGpd,
+  gevAnalysis,
+  gpdAnalysis
+} = require('./statisticalCalculations');
+
+describe('normalQuantile', () => {
+  test('inverts the standard normal CDF', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 9);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 6);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 6);
+  });
+});
+
+describe('wilsonInterval', () => {
+  test('matches the Wilson score interval', () => {
+    const { lower, upper } = wilsonInterval(7, 10);
+
+    expect(lower).toBeCloseTo(0.3968, 4);
+    expect(upper).toBeCloseTo(0.8922, 4);
+  });
+
+  test('is not degenerate at 0 or n successes', () => {
+    expect(wilsonInterval(0, 10).lower).toBe(0);
+    expect(wilsonInterval(0, 10).upper).toBeCloseTo(0.2775, 4);
+    expect(wilsonInterval(10, 10).lower).toBeCloseTo(0.7225, 4);
+    expect(wilsonInterval(10, 10).upper).toBe(1);
+  });
+
+  test('narrows with more values and widens with more confidence', () => {
+    const width = ({ lower, upper }) => upper - lower;
+
+    expect(width(wilsonInterval(70, 100))).toBeLessThan(width(wilsonInterval(7, 10)));
+    expect(width(wilsonInterval(7, 10, 0.99))).toBeGreaterThan(width(wilsonInterval(7, 10)));
+    expect(wilsonInterval(0, 0)).toEqual({ lower: 0, upper: 1 });
+  });
+});
+
+describe('bootstrapInterval', () => {
+  const outcomes = [true, false, true, true, false, false, true, false, true, true];
+
+  test('brackets the observed share', () => {
+    const { lower, upper, resamples } = bootstrapInterval(outcomes);
+
+    expect(resamples).toBe(2000);
+    expect(lower).toBeLessThan(0.6);
+    expect(upper).toBeGreaterThan(0.6);
+    expect(lower).toBeGreaterThanOrEqual(0);
+    expect(upper).toBeLessThanOrEqual(1);
+  });
+
+  test('is seeded from the sample, so the same sample gives the same interval', () => {
+    expect(bootstrapInterval(outcomes)).toEqual(bootstrapInterval(outcomes.slice()));
+  });
+
+  test('collapses when every outcome is the same', () => {
+    expect(bootstrapInterval(Array(10).fill(true))).toMatchObject({ lower: 1, upper: 1 });
+    expect(bootstrapInterval([])).toEqual({ lower: 0, upper: 1, resamples: 0 });
+  });
+
+  test('resamples whole groups together', () => {
+    // Each group is all true or all false, so every resample of the two groups is 0, 0.5 or 1
+    const grouped = bootstrapInterval([true, true, true, false, false, false], { groups: [1, 1, 1, 2, 2, 2] });
+
+    expect([0, 0.5, 1]).toContain(grouped.lower);
+    expect([0, 0.5, 1]).toContain(grouped.upper);
+  });
+});
+
+describe('probabilityIntervals', () => {
+  test('reports both intervals on the scale of the probability', () => {
+    const exceeds = [true, true, true, true, true, true, true, false, false, false];
+    const intervals = probabilityIntervals(exceeds, { scale: 100 });
+
+    expect(intervals).toMatchObject({ confidence: 0.95, scale: 100, sampleSize: 10, effectiveSampleSize: 10, exceedCount: 7 });
+    expect(intervals.wilson).toEqual({ lower: 39.6778, upper: 89.2209 });
+    expect(intervals.bootstrap.lower).toBeLessThan(70);
+    expect(intervals.bootstrap.upper).toBeGreaterThan(70);
+  });
+});
+
+describe('window weighting', () => {
+  test('weights days by their distance from the target day', () => {
+    expect(windowWeight(3, 3)).toBe(1);
+    expect(windowWeight(2, 3, 'triangular')).toBe(0.5);
+    expect(windowWeight(-3, 3, 'triangular')).toBe(0.25);
+    expect(windowWeight(0, 4, 'gaussian')).toBe(1);
+    expect(windowWeight(2, 4, 'gaussian')).toBeCloseTo(Math.exp(-0.5), 10);
+    expect(windowWeight(5, 0, 'gaussian')).toBe(1);
+  });
+
+  test('gives the weighted share of exceedances', () => {
+    expect(weightedShare([true, false, false, true])).toBe(0.5);
+    expect(weightedShare([true, false, false], [2, 1, 1])).toBe(0.5);
+    expect(weightedShare([])).toBe(0);
+  });
+});
+
+describe('effectiveSampleSize', () => {
+  // Five consecutive days (offsets -2..2) in each of three years
+  const groups = [2018, 2018, 2018, 2018, 2018, 2019, 2019, 2019, 2019, 2019, 2020, 2020, 2020, 2020, 2020];
+  const offsets = groups.map((group, i) => (i % 5) - 2);
+
+  test('counts every value without weights or groups', () => {
+    expect(effectiveSampleSize([3, 1, 4, 1, 5])).toEqual({
+      sampleSize: 5,
+      weightedSampleSize: 5,
+      autocorrelation: 0,
+      effectiveSampleSize: 5
+    });
+    expect(effectiveSampleSize([]).effectiveSampleSize).toBe(0);
+  });
+
+  test("uses Kish's (Σw)² / Σw² for weighted values", () => {
+    // (1 + 0.5 + 0.5)² / (1 + 0.25 + 0.25) = 2.67
+    expect(effectiveSampleSize([1, 2, 3], { weights: [1, 0.5, 0.5] }).effectiveSampleSize).toBe(2.7);
+  });
+
+  test('discounts autocorrelated days of the same year', () => {
+    const values = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5, 8, 9, 7, 9];
+    const result = effectiveSampleSize(values, { groups, offsets });
+
+    expect(result.autocorrelation).toBeCloseTo(0.327, 3);
+    expect(result.effectiveSampleSize).toBe(8.9);
+  });
+
+  test('counts each year at least once', () => {
+    // Constant within each year: the lag-1 autocorrelation is capped at 0.99
+    const values = groups.map(group => group - 2017);
+    const result = effectiveSampleSize(values, { groups, offsets });
+
+    expect(result.autocorrelation).toBe(0.99);
+    expect(result.effectiveSampleSize).toBe(3);
+  });
+});
+
+describe('checkAdverseCondition', () => {
+  test('counts cold variables at or below the threshold and the rest at or above it', () => {
+    expect(checkAdverseCondition(30, 30, 'max_temp')).toBe(true);
+    expect(checkAdverseCondition(29, 30, 'max_temp')).toBe(false);
+    expect(checkAdverseCondition(-5, -5, 'min_temp')).toBe(true);
+    expect(checkAdverseCondition(0, -5, 'min_temp')).toBe(false);
+    expect(() => checkAdverseCondition(1, 1, 'snow_depth')).toThrow('Unknown operator for variable: snow_depth');
+  });
+});
+
+describe('percentile thresholds', () => {
+  test('are recognised by their "p" prefix', () => {
+    expect(thresholdPercentile('p90')).toBe(90);
+    expect(thresholdPercentile('p97.5')).toBe(97.5);
+    expect(thresholdPercentile('p100')).toBeNull();
+    expect(thresholdPercentile(90)).toBeNull();
+  });
+
+  test('interpolate between Hazen plotting positions', () => {
+    const values = [5, 1, 4, 2, 3];
+
+    expect(weightedPercentile(values, 50)).toBe(3);
+    // Positions 0.1, 0.3, ..., 0.9
+    expect(weightedPercentile(values, 20)).toBe(1.5);
+    expect(weightedPercentile(values, 5)).toBe(1);
+    expect(weightedPercentile(values, 99)).toBe(5);
+    expect(weightedPercentile([], 50)).toBeNaN();
+  });
+
+  test('give each value its share of the weight', () => {
+    // 1 holds three quarters of the weight, so the midpoints are at 0.375 and 0.875
+    expect(weightedPercentile([1, 2], 25, [3, 1])).toBe(1);
+    expect(weightedPercentile([1, 2], 62.5, [3, 1])).toBe(1.5);
+    expect(weightedPercentile([1, 2, 100], 90, [1, 1, 0])).toBe(2);
+  });
+
+  test('are resolved from the climatology only when asked for', () => {
+    const climatology = jest.fn(() => ({ values: [5, 1, 4, 2, 3], weights: null }));
+
+    expect(resolveThreshold(8, climatology)).toEqual({ threshold: 8, thresholdPercentile: undefined });
+    expect(climatology).not.toHaveBeenCalled();
+    expect(resolveThreshold('p20', climatology)).toEqual({
+      threshold: 1.5,
+      thresholdPercentile: { requested: 'p20', percentile: 20, sampleSize: 5 }
+    });
+  });
+});
+
+// Samples at the plotting positions (i - 0.35) / n of a known distribution, so a fit should recover it
+const plottingPositions = (n, quantile) => Array.from({ length: n }, (_, i) => quantile((i + 1 - 0.35) / n));
+const gevQuantile = ({ location, scale, shape }) => p => location + scale / shape * (Math.pow(-Math.log(p), -shape) - 1);
+const gpdQuantile = ({ scale, shape }) => p => scale / shape * (Math.pow(1 - p, -shape) - 1);
+
+describe('fitGev', () => {
+  test('recovers the parameters of a GEV sample by L-moments', () => {
+    const fit = fitGev(plottingPositions(200, gevQuantile({ location: 30, scale: 5, shape: 0.1 })));
+
+    expect(fit.location).toBeCloseTo(30, 1);
+    expect(fit.scale).toBeCloseTo(5, 1);
+    expect(fit.shape).toBeCloseTo(0.1, 1);
+  });
+
+  test('finds a near-zero shape for a Gumbel sample', () => {
+    const fit = fitGev(plottingPositions(200, p => 30 - 5 * Math.log(-Math.log(p))));
+
+    expect(Math.abs(fit.shape)).toBeLessThan(0.01);
+    expect(fit.scale).toBeCloseTo(5, 1);
+  });
+
+  test('needs at least five varying maxima', () => {
+    expect(fitGev([1, 2, 3, 4])).toBeNull();
+    expect(fitGev([7, 7, 7, 7, 7, 7])).toBeNull();
+  });
+});
+
+describe('fitGpd', () => {
+  test('recovers the parameters of threshold excesses by L-moments', () => {
+    const fit = fitGpd(plottingPositions(200, gpdQuantile({ scale: 2, shape: 0.2 })));
+
+    expect(fit.scale).toBeCloseTo(2, 1);
+    expect(fit.shape).toBeCloseTo(0.2, 1);
+  });
+
+  test('needs at least ten excesses', () => {
+    expect(fitGpd([1, 2, 3, 4, 5, 6, 7, 8, 9])).toBeNull();
+  });
+});
+
+describe('gevAnalysis', () => {
+  const maxima = plottingPositions(20, gevQuantile({ location: 30, scale: 5, shape: 0.1 }));
+  const analysis = gevAnalysis(maxima, { threshold: 50, resamples: 200 });
+
+  test('gives return levels that grow with the period, inside their bounds', () => {
+    expect(analysis.returnLevels.map(level => level.period)).toEqual([2, 5, 10, 25, 50, 100]);
+    analysis.returnLevels.forEach((level, i) => {
+      expect(level.lower).toBeLessThan(level.value);
+      expect(level.upper).toBeGreaterThan(level.value);
+      if (i > 0) expect(level.value).toBeGreaterThan(analysis.returnLevels[i - 1].value);
+    });
+    // The 2-year level is the median annual maximum
+    expect(analysis.returnLevels[0].value).toBeCloseTo(31.8, 1);
+  });
+
+  test('gives the return period of a threshold between those of the levels around it', () => {
+    const { returnPeriod } = analysis.threshold;
+
+    expect(analysis.threshold.threshold).toBe(50);
+    expect(returnPeriod).toBeGreaterThan(10);
+    expect(returnPeriod).toBeLessThan(50);
+  });
+
+  test('mirrors the upper tail for annual minima', () => {
+    const lower = gevAnalysis(maxima.map(value => -value), { tail: 'lower', threshold: -50, resamples: 200 });
+
+    expect(lower.returnLevels[2]).toEqual({
+      period: 10,
+      value: -analysis.returnLevels[2].value,
+      lower: -analysis.returnLevels[2].upper,
+      upper: -analysis.returnLevels[2].lower
+    });
+    expect(lower.threshold.returnPeriod).toBe(analysis.threshold.returnPeriod);
+  });
+
+  test('repeats the same bounds for the same sample', () => {
+    expect(gevAnalysis(maxima, { threshold: 50, resamples: 200 })).toEqual(analysis);
+  });
+});
+
+describe('gpdAnalysis', () => {
+  // Twelve two-day events above 10, each peaking at a GPD excess, over 24 years
+  const excesses = plottingPositions(12, gpdQuantile({ scale: 2, shape: 0.2 }));
+  const daily = excesses.flatMap((excess, k) => [
+    { day: 30 * k, value: 10 + excess / 2 },
+    { day: 30 * k + 1, value: 10 + excess },
+    { day: 30 * k + 2, value: 3 }
+  ]);
+  const options = { years: 24, peaksThreshold: 10, resamples: 200 };
+
+  test('declusters consecutive exceedances into one peak per event', () => {
+    expect(gpdAnalysis(daily, options).fit).toMatchObject({ peaksThreshold: 10, runDays: 1, peaks: 12, peaksPerYear: 0.5 });
+    expect(gpdAnalysis(daily, { ...options, runDays: 0 }).fit.peaks).toBe(24);
+  });
+
+  test('has no return level for periods shorter than the peaks recur', () => {
+    const { returnLevels, threshold } = gpdAnalysis(daily, { ...options, returnPeriods: [1, 10], threshold: 20 });
+
+    expect(returnLevels[0]).toEqual({ period: 1, value: null, lower: null, upper: null });
+    expect(returnLevels[1].value).toBeGreaterThan(10);
+    expect(returnLevels[1].lower).toBeLessThan(returnLevels[1].value);
+    expect(threshold.returnPeriod).toBeGreaterThan(10);
+  });
+
+  test('mirrors the upper tail for values below the threshold', () => {
+    const upper = gpdAnalysis(daily, { ...options, returnPeriods: [10] });
+    const lower = gpdAnalysis(daily.map(d => ({ day: d.day, value: -d.value })), {
+      ...options,
+      tail: 'lower',
+      peaksThreshold: -10,
+      returnPeriods: [10]
+    });
+
+    expect(lower.fit.peaksThreshold).toBe(-10);
+    expect(lower.returnLevels[0].value).toBe(-upper.returnLevels[0].value);
+  });
+
+  test('is null with too few peaks', () => {
+    expect(gpdAnalysis(daily.slice(0, 6), { years: 2, peaksThreshold: 10 })).toBeNull();
+  });
+});
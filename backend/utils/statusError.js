@@ -0,0 +1,16 @@
+/**
+ * Status Error
+ * Errors carrying the HTTP status a route should answer with, and optionally
+ * the `error` title of the response body
+ */
+
+function statusError(status, message, title) {
+  const error = new Error(message);
+  error.status = status;
+  if (title) error.title = title;
+  return error;
+}
+
+module.exports = {
+  statusError
+};
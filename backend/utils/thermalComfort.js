@@ -0,0 +1,72 @@
+/**
+ * Thermal Comfort
+ * How hot or cold the air feels, from temperature (°C), relative humidity (%),
+ * vapour pressure (Pa) and wind speed (m/s). Every function returns °C.
+ */
+
+const toFahrenheit = c => c * 9 / 5 + 32;
+const toCelsius = f => (f - 32) * 5 / 9;
+
+/**
+ * NWS heat index: Steadman's simple formula, switching to the Rothfusz
+ * regression (with its low- and high-humidity adjustments) from about 80 °F
+ */
+function heatIndex(temperature, relativeHumidity) {
+  const t = toFahrenheit(temperature);
+  const rh = relativeHumidity;
+
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((simple + t) / 2 < 80) {
+    return toCelsius(simple);
+  }
+
+  let hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+    - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+    + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+  if (rh < 13 && t >= 80 && t <= 112) {
+    hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t >= 80 && t <= 87) {
+    hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+
+  return toCelsius(hi);
+}
+
+/**
+ * NWS / Environment Canada wind chill (2001). Only defined at or below 10 °C
+ * with wind above 4.8 km/h; otherwise the air temperature itself.
+ */
+function windChill(temperature, windSpeed) {
+  const kmh = windSpeed * 3.6;
+  if (temperature > 10 || kmh <= 4.8) {
+    return temperature;
+  }
+
+  const v = Math.pow(kmh, 0.16);
+  return 13.12 + 0.6215 * temperature - 11.37 * v + 0.3965 * temperature * v;
+}
+
+/**
+ * Steadman's apparent temperature in the shade, as used by the Australian
+ * Bureau of Meteorology: temperature adjusted for humidity and wind
+ */
+function apparentTemperature(temperature, vaporPressure, windSpeed) {
+  return temperature + 0.33 * (vaporPressure / 100) - 0.70 * windSpeed - 4.00;
+}
+
+// NWS heat index risk bands
+function heatIndexCategory(value) {
+  if (value >= 54) return 'Extreme Danger';
+  if (value >= 41) return 'Danger';
+  if (value >= 32) return 'Extreme Caution';
+  if (value >= 27) return 'Caution';
+  return 'Comfortable';
+}
+
+module.exports = {
+  heatIndex,
+  windChill,
+  apparentTemperature,
+  heatIndexCategory
+};
@@ -0,0 +1,63 @@
+const { heatIndex, windChill, apparentTemperature, heatIndexCategory } = require('./thermalComfort');
+
+const toCelsius = f => (f - 32) * 5 / 9;
+const toFahrenheit = c => c * 9 / 5 + 32;
+const MPH = 0.44704; // m/s
+const KMH = 1 / 3.6; // m/s
+
+describe('thermalComfort', () => {
+  describe('heatIndex', () => {
+    test('uses the Rothfusz regression from about 80 °F (NWS heat index table)', () => {
+      expect(toFahrenheit(heatIndex(toCelsius(90), 70))).toBeCloseTo(105.92, 2);
+      expect(toFahrenheit(heatIndex(toCelsius(96), 65))).toBeCloseTo(121.03, 2);
+    });
+
+    test('subtracts the low-humidity adjustment below 13 %', () => {
+      // Regression 94.75 °F, minus (13 - 10) / 4 * sqrt((17 - |100 - 95|) / 17)
+      expect(toFahrenheit(heatIndex(toCelsius(100), 10))).toBeCloseTo(94.12, 2);
+    });
+
+    test('adds the high-humidity adjustment above 85 % between 80 and 87 °F', () => {
+      // Regression 91.49 °F, plus (90 - 85) / 10 * (87 - 82) / 5
+      expect(toFahrenheit(heatIndex(toCelsius(82), 90))).toBeCloseTo(91.99, 2);
+    });
+
+    test("keeps Steadman's simple formula in mild air", () => {
+      expect(toFahrenheit(heatIndex(toCelsius(70), 50))).toBeCloseTo(69.05, 2);
+    });
+
+    test('falls into the NWS risk bands', () => {
+      expect(heatIndexCategory(heatIndex(toCelsius(70), 50))).toBe('Comfortable');
+      expect(heatIndexCategory(heatIndex(toCelsius(90), 70))).toBe('Danger');
+      expect(heatIndexCategory(heatIndex(toCelsius(96), 65))).toBe('Danger');
+      expect(heatIndexCategory(heatIndex(toCelsius(100), 80))).toBe('Extreme Danger');
+    });
+  });
+
+  describe('windChill', () => {
+    test('matches the Environment Canada and NWS wind chill tables', () => {
+      expect(windChill(-10, 20 * KMH)).toBeCloseTo(-17.86, 2);
+      expect(windChill(-20, 30 * KMH)).toBeCloseTo(-32.57, 2);
+      expect(toFahrenheit(windChill(toCelsius(0), 15 * MPH))).toBeCloseTo(-19.45, 2);
+    });
+
+    test('is the air temperature above 10 °C or in wind of 4.8 km/h or less', () => {
+      expect(windChill(10.1, 10)).toBe(10.1);
+      expect(windChill(-5, 4.8 * KMH)).toBe(-5);
+      expect(windChill(10, 10)).toBeLessThan(10);
+      expect(windChill(-5, 4.9 * KMH)).toBeLessThan(-5);
+    });
+  });
+
+  describe('apparentTemperature', () => {
+    test('follows the Bureau of Meteorology formula with vapour pressure in hPa', () => {
+      // 30 + 0.33 * 20 hPa - 0.70 * 2 m/s - 4
+      expect(apparentTemperature(30, 2000, 2)).toBeCloseTo(31.2, 6);
+      expect(apparentTemperature(20, 1000, 0)).toBeCloseTo(19.3, 6);
+    });
+
+    test('falls by 0.7 °C for every m/s of wind', () => {
+      expect(apparentTemperature(20, 1000, 5) - apparentTemperature(20, 1000, 0)).toBeCloseTo(-3.5, 6);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Time Zones
+ * Local calendar days for daily aggregation. Giovanni timestamps are UTC, so a
+ * "day" has to be re-bucketed in the zone of the place being analysed, or a US
+ * afternoon is split across two dates.
+ *
+ * Zones are IANA names (America/Chicago). When a request does not name one, it
+ * is looked up from the location name, or approximated from the longitude with a
+ * fixed-offset Etc/GMT zone.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Zones of the cities the app knows by name (city list and geocoder)
+const LOCATION_TIME_ZONES = {
+  'new york': 'America/New_York',
+  'boston': 'America/New_York',
+  'philadelphia': 'America/New_York',
+  'atlanta': 'America/New_York',
+  'miami': 'America/New_York',
+  'chicago': 'America/Chicago',
+  'houston': 'America/Chicago',
+  'dallas': 'America/Chicago',
+  'san antonio': 'America/Chicago',
+  'kansas city': 'America/Chicago',
+  'minneapolis': 'America/Chicago',
+  'denver': 'America/Denver',
+  'phoenix': 'America/Phoenix',
+  'los angeles': 'America/Los_Angeles',
+  'san diego': 'America/Los_Angeles',
+  'san jose': 'America/Los_Angeles',
+  'seattle': 'America/Los_Angeles',
+  'london': 'Europe/London',
+  'paris': 'Europe/Paris',
+  'berlin': 'Europe/Berlin',
+  'tokyo': 'Asia/Tokyo',
+  'sydney': 'Australia/Sydney'
+};
+
+const formatters = new Map(); // zone -> Intl.DateTimeFormat
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a zone
+function localParts(time, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(time).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+}
+
+// Offset of the zone from UTC at an instant, in ms (New York in winter: -5 h)
+function zoneOffsetMs(time, timeZone) {
+  if (timeZone === DEFAULT_TIME_ZONE) return 0;
+
+  const { year, month, day, hour, minute, second } = localParts(time, timeZone);
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+// YYYY-MM-DD of an instant in a zone
+function localDate(time, timeZone) {
+  return new Date(time + zoneOffsetMs(time, timeZone)).toISOString().slice(0, 10);
+}
+
+// HH:MM:SS of an instant in a zone
+function localTime(time, timeZone) {
+  return new Date(time + zoneOffsetMs(time, timeZone)).toISOString().slice(11, 19);
+}
+
+// First instant of a local calendar day; the second pass corrects for a DST change since UTC midnight
+function localMidnight(date, timeZone) {
+  const midnight = Date.parse(`${date}T00:00:00Z`);
+  const guess = midnight - zoneOffsetMs(midnight, timeZone);
+  return midnight - zoneOffsetMs(guess, timeZone);
+}
+
+/**
+ * [start, end) epoch ms of a local calendar day. DST days are 23 or 25 hours long.
+ */
+function localDayBounds(date, timeZone) {
+  const next = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+  return { start: localMidnight(date, timeZone), end: localMidnight(next, timeZone) };
+}
+
+// Fixed-offset zone nearest to a longitude. Etc/GMT signs are inverted: Etc/GMT+5 is UTC-5
+function longitudeTimeZone(longitude) {
+  const hours = Math.round(longitude / 15);
+  if (hours === 0) return 'Etc/GMT';
+  return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+// Zone for a known city; "Chicago, IL" and "chicago" both match
+function locationTimeZone(location) {
+  if (!location) return null;
+  const city = location.split(',')[0].toLowerCase().trim();
+  return LOCATION_TIME_ZONES[city] || null;
+}
+
+/**
+ * Pick the zone for a request: an explicit IANA `timeZone`, else the zone of the
+ * named location, else one approximated from `longitude`, else UTC. Returns
+ * { timeZone, source } with source 'request', 'location', 'longitude' or 'default'.
+ */
+function resolveTimeZone({ timeZone, location, longitude } = {}) {
+  if (timeZone) {
+    return { timeZone, source: 'request' };
+  }
+
+  const named = locationTimeZone(location);
+  if (named) {
+    return { timeZone: named, source: 'location' };
+  }
+
+  if (typeof longitude === 'number' && Number.isFinite(longitude)) {
+    return { timeZone: longitudeTimeZone(longitude), source: 'longitude' };
+  }
+
+  return { timeZone: DEFAULT_TIME_ZONE, source: 'default' };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  LOCATION_TIME_ZONES,
+  isValidTimeZone,
+  zoneOffsetMs,
+  localDate,
+  localTime,
+  localDayBounds,
+  longitudeTimeZone,
+  locationTimeZone,
+  resolveTimeZone
+};
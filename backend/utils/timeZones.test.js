@@ -0,0 +1,73 @@
+const {
+  isValidTimeZone,
+  zoneOffsetMs,
+  localDate,
+  localTime,
+  localDayBounds,
+  longitudeTimeZone,
+  locationTimeZone,
+  resolveTimeZone
+} = require('./timeZones');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA zone names only', () => {
+    expect(isValidTimeZone('America/Chicago')).toBe(true);
+    expect(isValidTimeZone('Etc/GMT+5')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
+
+describe('local days', () => {
+  const afternoon = Date.parse('2020-07-04T02:00:00Z'); // 21:00 on 3 July in Chicago
+
+  test('convert an instant to the local date and time', () => {
+    expect(zoneOffsetMs(afternoon, 'America/Chicago')).toBe(-5 * HOUR_MS);
+    expect(localDate(afternoon, 'America/Chicago')).toBe('2020-07-03');
+    expect(localTime(afternoon, 'America/Chicago')).toBe('21:00:00');
+    expect(localDate(afternoon, 'UTC')).toBe('2020-07-04');
+  });
+
+  test('span 24 hours from local midnight', () => {
+    expect(localDayBounds('2020-01-15', 'America/New_York')).toEqual({
+      start: Date.parse('2020-01-15T05:00:00Z'),
+      end: Date.parse('2020-01-16T05:00:00Z')
+    });
+  });
+
+  test('are 23 or 25 hours long across a DST change', () => {
+    const spring = localDayBounds('2020-03-08', 'America/New_York');
+    const autumn = localDayBounds('2020-11-01', 'America/New_York');
+
+    expect(spring.start).toBe(Date.parse('2020-03-08T05:00:00Z'));
+    expect(spring.end - spring.start).toBe(23 * HOUR_MS);
+    expect(autumn.end - autumn.start).toBe(25 * HOUR_MS);
+  });
+});
+
+describe('resolveTimeZone', () => {
+  test('prefers an explicit zone, then the location, then the longitude', () => {
+    expect(resolveTimeZone({ timeZone: 'Europe/Paris', location: 'Chicago' }))
+      .toEqual({ timeZone: 'Europe/Paris', source: 'request' });
+    expect(resolveTimeZone({ location: 'Chicago, IL', longitude: -120 }))
+      .toEqual({ timeZone: 'America/Chicago', source: 'location' });
+    expect(resolveTimeZone({ location: 'Springfield', longitude: -89.65 }))
+      .toEqual({ timeZone: 'Etc/GMT+6', source: 'longitude' });
+    expect(resolveTimeZone({})).toEqual({ timeZone: 'UTC', source: 'default' });
+  });
+
+  test('approximates a zone from the longitude with inverted Etc/GMT signs', () => {
+    expect(longitudeTimeZone(0)).toBe('Etc/GMT');
+    expect(longitudeTimeZone(-74)).toBe('Etc/GMT+5');
+    expect(longitudeTimeZone(139.7)).toBe('Etc/GMT-9');
+  });
+
+  test('looks known cities up case-insensitively', () => {
+    expect(locationTimeZone('new york')).toBe('America/New_York');
+    expect(locationTimeZone('Atlantis')).toBeNull();
+    expect(locationTimeZone(null)).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Trend tests for yearly series: Mann-Kendall with the Hamed & Rao (1998)
+ * autocorrelation correction, and Sen's slope. Labels come from the test's
+ * significance, not from fixed cutoffs on the slope.
+ */
+
+const DEFAULT_ALPHA = 0.05;
+const MIN_TREND_POINTS = 5;
+const Z_95 = 1.959963984540054; // Two-sided 5% bound for the significance of an autocorrelation
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Average ranks (1-based), ties sharing the mean of their positions
+function ranks(values) {
+  const order = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) result[order[k].i] = rank;
+    start = end + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Sen's slope: the median of the slopes between every pair of points with
+ * different `x`, and the median intercept that goes with it.
+ */
+function senSlope(points) {
+  const slopes = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      if (points[j].x !== points[i].x) {
+        slopes.push((points[j].y - points[i].y) / (points[j].x - points[i].x));
+      }
+    }
+  }
+
+  const slope = slopes.length ? median(slopes) : 0;
+  return { slope, intercept: median(points.map(p => p.y - slope * p.x)) };
+}
+
+/**
+ * Hamed & Rao variance inflation n/n* from the lag autocorrelations of the
+ * ranks of the Sen-detrended series, keeping only the significant lags
+ */
+function autocorrelationCorrection(points, slope) {
+  const n = points.length;
+  const r = ranks(points.map(p => p.y - slope * p.x));
+  const mean = r.reduce((sum, v) => sum + v, 0) / n;
+  const variance = r.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0);
+  if (variance === 0) return 1;
+
+  let sum = 0;
+  for (let k = 1; k < n - 2; k++) {
+    let covariance = 0;
+    for (let i = 0; i < n - k; i++) covariance += (r[i] - mean) * (r[i + k] - mean);
+    const rho = covariance / variance;
+
+    if (Math.abs(rho) > Z_95 / Math.sqrt(n)) {
+      sum += (n - k) * (n - k - 1) * (n - k - 2) * rho;
+    }
+  }
+
+  // A strongly negative sum would make the variance vanish; never shrink it below a tenth
+  return Math.max(0.1, 1 + 2 * sum / (n * (n - 1) * (n - 2)));
+}
+
+/**
+ * Mann-Kendall test on `points` ({ x, y }, e.g. one per year), two-sided at
+ * level `alpha`, with the tie-corrected variance of S inflated for serial
+ * correlation unless `correctAutocorrelation` is false. `trend` is
+ * 'increasing' or 'decreasing' only when significant, else 'stable'; with
+ * fewer than MIN_TREND_POINTS points it is 'insufficient data'.
+ */
+function mannKendall(points, { alpha = DEFAULT_ALPHA, correctAutocorrelation = true } = {}) {
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+  const n = sorted.length;
+
+  if (n < MIN_TREND_POINTS) {
+    return { n, trend: 'insufficient data', significant: false, pValue: null, slope: null };
+  }
+
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(sorted[j].y - sorted[i].y);
+    }
+  }
+
+  const tieCounts = new Map();
+  sorted.forEach(p => tieCounts.set(p.y, (tieCounts.get(p.y) || 0) + 1));
+  const tieTerm = Array.from(tieCounts.values()).reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0);
+  const { slope, intercept } = senSlope(sorted);
+  const correction = correctAutocorrelation ? autocorrelationCorrection(sorted, slope) : 1;
+  const variance = ((n * (n - 1) * (2 * n + 5) - tieTerm) / 18) * correction;
+
+  // Continuity-corrected normal score
+  let z = 0;
+  if (variance > 0 && s !== 0) {
+    z = (s - Math.sign(s)) / Math.sqrt(variance);
+  }
+  const pValue = variance > 0 ? 2 * (1 - normalCdf(Math.abs(z))) : 1;
+  const significant = pValue < alpha;
+
+  return {
+    n,
+    s,
+    variance: Math.round(variance * 1000) / 1000,
+    autocorrelationCorrection: Math.round(correction * 1000) / 1000,
+    z: Math.round(z * 1000) / 1000,
+    pValue: Math.round(pValue * 10000) / 10000,
+    tau: Math.round((s / (n * (n - 1) / 2)) * 1000) / 1000,
+    slope,
+    intercept,
+    alpha,
+    significant,
+    trend: significant ? (s > 0 ? 'increasing' : 'decreasing') : 'stable'
+  };
+}
+
+/**
+ * One point per year: the (weighted) mean of the values of that year, so a
+ * ±window sample is tested the same way as one day per year
+ */
+function yearlyPoints(years, values, weights) {
+  const byYear = new Map();
+
+  years.forEach((year, i) => {
+    const entry = byYear.get(year) || { total: 0, weight: 0 };
+    const weight = weights ? weights[i] : 1;
+    entry.total += values[i] * weight;
+    entry.weight += weight;
+    byYear.set(year, entry);
+  });
+
+  return Array.from(byYear.entries())
+    .filter(([, entry]) => entry.weight > 0)
+    .map(([year, entry]) => ({ x: year, y: entry.total / entry.weight }));
+}
+
+/**
+ * Mann-Kendall tests of the yearly value and of the yearly exceedance
+ * indicator (the share of a year's days over the threshold, for a window),
+ * and `change`: how far the Sen's slope line of the exceedance probability,
+ * kept within [0, 1], moves from the first year to the last, in percentage points.
+ */
+function trendTests(years, values, exceeds, { weights, alpha } = {}) {
+  const value = mannKendall(yearlyPoints(years, values, weights), { alpha });
+  const exceedance = mannKendall(yearlyPoints(years, exceeds.map(Number), weights), { alpha });
+  let change = 0;
+  if (exceedance.slope !== null) {
+    const fitted = year => Math.min(1, Math.max(0, exceedance.intercept + exceedance.slope * year));
+    change = Math.round((fitted(Math.max(...years)) - fitted(Math.min(...years))) * 100 * 100) / 100;
+  }
+
+  return { value, exceedance, change };
+}
+
+// One or two sentences on trendTests() results; `unit` is that of the values
+function describeTrends({ value, exceedance, change }, unit = '') {
+  if (exceedance.pValue === null) {
+    return 'Insufficient data for trend analysis';
+  }
+
+  const years = `${exceedance.n} years`;
+  const exceedanceText = exceedance.significant
+    ? `Exceedances have become ${exceedance.trend === 'increasing' ? 'more' : 'less'} frequent over ${years}: about ${change > 0 ? '+' : ''}${change.toFixed(1)} percentage points (Mann-Kendall p = ${exceedance.pValue}).`
+    : `No statistically significant trend in exceedances over ${years} (Mann-Kendall p = ${exceedance.pValue}).`;
+
+  // Two significant digits, so kg/kg humidities do not round to zero
+  const perDecade = `${value.slope > 0 ? '+' : ''}${Number((value.slope * 10).toPrecision(2))}${unit ? ` ${unit}` : ''} per decade`;
+  const valueText = value.significant
+    ? `The values themselves are ${value.trend} by ${perDecade} (Sen's slope, p = ${value.pValue}).`
+    : `The values themselves show no significant trend (Sen's slope ${perDecade}, p = ${value.pValue}).`;
+
+  return `${exceedanceText} ${valueText}`;
+}
+
+module.exports = {
+  mannKendall,
+  senSlope,
+  yearlyPoints,
+  trendTests,
+  describeTrends,
+  normalCdf,
+  MIN_TREND_POINTS,
+  DEFAULT_ALPHA
+};
@@ -0,0 +1,106 @@
+const { mannKendall, senSlope, yearlyPoints, trendTests, describeTrends, normalCdf } = require('./trendAnalysis');
+
+const YEARS = Array.from({ length: 10 }, (_, i) => 2015 + i);
+
+describe('normalCdf', () => {
+  test('matches the standard normal distribution', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 7);
+    expect(normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+    expect(normalCdf(-1)).toBeCloseTo(0.158655, 6);
+  });
+});
+
+describe('senSlope', () => {
+  test('is the median pairwise slope, so one outlier does not move it', () => {
+    const points = [1, 3, 5, 7, 100].map((y, x) => ({ x, y }));
+
+    expect(senSlope(points)).toEqual({ slope: 2, intercept: 1 });
+  });
+});
+
+describe('mannKendall', () => {
+  test('finds a significant trend in a monotonic series', () => {
+    const result = mannKendall(YEARS.map((x, i) => ({ x, y: i + 1 })));
+
+    expect(result).toMatchObject({
+      n: 10,
+      s: 45,
+      variance: 125, // n(n - 1)(2n + 5) / 18
+      z: 3.935,
+      pValue: 0.0001,
+      tau: 1,
+      slope: 1,
+      significant: true,
+      trend: 'increasing'
+    });
+    expect(mannKendall(YEARS.map((x, i) => ({ x, y: -i }))).trend).toBe('decreasing');
+  });
+
+  test('corrects the variance of S for ties', () => {
+    const result = mannKendall([1, 1, 2, 2, 3].map((y, x) => ({ x, y })));
+
+    // (5 · 4 · 15 - 2 · (2 · 1 · 9)) / 18
+    expect(result).toMatchObject({ s: 8, variance: 14.667, pValue: 0.0676, significant: false, trend: 'stable' });
+  });
+
+  test('inflates or deflates the variance for serial correlation (Hamed & Rao)', () => {
+    const wave = [1, 2, 3, 4, 5, 5, 4, 3, 2, 1, 1, 2, 3, 4, 5, 5, 4, 3, 2, 1];
+    const points = wave.map((y, x) => ({ x, y: y + 0.3 * x }));
+    const corrected = mannKendall(points);
+    const uncorrected = mannKendall(points, { correctAutocorrelation: false });
+
+    expect(uncorrected.variance).toBe(950);
+    expect(uncorrected.autocorrelationCorrection).toBe(1);
+    expect(corrected.autocorrelationCorrection).toBeCloseTo(0.874, 3);
+    expect(corrected.variance).toBeCloseTo(950 * corrected.autocorrelationCorrection, 0);
+    expect(corrected.s).toBe(uncorrected.s);
+  });
+
+  test('labels a trend only when it is significant at alpha', () => {
+    const points = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3].map((y, i) => ({ x: YEARS[i], y }));
+
+    expect(mannKendall(points).trend).toBe('stable');
+    expect(mannKendall(points, { alpha: 0.5 }).significant).toBe(true);
+  });
+
+  test('needs at least five points', () => {
+    expect(mannKendall([1, 2, 3, 4].map((y, x) => ({ x, y })))).toEqual({
+      n: 4,
+      trend: 'insufficient data',
+      significant: false,
+      pValue: null,
+      slope: null
+    });
+  });
+});
+
+describe('yearlyPoints', () => {
+  test('averages the (weighted) values of each year', () => {
+    expect(yearlyPoints([2020, 2020, 2021], [1, 4, 5], [2, 1, 1])).toEqual([
+      { x: 2020, y: 2 },
+      { x: 2021, y: 5 }
+    ]);
+  });
+});
+
+describe('trendTests', () => {
+  const values = YEARS.map((year, i) => 10 + i);
+  const exceeds = YEARS.map((year, i) => i >= 5);
+
+  test('tests the values and the exceedances, and the change in exceedance probability', () => {
+    const result = trendTests(YEARS, values, exceeds);
+
+    expect(result.value.trend).toBe('increasing');
+    expect(result.exceedance).toMatchObject({ s: 25, pValue: 0.0122, slope: 0.125, trend: 'increasing' });
+    // The Sen's slope line runs from below 0 to above 1 and is clamped to the whole range
+    expect(result.change).toBe(100);
+  });
+
+  test('describes the results in words', () => {
+    expect(describeTrends(trendTests(YEARS, values, exceeds), 'mm')).toBe(
+      'Exceedances have become more frequent over 10 years: about +100.0 percentage points (Mann-Kendall p = 0.0122). ' +
+      "The values themselves are increasing by +10 mm per decade (Sen's slope, p = 0.0001)."
+    );
+    expect(describeTrends(trendTests([2020, 2021], [1, 2], [true, false]))).toBe('Insufficient data for trend analysis');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Units
+ * Metric/imperial presentation of dataset values. Series are stored and analysed
+ * in the metric units of datasets.js; a request with `units=imperial` gets every
+ * value, and gives every threshold, in the imperial counterpart (°F, inches, mph).
+ * Units without a counterpart (kg/kg, %, W/m²) are the same in both systems.
+ */
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+const MM_PER_INCH = 25.4;
+const MPH_PER_MPS = 3600 / 1609.344;
+const PA_PER_INHG = 3386.389;
+
+// Metric unit -> imperial unit and the conversions both ways
+const IMPERIAL_UNITS = {
+  '°C': { unit: '°F', toImperial: v => v * 9 / 5 + 32, toMetric: v => (v - 32) * 5 / 9 },
+  K: { unit: '°F', toImperial: v => (v - 273.15) * 9 / 5 + 32, toMetric: v => (v - 32) * 5 / 9 + 273.15 },
+  mm: { unit: 'in', toImperial: v => v / MM_PER_INCH, toMetric: v => v * MM_PER_INCH },
+  'mm/day': { unit: 'in/day', toImperial: v => v / MM_PER_INCH, toMetric: v => v * MM_PER_INCH },
+  'mm/hour': { unit: 'in/hour', toImperial: v => v / MM_PER_INCH, toMetric: v => v * MM_PER_INCH },
+  'm/s': { unit: 'mph', toImperial: v => v * MPH_PER_MPS, toMetric: v => v / MPH_PER_MPS },
+  Pa: { unit: 'inHg', toImperial: v => v / PA_PER_INHG, toMetric: v => v * PA_PER_INHG }
+};
+
+function conversionFor(unit, system) {
+  return system === 'imperial' ? IMPERIAL_UNITS[unit] || null : null;
+}
+
+// Label of a metric unit in a unit system
+function unitIn(unit, system = DEFAULT_UNIT_SYSTEM) {
+  const conversion = conversionFor(unit, system);
+  return conversion ? conversion.unit : unit;
+}
+
+// Metric value -> value in the unit system; null and NaN pass through
+function toUnitSystem(value, unit, system = DEFAULT_UNIT_SYSTEM) {
+  const conversion = conversionFor(unit, system);
+  return conversion && typeof value === 'number' ? conversion.toImperial(value) : value;
+}
+
+// Value given in the unit system (e.g. a threshold) -> metric value
+function fromUnitSystem(value, unit, system = DEFAULT_UNIT_SYSTEM) {
+  const conversion = conversionFor(unit, system);
+  return conversion && typeof value === 'number' ? conversion.toMetric(value) : value;
+}
+
+/**
+ * Copy of a daily record with its values in the unit system. `value` is in the
+ * daily unit; mean/max/min and the individual readings are in the reading unit.
+ */
+function convertDay(day, system = DEFAULT_UNIT_SYSTEM) {
+  if (!day || system === DEFAULT_UNIT_SYSTEM) return day;
+
+  const { unit, readingUnit } = day;
+  const reading = r => ({ ...r, value: toUnitSystem(r.value, readingUnit, system) });
+  const converted = {
+    ...day,
+    value: toUnitSystem(day.value, unit, system),
+    mean: toUnitSystem(day.mean, readingUnit, system),
+    max: toUnitSystem(day.max, readingUnit, system),
+    min: toUnitSystem(day.min, readingUnit, system),
+    unit: unitIn(unit, system),
+    readingUnit: unitIn(readingUnit, system),
+    raw_readings: day.raw_readings.map(reading)
+  };
+
+  if (day.imputed) {
+    converted.imputed = day.imputed.map(reading);
+  }
+
+  return converted;
+}
+
+// Copy of getMonthlyStatistics() output with its values in the unit system
+function convertMonthlyStatistics(stats, system = DEFAULT_UNIT_SYSTEM) {
+  if (!stats || system === DEFAULT_UNIT_SYSTEM) return stats;
+
+  const { unit } = stats;
+  const converted = {
+    ...stats,
+    average: toUnitSystem(stats.average, unit, system),
+    max: toUnitSystem(stats.max, unit, system),
+    min: toUnitSystem(stats.min, unit, system),
+    unit: unitIn(unit, system)
+  };
+
+  if (stats.total !== undefined) {
+    converted.total = toUnitSystem(stats.total, unit, system);
+  }
+
+  return converted;
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_SYSTEM,
+  unitIn,
+  toUnitSystem,
+  fromUnitSystem,
+  convertDay,
+  convertMonthlyStatistics
+};
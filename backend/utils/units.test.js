@@ -0,0 +1,73 @@
+const { unitIn, toUnitSystem, fromUnitSystem, convertDay, convertMonthlyStatistics } = require('./units');
+
+describe('unit conversion', () => {
+  test('labels metric units by their imperial counterpart', () => {
+    expect(unitIn('°C', 'imperial')).toBe('°F');
+    expect(unitIn('K', 'imperial')).toBe('°F');
+    expect(unitIn('mm/day', 'imperial')).toBe('in/day');
+    expect(unitIn('m/s', 'imperial')).toBe('mph');
+    expect(unitIn('kg/kg', 'imperial')).toBe('kg/kg');
+    expect(unitIn('°C')).toBe('°C');
+  });
+
+  test('converts metric values into the imperial system', () => {
+    expect(toUnitSystem(100, '°C', 'imperial')).toBe(212);
+    expect(toUnitSystem(273.15, 'K', 'imperial')).toBeCloseTo(32, 10);
+    expect(toUnitSystem(25.4, 'mm', 'imperial')).toBe(1);
+    expect(toUnitSystem(10, 'm/s', 'imperial')).toBeCloseTo(22.3694, 4);
+    expect(toUnitSystem(101325, 'Pa', 'imperial')).toBeCloseTo(29.92, 2);
+    expect(toUnitSystem(0.01, 'kg/kg', 'imperial')).toBe(0.01);
+    expect(toUnitSystem(30, '°C', 'metric')).toBe(30);
+  });
+
+  test('converts imperial thresholds back to metric', () => {
+    expect(fromUnitSystem(95, '°C', 'imperial')).toBe(35);
+    expect(fromUnitSystem(1, 'mm/day', 'imperial')).toBe(25.4);
+    expect(fromUnitSystem(toUnitSystem(7.5, 'm/s', 'imperial'), 'm/s', 'imperial')).toBeCloseTo(7.5, 10);
+  });
+
+  test('passes null and non-numeric values through', () => {
+    expect(toUnitSystem(null, '°C', 'imperial')).toBeNull();
+    expect(toUnitSystem(undefined, 'mm', 'imperial')).toBeUndefined();
+  });
+});
+
+describe('convertDay', () => {
+  const day = {
+    date: '2020-07-04',
+    value: 24,
+    mean: 1,
+    max: 2,
+    min: 0,
+    unit: 'mm/day',
+    readingUnit: 'mm/hour',
+    raw_readings: [{ time: '00:00:00', value: 2.54, raw: 7.05e-4 }],
+    imputed: [{ time: '03:00:00', value: 0, method: 'linear' }]
+  };
+
+  test('converts the daily value in the daily unit and the readings in the reading unit', () => {
+    const converted = convertDay(day, 'imperial');
+
+    expect(converted.value).toBeCloseTo(24 / 25.4, 10);
+    expect(converted.unit).toBe('in/day');
+    expect(converted.readingUnit).toBe('in/hour');
+    expect(converted.raw_readings[0]).toEqual({ time: '00:00:00', value: 0.1, raw: 7.05e-4 });
+    expect(converted.imputed[0].value).toBe(0);
+    expect(day.value).toBe(24);
+  });
+
+  test('returns metric days and missing days unchanged', () => {
+    expect(convertDay(day, 'metric')).toBe(day);
+    expect(convertDay(null, 'imperial')).toBeNull();
+  });
+});
+
+describe('convertMonthlyStatistics', () => {
+  test('converts the averages, extremes and total', () => {
+    const stats = { year: 2020, month: 7, average: 20, max: 30, min: 10, total: 620, unit: '°C' };
+
+    expect(convertMonthlyStatistics(stats, 'imperial')).toEqual({
+      year: 2020, month: 7, average: 68, max: 86, min: 50, total: 1148, unit: '°F'
+    });
+  });
+});
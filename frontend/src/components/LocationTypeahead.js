@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const SUGGEST_URL = 'http://localhost:3001/api/locations/suggest';
+const DEBOUNCE_MS = 200;
+const MIN_QUERY_LENGTH = 2;
+
+// Matches where the series is the place's own; nearest and area averages only approximate it
+const LOCAL_MATCHES = ['name', 'boundingBox', 'grid'];
+
+function availabilityStyle(availability) {
+  if (!availability || !availability.available) {
+    return { className: 'bg-gray-100 text-gray-400 line-through', label: 'no data' };
+  }
+  if (LOCAL_MATCHES.includes(availability.matchedBy)) {
+    return { className: 'bg-green-100 text-green-800', label: 'local data' };
+  }
+  return { className: 'bg-amber-100 text-amber-800', label: availability.matchedBy === 'nearest' ? 'nearest series' : 'area average' };
+}
+
+/**
+ * Location field with ranked suggestions from /api/locations/suggest. Arrow keys
+ * move through the list, Enter picks, Escape closes. Each suggestion shows which
+ * of `variables` have data there; `selectedVariable` is highlighted.
+ */
+function LocationTypeahead({ value, onChange, onSelect, variables, selectedVariable, disabled }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const typedRef = useRef(false); // Only fetch for text the user typed, not for a picked suggestion
+
+  useEffect(() => {
+    const query = value.trim();
+    if (!typedRef.current || query.length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await fetch(`${SUGGEST_URL}?q=${encodeURIComponent(query)}`, { signal: controller.signal });
+        const data = await response.json();
+        setSuggestions(Array.isArray(data.suggestions) ? data.suggestions : []);
+        setActiveIndex(-1);
+        setIsOpen(true);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Failed to load location suggestions:', error);
+          setSuggestions([]);
+        }
+      } finally {
+        setIsSearching(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  const pick = (suggestion) => {
+    typedRef.current = false;
+    setIsOpen(false);
+    setSuggestions([]);
+    onSelect(suggestion);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault(); // Picking a suggestion must not submit the form
+      pick(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showList = isOpen && value.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls="location-suggestions"
+        aria-activedescendant={activeIndex >= 0 ? `location-suggestion-${activeIndex}` : undefined}
+        value={value}
+        onChange={(e) => {
+          typedRef.current = true;
+          onChange(e.target.value);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => suggestions.length > 0 && setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder="Start typing a city, e.g. Chicago or Paris, TX"
+        autoComplete="off"
+        disabled={disabled}
+        className="block w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white"
+      />
+      {isSearching && (
+        <span className="absolute right-3 top-3 text-xs text-gray-400">Searching…</span>
+      )}
+
+      {showList && (
+        <ul
+          id="location-suggestions"
+          role="listbox"
+          className="absolute z-10 mt-1 w-full max-h-80 overflow-auto bg-white border border-gray-200 rounded-lg shadow-lg"
+        >
+          {suggestions.length === 0 && !isSearching && (
+            <li className="px-4 py-3 text-sm text-gray-500">No matching places</li>
+          )}
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.id}-${index}`}
+              id={`location-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(suggestion);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-4 py-2 cursor-pointer ${index === activeIndex ? 'bg-blue-50' : ''}`}
+            >
+              <div className="flex justify-between text-sm">
+                <span className="font-medium text-gray-900">{suggestion.displayName}</span>
+                <span className="text-gray-500">
+                  {suggestion.latitude.toFixed(2)}°, {suggestion.longitude.toFixed(2)}°
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {variables.map(variable => {
+                  const availability = suggestion.availability?.[variable.id];
+                  const style = availabilityStyle(availability);
+                  return (
+                    <span
+                      key={variable.id}
+                      title={`${variable.name}: ${availability?.warning || availability?.reason || style.label}`}
+                      className={`px-1.5 py-0.5 rounded text-xs ${style.className} ${variable.id === selectedVariable ? 'ring-1 ring-blue-500' : ''}`}
+                    >
+                      {variable.name}
+                    </span>
+                  );
+                })}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default LocationTypeahead;
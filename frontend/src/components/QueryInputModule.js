@@ -1,53 +1,130 @@
 import React, { useState, useEffect } from 'react';
+import LocationTypeahead from './LocationTypeahead';
 
 const WEATHER_VARIABLES = [
   {
     id: 'max_temp',
     name: 'Max Temperature',
     unit: '°C',
+    imperialUnit: '°F',
     condition: 'Very Hot',
     operator: '≥',
     defaultThreshold: 35,
+    imperialThreshold: 95,
     description: 'Maximum daily temperature'
   },
   {
     id: 'min_temp',
     name: 'Min Temperature',
     unit: '°C',
+    imperialUnit: '°F',
     condition: 'Very Cold',
     operator: '≤',
     defaultThreshold: 0,
+    imperialThreshold: 32,
     description: 'Minimum daily temperature'
   },
   {
     id: 'humidity',
     name: 'Humidity',
     unit: 'kg/kg',
+    imperialUnit: 'kg/kg',
     condition: 'Very Humid',
     operator: '≥',
     defaultThreshold: 0.015,
+    imperialThreshold: 0.015,
     description: 'Specific humidity from NASA GLDAS Model'
   },
   {
     id: 'precipitation',
     name: 'Total Precipitation',
     unit: 'mm',
+    imperialUnit: 'in',
     condition: 'Very Wet',
     operator: '≥',
     defaultThreshold: 10,
+    imperialThreshold: 0.4,
     description: 'Daily precipitation amount'
   },
   {
     id: 'wind_speed',
     name: 'Wind Speed',
     unit: 'm/s',
+    imperialUnit: 'mph',
     condition: 'Very Windy',
     operator: '≥',
     defaultThreshold: 8.0,
+    imperialThreshold: 18,
     description: 'Near surface wind speed from NASA GLDAS Model'
+  },
+  {
+    id: 'heat_index',
+    name: 'Heat Index',
+    unit: '°C',
+    imperialUnit: '°F',
+    condition: 'Very Uncomfortable',
+    operator: '≥',
+    defaultThreshold: 32,
+    imperialThreshold: 90,
+    description: 'Daily peak heat index from temperature and humidity'
+  },
+  {
+    id: 'wind_chill',
+    name: 'Wind Chill',
+    unit: '°C',
+    imperialUnit: '°F',
+    condition: 'Very Cold',
+    operator: '≤',
+    defaultThreshold: -10,
+    imperialThreshold: 14,
+    description: 'Daily lowest wind chill from temperature and wind speed'
+  },
+  {
+    id: 'apparent_temperature',
+    name: 'Apparent Temperature',
+    unit: '°C',
+    imperialUnit: '°F',
+    condition: 'Feels Very Hot',
+    operator: '≥',
+    defaultThreshold: 30,
+    imperialThreshold: 86,
+    description: 'Daily mean feels-like temperature from temperature, humidity and wind'
+  },
+  {
+    id: 'dew_point',
+    name: 'Dew Point',
+    unit: '°C',
+    imperialUnit: '°F',
+    condition: 'Very Muggy',
+    operator: '≥',
+    defaultThreshold: 20,
+    imperialThreshold: 68,
+    description: 'Daily mean dew point from NASA GLDAS specific humidity'
   }
 ];
 
+// ±days sampled around the date in every year (the analyses' `window`)
+const SAMPLING_WINDOWS = [
+  { days: 0, label: 'Exact day only' },
+  { days: 3, label: '± 3 days' },
+  { days: 7, label: '± 7 days' },
+  { days: 15, label: '± 15 days' },
+  { days: 30, label: '± 30 days' }
+];
+
+// Catalog of the backend's datasets; derived variables are not loaded when one of their inputs is missing
+const DATASETS_URL = 'http://localhost:3001/api/datasets';
+
+// A threshold may be a percentile of the climatology around the date; the backend resolves it
+const PERCENTILE_URL = 'http://localhost:3001/api/percentile-threshold';
+const PERCENTILE_DEBOUNCE_MS = 300;
+const PERCENTILE_PATTERN = /^\d{1,2}(\.\d+)?$/;
+
+const unitFor = (variable, units) => (units === 'imperial' ? variable.imperialUnit : variable.unit);
+const thresholdFor = (variable, units) => (units === 'imperial' ? variable.imperialThreshold : variable.defaultThreshold);
+// The rarer end of the variable's adverse side: p90 for highs, p10 for lows
+const percentileFor = (variable) => (variable.operator === '≤' ? '10' : '90');
+
 function QueryInputModule({ onSubmit, loading }) {
   const [formData, setFormData] = useState({
     location: '',
@@ -55,50 +132,117 @@ function QueryInputModule({ onSubmit, loading }) {
     day: '',
     year: '',
     variable: '',
-    threshold: ''
+    threshold: '',
+    thresholdMode: 'absolute',
+    percentile: '90',
+    units: 'metric',
+    window: '0',
+    weighting: 'uniform'
   });
 
-  const [availableCities, setAvailableCities] = useState({});
+  const [place, setPlace] = useState(null); // Suggestion picked for the location text, with its coordinates
   const [selectedVariable, setSelectedVariable] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [unloadedDatasets, setUnloadedDatasets] = useState([]); // Catalog ids whose analyses would fail
+  const [percentilePreview, setPercentilePreview] = useState(null); // { threshold, unit, sampleSize }, { loading } or { error }
+  const isPercentileMode = formData.thresholdMode === 'percentile';
 
-  // Load available cities on component mount
+  // Start from the first city of the NLDAS city list
   useEffect(() => {
-    const fetchAvailableCities = async () => {
+    const fetchDefaultCity = async () => {
       setIsLoading(true);
       try {
         const response = await fetch('http://localhost:3001/api/available-cities');
         const data = await response.json();
         
-        // Ensure data.cities is a valid object
         if (data && data.cities && typeof data.cities === 'object') {
-          setAvailableCities(data.cities);
-          
-          // Set default city if none selected
-          if (!formData.location && Object.keys(data.cities).length > 0) {
-            setFormData(prev => ({ ...prev, location: Object.keys(data.cities)[0] }));
+          const [firstCity] = Object.keys(data.cities);
+          if (firstCity) {
+            setFormData(prev => (prev.location ? prev : { ...prev, location: firstCity }));
           }
         } else {
           throw new Error('Invalid cities data structure');
         }
       } catch (error) {
         console.error('Failed to load available cities:', error);
-        // Fallback cities if API fails
-        const fallbackCities = {
-          'New York': { lat: 40.7, lon: -74.0, state: 'NY' },
-          'Chicago': { lat: 41.9, lon: -87.6, state: 'IL' },
-          'Los Angeles': { lat: 34.1, lon: -118.2, state: 'CA' }
-        };
-        setAvailableCities(fallbackCities);
-        setFormData(prev => ({ ...prev, location: 'New York' }));
+        setFormData(prev => (prev.location ? prev : { ...prev, location: 'New York' }));
       } finally {
         setIsLoading(false);
       }
     };
 
-    fetchAvailableCities();
+    fetchDefaultCity();
   }, []);
 
+  // Only offer variables the backend has data for; max_temp and min_temp are not catalog datasets
+  useEffect(() => {
+    const fetchCatalog = async () => {
+      try {
+        const response = await fetch(DATASETS_URL);
+        const data = await response.json();
+        if (Array.isArray(data.datasets)) {
+          setUnloadedDatasets(data.datasets.filter(dataset => !dataset.dataLoaded).map(dataset => dataset.id));
+        }
+      } catch (error) {
+        console.error('Failed to load dataset catalog:', error);
+      }
+    };
+
+    fetchCatalog();
+  }, []);
+
+  const variables = WEATHER_VARIABLES.filter(variable => !unloadedDatasets.includes(variable.id));
+
+  // Show the value a percentile threshold stands for at the chosen place, day and window
+  useEffect(() => {
+    const location = place ? place.name : formData.location.trim();
+    if (!isPercentileMode || !formData.variable || !formData.month || !formData.day ||
+        !location || !PERCENTILE_PATTERN.test(formData.percentile)) {
+      setPercentilePreview(null);
+      return undefined;
+    }
+
+    const params = new URLSearchParams({
+      variable: formData.variable,
+      threshold: `p${formData.percentile}`,
+      month: formData.month,
+      day: formData.day,
+      units: formData.units,
+      location
+    });
+    if (place) {
+      params.set('latitude', place.latitude);
+      params.set('longitude', place.longitude);
+    }
+    if (parseInt(formData.window)) {
+      params.set('window', formData.window);
+      params.set('weighting', formData.weighting);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setPercentilePreview({ loading: true });
+      try {
+        const response = await fetch(`${PERCENTILE_URL}?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        setPercentilePreview(response.ok
+          ? { threshold: data.threshold, unit: data.unit, sampleSize: data.thresholdPercentile.sampleSize }
+          : { error: data.message });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Failed to resolve percentile threshold:', error);
+          setPercentilePreview({ error: 'Could not resolve the percentile' });
+        }
+      }
+    }, PERCENTILE_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isPercentileMode, formData.percentile, formData.variable, formData.month, formData.day,
+    formData.window, formData.weighting, formData.units, formData.location, place]);
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -106,13 +250,34 @@ function QueryInputModule({ onSubmit, loading }) {
     }));
   };
 
+  // Typed text no longer matches the picked place, so its coordinates are dropped
+  const handleLocationChange = (text) => {
+    setPlace(null);
+    handleInputChange('location', text);
+  };
+
+  const handleLocationSelect = (suggestion) => {
+    setPlace(suggestion);
+    handleInputChange('location', suggestion.displayName);
+  };
+
   const handleVariableChange = (variableId) => {
     const variable = WEATHER_VARIABLES.find(v => v.id === variableId);
     setSelectedVariable(variable);
     setFormData(prev => ({
       ...prev,
       variable: variableId,
-      threshold: variable ? variable.defaultThreshold.toString() : ''
+      threshold: variable ? thresholdFor(variable, prev.units).toString() : '',
+      percentile: variable ? percentileFor(variable) : prev.percentile
+    }));
+  };
+
+  // Thresholds are sent in the chosen unit system, so switching resets to that system's default
+  const handleUnitsChange = (units) => {
+    setFormData(prev => ({
+      ...prev,
+      units,
+      threshold: selectedVariable ? thresholdFor(selectedVariable, units).toString() : prev.threshold
     }));
   };
 
@@ -120,8 +285,8 @@ function QueryInputModule({ onSubmit, loading }) {
     e.preventDefault();
     
     // Validate required fields
-    if (!formData.location) {
-      alert('Please select a city');
+    if (!formData.location.trim()) {
+      alert('Please enter a location');
       return;
     }
     
@@ -130,20 +295,30 @@ function QueryInputModule({ onSubmit, loading }) {
       return;
     }
     
-    if (!formData.variable || !formData.threshold) {
+    if (!formData.variable || !(isPercentileMode ? formData.percentile : formData.threshold)) {
       alert('Please select a weather variable and threshold');
       return;
     }
 
-    // Submit with selected city and parameters
+    if (isPercentileMode && !PERCENTILE_PATTERN.test(formData.percentile)) {
+      alert('Please enter a percentile from 0 to 99.9');
+      return;
+    }
+
+    // Submit a picked place by name and coordinates, or the typed city name
     const params = {
-      location: typeof formData.location === 'string' ? formData.location : String(formData.location),
+      location: place ? place.name : formData.location.trim(),
+      latitude: place ? place.latitude : undefined,
+      longitude: place ? place.longitude : undefined,
       month: parseInt(formData.month),
       day: parseInt(formData.day),
       year: formData.year ? parseInt(formData.year) : undefined,
       variable: formData.variable,
-      threshold: parseFloat(formData.threshold),
-      variableInfo: selectedVariable
+      threshold: isPercentileMode ? `p${formData.percentile}` : parseFloat(formData.threshold),
+      units: formData.units,
+      window: parseInt(formData.window) || undefined,
+      weighting: parseInt(formData.window) ? formData.weighting : undefined,
+      variableInfo: { ...selectedVariable, unit: unitFor(selectedVariable, formData.units) }
     };
 
     // Remove undefined values
@@ -180,36 +355,21 @@ function QueryInputModule({ onSubmit, loading }) {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
               </svg>
-              US City (NASA NLDAS Coverage)
+              Location
             </span>
           </label>
-          <select
+          <LocationTypeahead
             value={formData.location}
-            onChange={(e) => handleInputChange('location', e.target.value)}
-            className="block w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white"
+            onChange={handleLocationChange}
+            onSelect={handleLocationSelect}
+            variables={variables}
+            selectedVariable={formData.variable}
             disabled={isLoading}
-          >
-            <option value="">{isLoading ? 'Loading cities...' : 'Select a city'}</option>
-            {!isLoading && Object.entries(availableCities).map(([cityName, cityData]) => {
-              // Safety check for cityData structure
-              if (!cityData || typeof cityData !== 'object') {
-                console.warn('Invalid city data for:', cityName, cityData);
-                return null;
-              }
-              
-              const lat = cityData.lat || 0;
-              const lon = cityData.lon || 0;
-              const state = cityData.state || '';
-              
-              return (
-                <option key={cityName} value={cityName}>
-                  {cityName}{state ? `, ${state}` : ''} ({lat.toFixed(1)}°, {lon.toFixed(1)}°)
-                </option>
-              );
-            }).filter(Boolean)}
-          </select>
+          />
           <p className="text-xs text-gray-500">
-            🛰️ Real temperature data from NASA NLDAS Giovanni covering North America
+            {place
+              ? `📍 ${place.latitude.toFixed(2)}°, ${place.longitude.toFixed(2)}°${place.timeZone ? ` · ${place.timeZone}` : ''}`
+              : '🛰️ Pick a suggestion to analyse its coordinates; green marks variables with local data, amber an area average or nearest series'}
           </p>
         </div>
 
@@ -266,6 +426,31 @@ function QueryInputModule({ onSubmit, loading }) {
               })}
             </select>
           </div>
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              value={formData.window}
+              onChange={(e) => handleInputChange('window', e.target.value)}
+              className="px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white"
+            >
+              {SAMPLING_WINDOWS.map(option => (
+                <option key={option.days} value={option.days}>{option.label}</option>
+              ))}
+            </select>
+
+            <select
+              value={formData.weighting}
+              onChange={(e) => handleInputChange('weighting', e.target.value)}
+              disabled={formData.window === '0'}
+              className="px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white disabled:bg-gray-100 disabled:text-gray-400"
+            >
+              <option value="uniform">Every day counts equally</option>
+              <option value="triangular">Nearer days count more (linear)</option>
+              <option value="gaussian">Nearer days count more (Gaussian)</option>
+            </select>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            A wider window samples more days per year: steadier probabilities, less specific to the date.
+          </p>
           <p className="text-xs text-gray-500 mt-1">
             � Select a future year for weather prediction or past year for historical analysis. Leave blank for probability patterns.
           </p>
@@ -287,9 +472,9 @@ function QueryInputModule({ onSubmit, loading }) {
             className="w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white"
           >
             <option value="">Select a variable</option>
-            {WEATHER_VARIABLES.map(variable => (
+            {variables.map(variable => (
               <option key={variable.id} value={variable.id}>
-                {variable.name} ({variable.unit})
+                {variable.name} ({unitFor(variable, formData.units)})
               </option>
             ))}
           </select>
@@ -317,17 +502,46 @@ function QueryInputModule({ onSubmit, loading }) {
                 Adverse Threshold
               </span>
             </label>
+            <select
+              value={formData.thresholdMode}
+              onChange={(e) => handleInputChange('thresholdMode', e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white"
+            >
+              <option value="absolute">A fixed value</option>
+              <option value="percentile">A percentile of this date's climate</option>
+            </select>
             <div className="flex items-center space-x-3">
               <span className="text-gray-600 font-medium text-lg">{selectedVariable.operator}</span>
               <input
                 type="number"
-                value={formData.threshold}
-                onChange={(e) => handleInputChange('threshold', e.target.value)}
+                value={isPercentileMode ? formData.percentile : formData.threshold}
+                onChange={(e) => handleInputChange(isPercentileMode ? 'percentile' : 'threshold', e.target.value)}
+                min={isPercentileMode ? '0' : undefined}
+                max={isPercentileMode ? '99.9' : undefined}
                 step="any"
                 className="flex-1 px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
               />
-              <span className="text-gray-600 font-medium">{selectedVariable.unit}</span>
+              <span className="text-gray-600 font-medium">
+                {isPercentileMode ? 'th percentile' : unitFor(selectedVariable, formData.units)}
+              </span>
+              <select
+                value={formData.units}
+                onChange={(e) => handleUnitsChange(e.target.value)}
+                className="px-3 py-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors bg-white text-sm"
+              >
+                <option value="metric">Metric</option>
+                <option value="imperial">Imperial</option>
+              </select>
             </div>
+            {isPercentileMode && (
+              <p className="text-sm text-blue-700">
+                {!percentilePreview && 'Pick a location and date to see the value this percentile stands for'}
+                {percentilePreview?.loading && 'Resolving percentile…'}
+                {percentilePreview?.error && <span className="text-red-600">{percentilePreview.error}</span>}
+                {percentilePreview?.threshold !== undefined &&
+                  `≈ ${selectedVariable.operator} ${percentilePreview.threshold} ${percentilePreview.unit} here, from ${percentilePreview.sampleSize} days around this date in every year`}
+              </p>
+            )}
             <p className="text-sm text-gray-500">
               Define what constitutes "{selectedVariable.condition}" for your activity
             </p>
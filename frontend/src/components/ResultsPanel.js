@@ -44,6 +44,18 @@ function ResultsPanel({ data, loading, error, queryParams }) {
     return { bins, frequencies };
   };
   
+  // Mann-Kendall tests (historical-analysis at the top level, dataset analyses under `analysis`)
+  const trendAnalysis = data?.trendAnalysis || data?.statistics?.trendAnalysis;
+  const exceedanceTrend = (data?.trendTests || data?.analysis?.trendTests)?.exceedance;
+
+  // Wilson and bootstrap intervals on the probability, on the endpoint's scale (1 or 100)
+  const probabilityInterval = data?.statistics?.probabilityInterval || data?.probabilityInterval;
+  const formatIntervalBound = (bound) => Math.round(bound * (100 / (probabilityInterval?.scale || 1)));
+
+  // Threshold the analysis compared against: a percentile such as "p90" comes back resolved to a value
+  const thresholdPercentile = data?.thresholdPercentile || data?.query?.thresholdPercentile;
+  const threshold = thresholdPercentile ? (data?.query?.threshold ?? data?.threshold) : queryParams?.threshold;
+
   const getAnalysisTitle = () => {
     if (data?.analysisType === 'future-prediction') {
       return '🔮 Weather Prediction Results';
@@ -231,7 +243,9 @@ function ResultsPanel({ data, loading, error, queryParams }) {
                   <span className="font-medium text-gray-600">Threshold:</span>
                   <span className="ml-2 text-gray-900"> {
                     queryParams.variableInfo?.operator
-                  } {queryParams.threshold} {queryParams.variableInfo?.unit}</span>
+                  } {threshold} {queryParams.variableInfo?.unit}{
+                    thresholdPercentile ? ` (${thresholdPercentile.percentile}th percentile)` : ''
+                  }</span>
                 </div>
               </div>
             </div>
@@ -261,6 +275,20 @@ function ResultsPanel({ data, loading, error, queryParams }) {
             </div>
           )}
 
+          {/* Requested coordinates snapped to the nearest listed city */}
+          {data.matchedLocation?.matchedBy === 'nearest' && (
+            <div className="mb-6 p-4 bg-amber-50 rounded-lg border border-amber-200 text-sm text-amber-800">
+              📍 No data at {data.matchedLocation.requested}; using {data.matchedLocation.location}, {data.matchedLocation.distanceKm} km away
+            </div>
+          )}
+
+          {/* Series location warning (area average or nearest city used) */}
+          {data.metadata?.location?.warning && (
+            <div className="mb-6 p-4 bg-amber-50 rounded-lg border border-amber-200 text-sm text-amber-800">
+              ⚠️ {data.metadata.location.warning}
+            </div>
+          )}
+
           {/* Prediction Confidence (only for future predictions) */}
           {data?.analysisType === 'future-prediction' && (data?.predictionConfidence || data?.statistics?.confidence) && (
             <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-lg">
@@ -306,6 +334,21 @@ function ResultsPanel({ data, loading, error, queryParams }) {
               <div className="text-xs text-blue-600 mt-1">
                 Likelihood of occurrence
               </div>
+              {probabilityInterval && (
+                <div className="text-xs text-blue-700 mt-2 space-y-0.5">
+                  <div>
+                    {Math.round(probabilityInterval.confidence * 100)}% CI (Wilson): {formatIntervalBound(probabilityInterval.wilson.lower)}–{formatIntervalBound(probabilityInterval.wilson.upper)}%
+                  </div>
+                  <div>
+                    Bootstrap: {formatIntervalBound(probabilityInterval.bootstrap.lower)}–{formatIntervalBound(probabilityInterval.bootstrap.upper)}%
+                  </div>
+                  <div className="text-blue-500">
+                    {probabilityInterval.exceedCount} of {probabilityInterval.sampleSize} days
+                    {probabilityInterval.effectiveSampleSize !== probabilityInterval.sampleSize &&
+                      ` · effective sample ≈ ${probabilityInterval.effectiveSampleSize}`}
+                  </div>
+                </div>
+              )}
             </div>
 
             <div className="text-center p-6 bg-gradient-to-br from-green-50 to-green-100 rounded-xl border border-green-200">
@@ -322,10 +365,7 @@ function ResultsPanel({ data, loading, error, queryParams }) {
                 Historical Average
               </div>
               <div className="text-xs text-green-600 mt-1">
-                {queryParams?.variable === 'max_temp' || queryParams?.variable === 'min_temp' ? '°C' : 
-                 queryParams?.variable === 'precipitation' ? 'mm' : 
-                 queryParams?.variable === 'wind_speed' ? 'm/s' : 
-                 queryParams?.variable === 'humidity' ? 'kg/kg' : ''}
+                {data.metadata?.unit || data.unit || queryParams?.variableInfo?.unit || ''}
               </div>
             </div>
 
@@ -341,9 +381,14 @@ function ResultsPanel({ data, loading, error, queryParams }) {
               <div className="text-xs text-orange-600 mt-1">
                 Over {getStatValue('dataYears') || 'multiple'} years
               </div>
+              {exceedanceTrend && exceedanceTrend.pValue !== null && (
+                <div className="text-xs text-orange-700 mt-2">
+                  {exceedanceTrend.significant ? 'Significant' : 'Not significant'} (Mann-Kendall p = {exceedanceTrend.pValue})
+                </div>
+              )}
             </div>
           </div>          {/* Trend Analysis */}
-          {data?.trendAnalysis && (
+          {trendAnalysis && (
             <div className="mb-6 p-6 bg-gradient-to-r from-indigo-50 to-blue-50 rounded-xl border border-indigo-200">
               <h3 className="text-lg font-semibold text-indigo-800 mb-3 flex items-center">
                 <svg className="w-5 h-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -352,7 +397,7 @@ function ResultsPanel({ data, loading, error, queryParams }) {
                 Trend Analysis
               </h3>
               <p className="text-indigo-700 leading-relaxed">
-                {data.trendAnalysis}
+                {trendAnalysis}
               </p>
             </div>
           )}
@@ -375,7 +420,7 @@ function ResultsPanel({ data, loading, error, queryParams }) {
         <div className="p-6">
           <DistributionChart 
             data={getDistributionData()} 
-            threshold={queryParams?.threshold}
+            threshold={threshold}
             variable={queryParams?.variableInfo}
           />
         </div>
@@ -433,6 +433,19 @@ function generateGenericFallback(queryParams) {
   };
 }
 
+// Variables served by a dataset's own analysis endpoint; the rest go to historical-analysis
+const ANALYSIS_ENDPOINTS = {
+  humidity: 'humidity-analysis',
+  precipitation: 'precipitation-analysis',
+  wind_speed: 'windspeed-analysis',
+  heat_index: 'heat-index-analysis',
+  wind_chill: 'wind-chill-analysis',
+  apparent_temperature: 'apparent-temperature-analysis',
+  dew_point: 'dew-point-analysis'
+};
+
+const DERIVED_VARIABLES = ['heat_index', 'wind_chill', 'apparent_temperature', 'dew_point'];
+
 export function useHistoricalData() {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -444,26 +457,11 @@ export function useHistoricalData() {
     setData(null);
 
     try {
-      let response;
-      
       // Route to appropriate endpoint based on variable type
-      if (queryParams.variable === 'humidity') {
-        response = await axios.post('http://localhost:3001/api/humidity-analysis', queryParams, {
-          timeout: 10000
-        });
-      } else if (queryParams.variable === 'precipitation') {
-        response = await axios.post('http://localhost:3001/api/precipitation-analysis', queryParams, {
-          timeout: 10000
-        });
-      } else if (queryParams.variable === 'wind_speed') {
-        response = await axios.post('http://localhost:3001/api/windspeed-analysis', queryParams, {
-          timeout: 10000
-        });
-      } else {
-        response = await axios.post('http://localhost:3001/api/historical-analysis', queryParams, {
-          timeout: 10000
-        });
-      }
+      const endpoint = ANALYSIS_ENDPOINTS[queryParams.variable] || 'historical-analysis';
+      const response = await axios.post(`http://localhost:3001/api/${endpoint}`, queryParams, {
+        timeout: 10000
+      });
       
       setData(response.data);
     } catch (err) {
@@ -482,6 +480,9 @@ export function useHistoricalData() {
         console.log('🛰️ Using NASA GLDAS Wind Speed Data Fallback');
         const windSpeedData = generateWindSpeedFallbackData(queryParams);
         setData(windSpeedData);
+      } else if (DERIVED_VARIABLES.includes(queryParams.variable)) {
+        // Derived variables have no demo series; show an empty result
+        setData(generateGenericFallback(queryParams));
       } else {
         console.log('🛰️ Using NASA NLDAS NetCDF Temperature Data Fallback');
         const nasaData = generateNASAFallbackData(queryParams);
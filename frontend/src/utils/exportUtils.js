@@ -1,4 +1,14 @@
+// A percentile threshold ("p90") is reported as the value the analysis resolved it to
+function thresholdPercentileOf(data) {
+  return data?.thresholdPercentile || data?.query?.thresholdPercentile;
+}
+
+function analysisThreshold(data, queryParams) {
+  return thresholdPercentileOf(data) ? (data?.query?.threshold ?? data?.threshold) : queryParams?.threshold;
+}
+
 export function downloadCSV(data, queryParams) {
+  const thresholdPercentile = thresholdPercentileOf(data);
   const headers = [
     'Metric',
     'Value',
@@ -14,7 +24,8 @@ export function downloadCSV(data, queryParams) {
     ['Location', queryParams?.location || `${queryParams?.latitude}, ${queryParams?.longitude}`, '', 'Analysis location'],
     ['Date', `${queryParams?.month}/${queryParams?.day}`, '', 'Target date (MM/DD)'],
     ['Variable', queryParams?.variableInfo?.name || '', '', 'Weather variable analyzed'],
-    ['Threshold', queryParams?.threshold || '', queryParams?.variableInfo?.unit || '', 'Adverse condition threshold'],
+    ['Threshold', analysisThreshold(data, queryParams) ?? '', queryParams?.variableInfo?.unit || '',
+      thresholdPercentile ? `Adverse condition threshold (${thresholdPercentile.percentile}th percentile)` : 'Adverse condition threshold'],
     ['Condition', queryParams?.variableInfo?.condition || '', '', 'Adverse condition name']
   ];
 
@@ -87,7 +98,8 @@ export function downloadJSON(data, queryParams) {
           condition: queryParams?.variableInfo?.condition,
           operator: queryParams?.variableInfo?.operator
         },
-        threshold: queryParams?.threshold
+        threshold: analysisThreshold(data, queryParams),
+        thresholdPercentile: thresholdPercentileOf(data)
       }
     },
     results: {